@@ -1,4 +1,65 @@
 const WORKER_URL = 'https://trashbotapi.kwon.ai'
+const PAGE_PARAMS = new URLSearchParams(window.location.search)
+// ?r=<id> shows another rotation served by the same worker.
+const ROTATION_ID = PAGE_PARAMS.get('r')
+// ?me=<token> is a member's private link (text LINK to get one). It adds
+// their personal card, and actions it covers skip the SMS code.
+const PERSONAL_TOKEN = PAGE_PARAMS.get('me')
+// ?lang=es (or ko) shows the page, and the banners and reasons the worker
+// writes, in that language.
+const PAGE_LANGUAGE = PAGE_PARAMS.get('lang')
+
+// Copy the page writes itself. Dates use the same locale.
+const PAGE_STRINGS = {
+  en: {
+    locale: 'en-US',
+    penaltyRow: (name) => `${name} (penalty)`,
+    makeupRow: (name) => `${name} (makeup)`,
+    swapRow: (name) => `${name} (swap)`,
+    noUpcoming: 'No upcoming rotation data available.',
+    offline: (when) => `Offline — showing the schedule from ${when}.`,
+    done: '✅ done',
+    pending: '⏳ pending',
+    nextPickup: (date) => `🚛 Next pickup: ${date}`,
+    movedFrom: (date, note) =>
+      ` (moved from ${date}${note ? `: ${note}` : ''})`,
+    pendingReport: (name, votes, needed) =>
+      `Pending report against ${name} (${votes}/${needed} votes).`,
+  },
+  es: {
+    locale: 'es',
+    penaltyRow: (name) => `${name} (penalización)`,
+    makeupRow: (name) => `${name} (reposición)`,
+    swapRow: (name) => `${name} (cambio)`,
+    noUpcoming: 'No hay datos de la rotación próxima.',
+    offline: (when) => `Sin conexión: se muestra el calendario del ${when}.`,
+    done: '✅ hecho',
+    pending: '⏳ pendiente',
+    nextPickup: (date) => `🚛 Próxima recogida: ${date}`,
+    movedFrom: (date, note) =>
+      ` (movida del ${date}${note ? `: ${note}` : ''})`,
+    pendingReport: (name, votes, needed) =>
+      `Reporte pendiente contra ${name} (${votes}/${needed} votos).`,
+  },
+  ko: {
+    locale: 'ko',
+    penaltyRow: (name) => `${name} (벌칙)`,
+    makeupRow: (name) => `${name} (보충)`,
+    swapRow: (name) => `${name} (교대)`,
+    noUpcoming: '예정된 순번 정보가 없습니다.',
+    offline: (when) => `오프라인 — ${when} 기준 일정을 보여 줍니다.`,
+    done: '✅ 완료',
+    pending: '⏳ 대기 중',
+    nextPickup: (date) => `🚛 다음 수거일: ${date}`,
+    movedFrom: (date, note) => ` (${date}에서 변경${note ? `: ${note}` : ''})`,
+    pendingReport: (name, votes, needed) =>
+      `${name}님에 대한 대기 중인 신고 (${votes}/${needed}표).`,
+  },
+}
+const PAGE_TEXT = PAGE_STRINGS[PAGE_LANGUAGE] || PAGE_STRINGS.en
+const API_URL = ROTATION_ID
+  ? `${WORKER_URL}/r/${encodeURIComponent(ROTATION_ID)}`
+  : WORKER_URL
 
 // Get references to all the HTML elements
 const onDutyEl = document.getElementById('on-duty')
@@ -8,65 +69,184 @@ const penaltyStatusEl = document.getElementById('penalty-status')
 const lastWeekReportEl = document.getElementById('last-week-report')
 const reportButton = document.getElementById('report-button')
 const reportResponseEl = document.getElementById('report-response')
+const undoReportButton = document.getElementById('undo-report-button')
 const lastWeekEl = document.getElementById('last-week')
+const dutyStatusEl = document.getElementById('duty-status')
+const nextPickupEl = document.getElementById('next-pickup')
+const confirmButton = document.getElementById('confirm-button')
+const confirmResponseEl = document.getElementById('confirm-response')
+const statsListEl = document.getElementById('stats-list')
+const historyListEl = document.getElementById('history-list')
+const pendingReportEl = document.getElementById('pending-report')
+const disputeButton = document.getElementById('dispute-button')
+const penaltyPolicyEl = document.getElementById('penalty-policy')
+const workOffButton = document.getElementById('workoff-button')
+const verifyWorkOffButton = document.getElementById('verify-workoff-button')
+const swapListEl = document.getElementById('swap-list')
+const fairnessNoteEl = document.getElementById('fairness-note')
+const fairnessChartEl = document.getElementById('fairness-chart')
+const swapButton = document.getElementById('swap-button')
+const swapResponseEl = document.getElementById('swap-response')
+const awayButton = document.getElementById('away-button')
+const awayResponseEl = document.getElementById('away-response')
+const calendarLinkEl = document.getElementById('calendar-link')
+const offlineStatusEl = document.getElementById('offline-status')
+const pushButton = document.getElementById('push-button')
+const pushResponseEl = document.getElementById('push-response')
+const headerTitleEl = document.querySelector('header h1')
+const personalCardEl = document.getElementById('personal-card')
+const personalNameEl = document.getElementById('personal-name')
+const personalNextEl = document.getElementById('personal-next')
+const personalPenaltyEl = document.getElementById('personal-penalty')
+const personalRecordEl = document.getElementById('personal-record')
+const personalPreferencesEl = document.getElementById('personal-preferences')
+const personalAwayEl = document.getElementById('personal-away')
+const personalHistoryEl = document.getElementById('personal-history')
+const personalConfirmButton = document.getElementById('personal-confirm-button')
+const personalAwayTextButton = document.getElementById(
+  'personal-away-text-button'
+)
+const personalResponseEl = document.getElementById('personal-response')
 
 const MAX_UPCOMING_ROWS = 3
+const RECENT_HISTORY_ROWS = 8
+
+// The rotation's clock, from /schedule. Until it loads, the browser's zone
+// and a one-week turn are assumed.
+let rotationTimeZone
+let rotationTurnWeeks = 1
 
 // --- NEW, STABLE DATE HELPER FUNCTIONS ---
 
 /**
- * Calculates the date of the Monday for the week of the given date.
+ * Calculates the date of the Monday for the week of the given date, as seen
+ * in the rotation's time zone.
  * @param {Date} d - The reference date.
  * @returns {Date} - The date of the Monday of that week.
  */
 const getStartOfWeek = (d) => {
-  const date = new Date(d)
+  const date = fromWeekKey(
+    new Date(d).toLocaleDateString('en-CA', { timeZone: rotationTimeZone })
+  )
   const day = date.getDay() // Sunday = 0, Monday = 1, etc.
   const diff = date.getDate() - day + (day === 0 ? -6 : 1) // Adjust for Sunday
   return new Date(date.setDate(diff))
 }
 
 const formatDate = (date) => {
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  return date.toLocaleDateString(PAGE_TEXT.locale, {
+    month: 'short',
+    day: 'numeric',
+  })
 }
 
-const deriveUpcoming = (data) => {
-  if (Array.isArray(data.upcoming) && data.upcoming.length > 0) {
-    return data.upcoming
-  }
+/**
+ * Formats a timestamp (not a week key) in the rotation's time zone.
+ * @param {string} timestamp - ISO timestamp from the worker.
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+  return new Date(timestamp).toLocaleDateString(PAGE_TEXT.locale, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: rotationTimeZone,
+  })
+}
+
+/**
+ * Formats a timestamp with its time of day, for "last updated" stamps.
+ * @param {string} timestamp - ISO timestamp.
+ * @returns {string}
+ */
+const formatDateTime = (timestamp) => {
+  return new Date(timestamp).toLocaleString(PAGE_TEXT.locale, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
+
+/**
+ * Parses a worker week key (YYYY-MM-DD Monday) as a local date.
+ * @param {string} weekOf - Week key from the forecast.
+ * @returns {Date}
+ */
+const fromWeekKey = (weekOf) => {
+  const [year, month, day] = weekOf.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
 
-  const team = Array.isArray(data.team) ? data.team : []
-  if (team.length === 0) return []
+const describeUpcomingRow = (row) => {
+  if (row.isPenalty) return PAGE_TEXT.penaltyRow(row.name)
+  if (row.isMakeup) return PAGE_TEXT.makeupRow(row.name)
+  if (row.isOverride) return PAGE_TEXT.swapRow(row.name)
+  return row.name
+}
 
-  const currentIndex = Number.parseInt(data.currentIndex, 10)
-  if (Number.isNaN(currentIndex)) return []
+// Routes the worker also serves under /me/<token>/.
+const PERSONAL_PATH_PATTERN = /^\/(swaps|away|confirm|push)(\/|$)/
 
-  const penaltyBox = data.penaltyBox || {}
-  let penaltyWeeks = Number.parseInt(penaltyBox.weeksRemaining, 10)
-  if (Number.isNaN(penaltyWeeks) || penaltyWeeks < 0) penaltyWeeks = 0
-  const offenderIndex = Number.isInteger(penaltyBox.offenderIndex)
-    ? penaltyBox.offenderIndex
-    : undefined
+/**
+ * Posts fields to the member's /me/<token> route when the page was opened
+ * from a personal link.
+ * @param {string} path - Route below /me/<token>, e.g. '/confirm'.
+ * @param {HTMLElement} statusEl - Where progress messages are shown.
+ * @param {Object} [fields] - Request body.
+ */
+async function submitPersonal(path, statusEl, fields = {}) {
+  statusEl.textContent = 'Submitting...'
+  const response = await fetch(`${API_URL}/me/${PERSONAL_TOKEN}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  })
+  return response.json()
+}
 
-  const names = []
-  let pointer = currentIndex
+/**
+ * Verifies the visitor as a housemate with a one-time SMS code, then posts
+ * { phone, code } to the given path. Resolves to null if the visitor cancels.
+ * On a personal link, routes the worker serves under /me/<token> skip the
+ * code.
+ * @param {string} path - Worker route that expects a verified phone.
+ * @param {HTMLElement} statusEl - Where progress messages are shown.
+ * @param {Object} [fields] - Extra fields to send with the phone and code.
+ */
+async function submitVerified(path, statusEl, fields = {}) {
+  if (PERSONAL_TOKEN && PERSONAL_PATH_PATTERN.test(path)) {
+    return submitPersonal(path, statusEl, fields)
+  }
+  const phone = prompt(
+    'Enter your phone number to receive a verification code:'
+  )
+  if (!phone) return null
 
-  for (let step = 0; step < MAX_UPCOMING_ROWS; step++) {
-    if (penaltyWeeks > 0 && offenderIndex !== undefined) {
-      const offender = team[offenderIndex]
-      if (!offender) break
-      names.push(offender.name)
-      penaltyWeeks--
-      continue
-    }
+  statusEl.textContent = 'Sending code...'
+  const codeResponse = await fetch(`${API_URL}/report/code`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ phone }),
+  })
+  const codeResult = await codeResponse.json()
+  if (!codeResponse.ok) {
+    statusEl.textContent = codeResult.error
+    return null
+  }
 
-    pointer = (pointer + 1) % team.length
-    const person = team[pointer]
-    if (!person) break
-    names.push(person.name)
+  const code = prompt('Enter the code we just texted you:')
+  if (!code) {
+    statusEl.textContent = ''
+    return null
   }
 
-  return names
+  statusEl.textContent = 'Submitting...'
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...fields, phone, code }),
+  })
+  return response.json()
 }
 
 /**
@@ -74,15 +254,37 @@ const deriveUpcoming = (data) => {
  */
 async function fetchSchedule() {
   try {
-    const response = await fetch(`${WORKER_URL}/schedule`)
+    const response = await fetch(
+      `${API_URL}/schedule?weeks=${MAX_UPCOMING_ROWS}${
+        PAGE_LANGUAGE ? `&lang=${encodeURIComponent(PAGE_LANGUAGE)}` : ''
+      }`
+    )
     if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
     const data = await response.json()
 
+    // The service worker only sets X-Cached-At on a copy it served offline.
+    const cachedAt = response.headers.get('X-Cached-At')
+    offlineStatusEl.textContent = cachedAt
+      ? PAGE_TEXT.offline(formatDateTime(cachedAt))
+      : ''
+    offlineStatusEl.style.display = cachedAt ? 'block' : 'none'
+
+    if (data.rotation) {
+      rotationTimeZone = data.rotation.timezone || rotationTimeZone
+      rotationTurnWeeks = data.rotation.turnWeeks || 1
+      const heading = `${data.rotation.name} ${data.rotation.choreName}`
+      document.title = heading
+      headerTitleEl.textContent = heading
+    }
+
     // --- 1. ESTABLISH STABLE DATE ANCHORS ---
-    const today = new Date()
-    const startOfWeek = getStartOfWeek(today) // The Monday of this week
+    // Prefer the worker's week so the hero card matches the forecast rows.
+    const startOfWeek = data.weekOf
+      ? fromWeekKey(data.weekOf)
+      : getStartOfWeek(new Date()) // The Monday of this week
     const endOfWeek = new Date(startOfWeek)
-    endOfWeek.setDate(startOfWeek.getDate() + 6) // The Sunday of this week
+    // The last Sunday of this turn (one or two weeks).
+    endOfWeek.setDate(startOfWeek.getDate() + 7 * rotationTurnWeeks - 1)
 
     // --- 2. Populate Hero Card with Correct Dates ---
     onDutyEl.textContent = data.onDuty
@@ -90,69 +292,444 @@ async function fetchSchedule() {
       endOfWeek
     )}`
 
+    // --- 2b. Show whether this week's duty has been confirmed ---
+    const confirmation = data.confirmation || { status: 'pending' }
+    const isDone = confirmation.status === 'done'
+    dutyStatusEl.textContent = isDone ? PAGE_TEXT.done : PAGE_TEXT.pending
+    dutyStatusEl.classList.toggle('done', isDone)
+    confirmButton.style.display = isDone ? 'none' : 'block'
+
+    // --- 2c. Next collection day, with any holiday shift ---
+    const nextPickup = Array.isArray(data.collections)
+      ? data.collections[0]
+      : null
+    nextPickupEl.textContent = nextPickup
+      ? `${PAGE_TEXT.nextPickup(formatDate(fromWeekKey(nextPickup.date)))}${
+          nextPickup.movedFrom
+            ? PAGE_TEXT.movedFrom(
+                formatDate(fromWeekKey(nextPickup.movedFrom)),
+                nextPickup.note
+              )
+            : ''
+        }`
+      : ''
+
     // --- 3. Populate Secondary Info ---
     lastWeekEl.textContent = data.lastWeek
     lastWeekReportEl.textContent = data.lastWeek
 
     // --- 4. Populate Upcoming Schedule Table with Correct Dates ---
-    const upcomingNames = deriveUpcoming(data)
+    // The worker's forecast already accounts for penalties, away skips,
+    // makeup weeks and swaps, so the table shows it as-is.
+    const upcomingRows = Array.isArray(data.upcoming) ? data.upcoming : []
     upcomingListEl.innerHTML = ''
 
-    if (upcomingNames.length === 0) {
+    if (upcomingRows.length === 0) {
       const row = document.createElement('tr')
       const cell = document.createElement('td')
-      cell.colSpan = 2
-      cell.textContent = 'No upcoming rotation data available.'
+      cell.colSpan = 3
+      cell.textContent = PAGE_TEXT.noUpcoming
       row.appendChild(cell)
       upcomingListEl.appendChild(row)
     }
 
-    upcomingNames.forEach((name, index) => {
-      // Calculate each upcoming week's Monday based on the stable anchor
-      const upcomingWeekStart = new Date(startOfWeek)
-      upcomingWeekStart.setDate(startOfWeek.getDate() + (index + 1) * 7)
-
+    upcomingRows.forEach((upcoming) => {
       const row = document.createElement('tr')
       const nameCell = document.createElement('td')
       const dateCell = document.createElement('td')
+      const awayCell = document.createElement('td')
 
-      nameCell.textContent = name
-      dateCell.textContent = formatDate(upcomingWeekStart)
+      nameCell.textContent = describeUpcomingRow(upcoming)
+      if (upcoming.penaltyReason) nameCell.title = upcoming.penaltyReason
+      dateCell.textContent = formatDate(fromWeekKey(upcoming.weekOf))
+      awayCell.textContent =
+        upcoming.away && upcoming.away.length > 0
+          ? upcoming.away.join(', ')
+          : '—'
+      awayCell.className = 'away-cell'
 
       row.appendChild(nameCell)
       row.appendChild(dateCell)
+      row.appendChild(awayCell)
       upcomingListEl.appendChild(row)
     })
 
-    // --- 5. Handle Penalty Banner ---
-    const penaltyInfo = data.penaltyInfo
-    if (penaltyInfo && penaltyInfo.bannerText) {
-      penaltyStatusEl.textContent = penaltyInfo.bannerText
-      penaltyStatusEl.style.display = 'block'
-    } else if (penaltyInfo && penaltyInfo.isActive) {
-      const offenderName = penaltyInfo.offenderName || data.lastWeek
-      const afterWeekCount = penaltyInfo.weeksRemainingAfterCurrent ?? 0
-      const afterWeekWord = afterWeekCount === 1 ? 'week' : 'weeks'
-      const message = penaltyInfo.isFinalWeek
-        ? `PENALTY ACTIVE: ${offenderName} is serving the final penalty week. The normal rotation resumes next week.`
-        : `PENALTY ACTIVE: ${offenderName} is on week ${penaltyInfo.currentWeek} of ${penaltyInfo.totalWeeks}. ${afterWeekCount} ${afterWeekWord} remain afterward.`
-      penaltyStatusEl.textContent = message
-      penaltyStatusEl.style.display = 'block'
-    } else if (penaltyInfo && penaltyInfo.startsNextRotation) {
-      const offenderName = penaltyInfo.offenderName || data.lastWeek
-      const weekWord = penaltyInfo.weekString || 'weeks'
-      penaltyStatusEl.textContent = `Penalty recorded: ${offenderName} owes ${penaltyInfo.weeksRemaining} ${weekWord}. The rotation will pause when their turn arrives.`
-      penaltyStatusEl.style.display = 'block'
+    // --- 4b. Show any missed-duty report that is still collecting votes ---
+    const pendingReport = data.pendingReport
+    if (pendingReport) {
+      pendingReportEl.textContent = `${PAGE_TEXT.pendingReport(
+        pendingReport.accusedName,
+        pendingReport.confirmations,
+        pendingReport.confirmationsRequired
+      )} ${pendingReport.summary || ''}`
+      pendingReportEl.style.display = 'block'
+      disputeButton.style.display = pendingReport.disputed ? 'none' : 'block'
     } else {
-      penaltyStatusEl.textContent = ''
-      penaltyStatusEl.style.display = 'none'
+      pendingReportEl.textContent = ''
+      pendingReportEl.style.display = 'none'
+      disputeButton.style.display = 'none'
     }
+
+    // --- 4c. List swap offers waiting for an answer ---
+    renderSwapOffers((data.swaps && data.swaps.pending) || [])
+
+    // --- 4d. Chart who is ahead or behind on their fair share ---
+    if (data.fairness) renderFairness(data.fairness)
+
+    // --- 5. Handle Penalty Banner ---
+    const penaltyInfo = data.penaltyInfo
+    penaltyPolicyEl.textContent =
+      (data.penaltyPolicy && data.penaltyPolicy.summary) || ''
+    const workOff = (penaltyInfo && penaltyInfo.workOff) || {}
+    workOffButton.style.display =
+      workOff.available && !workOff.claimedAt ? 'block' : 'none'
+    verifyWorkOffButton.style.display = workOff.claimedAt ? 'block' : 'none'
+    // The worker writes the banner, queue included, in the page's language.
+    const bannerText = (penaltyInfo && penaltyInfo.bannerText) || ''
+    penaltyStatusEl.textContent = bannerText
+    penaltyStatusEl.style.display = bannerText ? 'block' : 'none'
   } catch (error) {
     console.error('Failed to fetch schedule:', error)
-    onDutyEl.textContent = 'Could not load schedule.'
+    onDutyEl.textContent = navigator.onLine
+      ? 'Could not load schedule.'
+      : "You're offline and no saved schedule is available yet."
   }
 }
 
+const describeHistoryEvent = (event) => {
+  const when = formatTimestamp(event.timestamp)
+  switch (event.type) {
+    case 'rotation':
+      return `${when}: ${event.assignee} went on duty`
+    case 'penalty':
+      return `${when}: ${event.assignee} was penalized`
+    case 'completion':
+      return `${when}: ${event.assignee} confirmed duty done`
+    case 'swap':
+      return `${when}: ${event.actor} swapped weeks with ${event.assignee}`
+    case 'report':
+      return `${when}: ${event.actor} reported ${event.assignee}`
+    case 'dispute':
+      return `${when}: ${event.assignee} disputed a report`
+    case 'undo':
+      return event.details && event.details.stage === 'penalty'
+        ? `${when}: ${event.actor} reversed ${event.assignee}'s penalty`
+        : `${when}: ${event.actor} withdrew a report against ${event.assignee}`
+    case 'workoff':
+      return `${when}: ${event.actor} verified ${event.assignee}'s work-off chore`
+    default:
+      return `${when}: ${event.type} (${event.assignee})`
+  }
+}
+
+const describeWeekCount = (weeks) =>
+  `${weeks} ${weeks === 1 ? 'week' : 'weeks'}`
+
+/**
+ * Fetches the member's own view for a personal link and fills their card.
+ */
+let personalNotifyWhileAway = true
+async function fetchPersonal() {
+  if (!PERSONAL_TOKEN) return
+  personalCardEl.style.display = 'block'
+  try {
+    const response = await fetch(`${API_URL}/me/${PERSONAL_TOKEN}`)
+    if (response.status === 404) {
+      personalNameEl.textContent = 'Your Page'
+      personalNextEl.textContent =
+        'This personal link is no longer valid. Text LINK for a new one.'
+      personalAwayTextButton.style.display = 'none'
+      return
+    }
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+    const data = await response.json()
+
+    personalNameEl.textContent = `${data.name}'s ${data.rotation.choreName}`
+    personalNextEl.textContent =
+      data.nextTurns.length > 0
+        ? `Your next turns: ${data.nextTurns
+            .map((slot) =>
+              slot.weekOf === data.weekOf
+                ? 'this week'
+                : describeUpcomingRow({
+                    ...slot,
+                    name: formatDate(fromWeekKey(slot.weekOf)),
+                  })
+            )
+            .join(', ')}`
+        : 'You have no turns in the forecast.'
+
+    const { current, queued } = data.penalty
+    const penaltyLines = []
+    if (current) {
+      penaltyLines.push(
+        `Penalty: ${describeWeekCount(current.weeksRemaining)} left of ${
+          current.totalWeeks
+        }.`
+      )
+    }
+    queued.forEach((entry) => {
+      penaltyLines.push(
+        `Queued penalty: ${describeWeekCount(entry.weeks)} from ${formatDate(
+          fromWeekKey(entry.startsWeekOf)
+        )}.`
+      )
+    })
+    personalPenaltyEl.textContent = penaltyLines.join(' ')
+
+    personalRecordEl.textContent = `Duties ${data.record.duties} · Confirmed ${data.record.completions} · Penalties ${data.record.penalties} · Swaps ${data.record.swaps}`
+    personalNotifyWhileAway = data.preferences.notifyWhileAway
+    personalPreferencesEl.textContent = `Reminders by ${data.preferences.activeChannels.join(
+      ', '
+    )}. Weekly text while away: ${personalNotifyWhileAway ? 'on' : 'off'}.`
+    personalAwayTextButton.textContent = personalNotifyWhileAway
+      ? 'Stop the weekly text while I am away'
+      : 'Keep the weekly text while I am away'
+    personalAwayEl.textContent =
+      data.away.ranges.length > 0 || data.away.makeupOwed > 0
+        ? `Away: ${
+            data.away.ranges
+              .map((range) => `${range.start} to ${range.end}`)
+              .join(', ') || 'none'
+          }${
+            data.away.makeupOwed > 0
+              ? `. Makeup owed: ${describeWeekCount(data.away.makeupOwed)}`
+              : ''
+          }.`
+        : ''
+
+    personalConfirmButton.style.display =
+      data.isOnDuty && data.confirmation.status !== 'done' ? 'block' : 'none'
+
+    personalHistoryEl.innerHTML = ''
+    data.history.forEach((event) => {
+      const item = document.createElement('li')
+      item.textContent = describeHistoryEvent(event)
+      personalHistoryEl.appendChild(item)
+    })
+  } catch (error) {
+    console.error('Failed to fetch personal view:', error)
+    personalNextEl.textContent = 'Could not load your page.'
+  }
+}
+
+const submitPersonalAction = async (button, path, fields) => {
+  try {
+    button.disabled = true
+    const result = await submitPersonal(path, personalResponseEl, fields)
+    personalResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchHistory()
+    fetchPersonal()
+  } catch (error) {
+    personalResponseEl.textContent = 'An error occurred.'
+  } finally {
+    button.disabled = false
+  }
+}
+
+personalConfirmButton.addEventListener('click', () =>
+  submitPersonalAction(personalConfirmButton, '/confirm')
+)
+personalAwayTextButton.addEventListener('click', () =>
+  submitPersonalAction(personalAwayTextButton, '/preferences', {
+    notifyWhileAway: !personalNotifyWhileAway,
+  })
+)
+
+/**
+ * Fetches recent history and per-person counts for the stats card.
+ */
+async function fetchHistory() {
+  try {
+    const response = await fetch(
+      `${API_URL}/history?limit=${RECENT_HISTORY_ROWS}`
+    )
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+    const data = await response.json()
+
+    statsListEl.innerHTML = ''
+    const names = Object.keys(data.stats || {}).sort()
+    if (names.length === 0) {
+      const row = document.createElement('tr')
+      const cell = document.createElement('td')
+      cell.colSpan = 3
+      cell.textContent = 'No history recorded yet.'
+      row.appendChild(cell)
+      statsListEl.appendChild(row)
+    }
+    names.forEach((name) => {
+      const counts = data.stats[name]
+      const row = document.createElement('tr')
+      ;[name, counts.duties || 0, counts.penalties || 0].forEach((value) => {
+        const cell = document.createElement('td')
+        cell.textContent = value
+        row.appendChild(cell)
+      })
+      statsListEl.appendChild(row)
+    })
+
+    historyListEl.innerHTML = ''
+    ;(data.events || []).forEach((event) => {
+      const item = document.createElement('li')
+      item.textContent = describeHistoryEvent(event)
+      historyListEl.appendChild(item)
+    })
+  } catch (error) {
+    console.error('Failed to fetch history:', error)
+  }
+}
+
+/**
+ * Renders pending swap offers with Accept/Decline buttons for the counterpart.
+ * @param {Array} offers - `swaps.pending` from /schedule.
+ */
+const renderSwapOffers = (offers) => {
+  swapListEl.innerHTML = ''
+  if (offers.length === 0) {
+    const item = document.createElement('li')
+    item.textContent = 'No pending swap offers.'
+    swapListEl.appendChild(item)
+    return
+  }
+
+  offers.forEach((offer) => {
+    const item = document.createElement('li')
+    const text = document.createElement('span')
+    text.textContent = offer.takeWeek
+      ? `${offer.proposer} ↔ ${offer.counterpart}: week of ${offer.giveWeek} for week of ${offer.takeWeek}`
+      : `${offer.proposer} asks ${offer.counterpart} to cover the week of ${offer.giveWeek}`
+    item.appendChild(text)
+    ;['accept', 'decline'].forEach((action) => {
+      const button = document.createElement('button')
+      button.className = 'link-button'
+      button.textContent = action === 'accept' ? 'Accept' : 'Decline'
+      button.addEventListener('click', () => answerSwap(offer, action, button))
+      item.appendChild(button)
+    })
+    swapListEl.appendChild(item)
+  })
+}
+
+/**
+ * Draws each member's fairness balance as a bar from the centre line: right
+ * (green) for weeks ahead of their share, left (red) for weeks behind.
+ * @param {Object} fairness - `fairness` from /schedule.
+ */
+const renderFairness = (fairness) => {
+  fairnessNoteEl.textContent =
+    fairness.mode === 'balanced'
+      ? 'Balanced rotation: each normal week goes to whoever is furthest behind.'
+      : 'Weeks served compared with each person’s fair share.'
+  fairnessChartEl.innerHTML = ''
+  const widest = Math.max(
+    1,
+    ...fairness.members.map((member) => Math.abs(member.balance))
+  )
+  fairness.members.forEach((member) => {
+    const item = document.createElement('li')
+    item.title = `${member.served} served, fair share ${member.share}`
+    const name = document.createElement('span')
+    name.textContent = member.name
+    const track = document.createElement('span')
+    track.className = 'fairness-track'
+    const bar = document.createElement('span')
+    bar.className = `fairness-bar ${member.balance < 0 ? 'behind' : 'ahead'}`
+    bar.style.width = `${(Math.abs(member.balance) / widest) * 100}%`
+    track.appendChild(bar)
+    const value = document.createElement('span')
+    value.className = 'fairness-value'
+    value.textContent =
+      member.balance > 0 ? `+${member.balance}` : `${member.balance}`
+    item.append(name, track, value)
+    fairnessChartEl.appendChild(item)
+  })
+}
+
+const answerSwap = async (offer, action, button) => {
+  try {
+    button.disabled = true
+    const result = await submitVerified(
+      `/swaps/${offer.id}/${action}`,
+      swapResponseEl
+    )
+    if (!result) return
+    swapResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchHistory()
+    fetchPersonal()
+  } catch (error) {
+    swapResponseEl.textContent = 'An error occurred.'
+  } finally {
+    button.disabled = false
+  }
+}
+
+/**
+ * Event listener for the "Propose a Swap" button.
+ */
+swapButton.addEventListener('click', async () => {
+  const withName = prompt('Who do you want to swap with?')
+  if (!withName) return
+  const giveWeek = prompt(
+    'Which of your weeks should they take? (YYYY-MM-DD Monday, blank = your next turn)'
+  )
+  const takeWeek = prompt(
+    "Which of their weeks will you take? (YYYY-MM-DD Monday, blank = their next turn, 'none' = just cover for you)"
+  )
+
+  const fields = { with: withName.trim() }
+  if (giveWeek && giveWeek.trim()) fields.giveWeek = giveWeek.trim()
+  if (takeWeek && takeWeek.trim().toLowerCase() === 'none') {
+    fields.takeWeek = null
+  } else if (takeWeek && takeWeek.trim()) {
+    fields.takeWeek = takeWeek.trim()
+  }
+
+  try {
+    swapButton.disabled = true
+    const result = await submitVerified('/swaps', swapResponseEl, fields)
+    if (!result) return
+    swapResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchPersonal()
+  } catch (error) {
+    swapResponseEl.textContent = 'An error occurred.'
+  } finally {
+    swapButton.disabled = false
+  }
+})
+
+/**
+ * Event listener for the "I'll Be Away" button.
+ */
+awayButton.addEventListener('click', async () => {
+  const start = prompt('First day away? (YYYY-MM-DD)')
+  if (!start) return
+  const end = prompt('Last day away? (YYYY-MM-DD)')
+  if (!end) return
+  const notifyWhileAway = confirm(
+    'Keep getting the weekly text while you are away? (Cancel = no)'
+  )
+
+  try {
+    awayButton.disabled = true
+    const result = await submitVerified('/away', awayResponseEl, {
+      start: start.trim(),
+      end: end.trim(),
+      notifyWhileAway,
+    })
+    if (!result) return
+    awayResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchPersonal()
+  } catch (error) {
+    awayResponseEl.textContent = 'An error occurred.'
+  } finally {
+    awayButton.disabled = false
+  }
+})
+
 /**
  * Event listener for the "Report Missed Duty" button.
  */
@@ -164,13 +741,25 @@ reportButton.addEventListener('click', async () => {
   )
     return
 
+  // The code has to be texted first, so there is nothing to queue yet.
+  if (!navigator.onLine) {
+    reportResponseEl.textContent =
+      "You're offline. Reporting needs a code texted to your phone, so we'll ask again when you're back online."
+    window.addEventListener('online', () => reportButton.click(), {
+      once: true,
+    })
+    return
+  }
+
   try {
     reportButton.disabled = true
-    reportResponseEl.textContent = 'Submitting report...'
-    const response = await fetch(`${WORKER_URL}/report`, { method: 'POST' })
-    const result = await response.json()
-    reportResponseEl.textContent = result.message
+    const result = await submitVerified('/report', reportResponseEl)
+    if (!result) return
+    reportResponseEl.textContent = result.message || result.error
+    if (result.queued) return
+    showUndoReport(result)
     fetchSchedule()
+    fetchHistory()
   } catch (error) {
     reportResponseEl.textContent = 'An error occurred.'
   } finally {
@@ -178,5 +767,219 @@ reportButton.addEventListener('click', async () => {
   }
 })
 
+/**
+ * Offers an "Undo" button for as long as the worker's undo token is valid.
+ */
+let undoReportToken = null
+let undoReportTimer = null
+const showUndoReport = (result) => {
+  clearTimeout(undoReportTimer)
+  undoReportToken = result.undoToken || null
+  undoReportButton.style.display = undoReportToken ? 'block' : 'none'
+  if (undoReportToken) {
+    undoReportTimer = setTimeout(
+      () => showUndoReport({}),
+      Math.max(0, new Date(result.undoUntil).getTime() - Date.now())
+    )
+  }
+}
+
+undoReportButton.addEventListener('click', async () => {
+  try {
+    undoReportButton.disabled = true
+    const response = await fetch(`${API_URL}/report/undo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ undoToken: undoReportToken }),
+    })
+    const result = await response.json()
+    reportResponseEl.textContent = result.message || result.error
+    showUndoReport({})
+    fetchSchedule()
+    fetchHistory()
+  } catch (error) {
+    reportResponseEl.textContent = 'An error occurred.'
+  } finally {
+    undoReportButton.disabled = false
+  }
+})
+
+/**
+ * Event listener for the "Dispute" button shown to the accused.
+ */
+disputeButton.addEventListener('click', async () => {
+  try {
+    disputeButton.disabled = true
+    const result = await submitVerified('/report/dispute', reportResponseEl)
+    if (!result) return
+    reportResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchHistory()
+  } catch (error) {
+    reportResponseEl.textContent = 'An error occurred.'
+  } finally {
+    disputeButton.disabled = false
+  }
+})
+
+/**
+ * Event listeners for the penalty work-off: the offender claims it, and a
+ * housemate verifies it.
+ */
+const submitWorkOff = async (button, path) => {
+  try {
+    button.disabled = true
+    const result = await submitVerified(path, reportResponseEl)
+    if (!result) return
+    reportResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchHistory()
+  } catch (error) {
+    reportResponseEl.textContent = 'An error occurred.'
+  } finally {
+    button.disabled = false
+  }
+}
+
+workOffButton.addEventListener('click', () =>
+  submitWorkOff(workOffButton, '/penalty/workoff')
+)
+verifyWorkOffButton.addEventListener('click', () =>
+  submitWorkOff(verifyWorkOffButton, '/penalty/workoff/verify')
+)
+
+/**
+ * Event listener for the "Mark This Week Done" button.
+ * The person on duty confirms with a code texted to their roster phone.
+ */
+confirmButton.addEventListener('click', async () => {
+  try {
+    confirmButton.disabled = true
+    const result = await submitVerified('/confirm', confirmResponseEl)
+    if (!result) return
+    confirmResponseEl.textContent = result.message || result.error
+    fetchSchedule()
+    fetchHistory()
+  } catch (error) {
+    confirmResponseEl.textContent = 'An error occurred.'
+  } finally {
+    confirmButton.disabled = false
+  }
+})
+
+/**
+ * Web Push opt-in. The button only shows when the browser supports push and
+ * the worker has a VAPID key; turning it on or off is verified like other
+ * actions.
+ */
+let pushPublicKey = null
+
+const urlBase64ToUint8Array = (value) => {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0))
+}
+
+const setupPushButton = async () => {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return
+  try {
+    const response = await fetch(`${API_URL}/push/key`)
+    pushPublicKey = (await response.json()).publicKey
+  } catch (error) {
+    return
+  }
+  if (!pushPublicKey) return
+  const registration = await navigator.serviceWorker.ready
+  const subscription = await registration.pushManager.getSubscription()
+  pushButton.textContent = subscription
+    ? '🔕 Stop reminders on this device'
+    : '🔔 Remind me on this device'
+  pushButton.style.display = 'block'
+}
+
+pushButton.addEventListener('click', async () => {
+  try {
+    pushButton.disabled = true
+    const registration = await navigator.serviceWorker.ready
+    const existing = await registration.pushManager.getSubscription()
+    if (existing) {
+      const result = await submitVerified('/push/unsubscribe', pushResponseEl, {
+        endpoint: existing.endpoint,
+      })
+      if (!result) return
+      if (!result.error) await existing.unsubscribe()
+      pushResponseEl.textContent = result.message || result.error
+      return
+    }
+
+    if ((await Notification.requestPermission()) !== 'granted') {
+      pushResponseEl.textContent =
+        'Notifications are blocked for this site in your browser settings.'
+      return
+    }
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(pushPublicKey),
+    })
+    const result = await submitVerified('/push/subscribe', pushResponseEl, {
+      subscription: subscription.toJSON(),
+    })
+    if (!result || result.error) {
+      await subscription.unsubscribe()
+      pushResponseEl.textContent = result ? result.error : ''
+      return
+    }
+    pushResponseEl.textContent = result.message
+    // For a push without a payload, the service worker reads /schedule itself.
+    registration.active.postMessage({
+      type: 'push-settings',
+      settings: {
+        apiUrl: API_URL,
+        pageUrl: window.location.href,
+        name: result.name,
+      },
+    })
+  } catch (error) {
+    pushResponseEl.textContent = 'An error occurred.'
+  } finally {
+    pushButton.disabled = false
+    setupPushButton()
+  }
+})
+
+/**
+ * Installs the service worker, which caches the page and the last good
+ * schedule, and holds missed-duty reports sent while the connection drops.
+ */
+const registerServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return
+  navigator.serviceWorker.register('sw.js').catch((error) => {
+    console.error('Service worker registration failed:', error)
+  })
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'report-queue-result') {
+      reportResponseEl.textContent = event.data.ok
+        ? `Your saved report was sent. ${event.data.message}`
+        : `Your saved report was not sent: ${event.data.message} Please report again with a new code.`
+      fetchSchedule()
+      fetchHistory()
+    }
+  })
+  // Browsers without Background Sync replay the queue when the page is back.
+  window.addEventListener('online', async () => {
+    const registration = await navigator.serviceWorker.ready
+    registration.active.postMessage({ type: 'flush-report-queue' })
+    fetchSchedule().then(fetchHistory)
+  })
+  setupPushButton()
+}
+
 // Initial load
-document.addEventListener('DOMContentLoaded', fetchSchedule)
+document.addEventListener('DOMContentLoaded', () => {
+  // webcal:// opens the subscribe dialog in Apple and Google Calendar.
+  calendarLinkEl.href = `${API_URL.replace(/^https?:/, 'webcal:')}/calendar.ics`
+  // History timestamps use the rotation's time zone, which /schedule sets.
+  fetchSchedule().then(fetchHistory).then(fetchPersonal)
+  registerServiceWorker()
+})
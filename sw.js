@@ -0,0 +1,286 @@
+// Service worker for the dashboard: keeps the page usable offline, holds
+// missed-duty reports until the connection returns, and shows push reminders.
+
+const SHELL_CACHE = 'trash-duty-shell-v6'
+const DATA_CACHE = 'trash-duty-data-v1'
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js?v=20261024',
+  'manifest.webmanifest',
+  'icon.svg',
+]
+// Worker GET routes whose last good answer is kept for offline visits.
+const CACHED_API_PATHS = ['/schedule', '/history']
+const REPORT_QUEUE_DB = 'trash-duty'
+const REPORT_QUEUE_STORE = 'report-queue'
+const REPORT_SYNC_TAG = 'report-queue'
+// A queued report carries a texted code, which the worker only honours for
+// REPORT_CODE_TTL_SECONDS (10 minutes) after it was sent.
+const REPORT_CODE_TTL_MS = 10 * 60 * 1000
+// Where the page that turned on push reads its data (see script.js).
+const PUSH_SETTINGS_URL = 'push-settings'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES))
+  )
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== SHELL_CACHE && name !== DATA_CACHE)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method === 'POST' && isReportRequest(url)) {
+    event.respondWith(sendOrQueueReport(request))
+    return
+  }
+  if (request.method !== 'GET') return
+
+  if (CACHED_API_PATHS.some((path) => url.pathname.endsWith(path))) {
+    event.respondWith(networkFirst(request))
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request))
+  }
+})
+
+/** The page and its assets load from cache, then refresh for next time. */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request, {
+    ignoreSearch: request.mode === 'navigate',
+  })
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone())
+      return response
+    })
+    .catch(() => cached)
+  return cached || refresh
+}
+
+/**
+ * API data comes from the network when it can. Offline, the last good copy
+ * is served with an X-Cached-At header so the page can say how old it is.
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const headers = new Headers(response.headers)
+      headers.set('X-Cached-At', new Date().toISOString())
+      headers.set('Access-Control-Expose-Headers', 'X-Cached-At')
+      await cache.put(
+        request,
+        new Response(await response.clone().blob(), {
+          status: response.status,
+          headers,
+        })
+      )
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+    throw error
+  }
+}
+
+// --- MISSED-DUTY REPORT QUEUE ---
+
+function isReportRequest(url) {
+  return url.pathname.endsWith('/report') && !url.pathname.endsWith('/undo')
+}
+
+/**
+ * Sends a verified report, or keeps it when the network is down and answers
+ * 202 so the page can say it is queued. Queued reports are replayed by
+ * Background Sync where the browser has it, and otherwise when the page
+ * reports that it is back online.
+ */
+async function sendOrQueueReport(request) {
+  const body = await request.clone().text()
+  try {
+    return await fetch(request)
+  } catch (error) {
+    await withReportQueue('readwrite', (store) =>
+      store.add({ url: request.url, body, queuedAt: new Date().toISOString() })
+    )
+    if (self.registration.sync) {
+      await self.registration.sync.register(REPORT_SYNC_TAG).catch(() => {})
+    }
+    return new Response(
+      JSON.stringify({
+        queued: true,
+        message:
+          "You're offline. Your report is saved and will be sent if you're back online within 10 minutes. After that its code expires, and you'll need to report again.",
+      }),
+      { status: 202, headers: { 'Content-Type': 'application/json' } }
+    )
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === REPORT_SYNC_TAG) event.waitUntil(flushReportQueue())
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'flush-report-queue') {
+    event.waitUntil(flushReportQueue())
+  }
+  if (event.data && event.data.type === 'push-settings') {
+    event.waitUntil(
+      caches
+        .open(DATA_CACHE)
+        .then((cache) =>
+          cache.put(
+            PUSH_SETTINGS_URL,
+            new Response(JSON.stringify(event.data.settings))
+          )
+        )
+    )
+  }
+})
+
+/**
+ * Replays queued reports in order. Any answer from the worker, including a
+ * rejection such as an expired code, takes the report off the queue and is
+ * passed on to open pages; a network failure leaves it for next time. A
+ * report whose code has certainly expired is dropped without sending.
+ */
+async function flushReportQueue() {
+  const queued = await withReportQueue('readonly', (store) => store.getAll())
+  for (const entry of queued) {
+    let outcome
+    if (Date.now() - Date.parse(entry.queuedAt) > REPORT_CODE_TTL_MS) {
+      outcome = {
+        ok: false,
+        message: 'Its code expired before you were back online.',
+      }
+    } else {
+      let response
+      try {
+        response = await fetch(entry.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: entry.body,
+        })
+      } catch (error) {
+        return
+      }
+      const result = await response.json().catch(() => ({}))
+      outcome = { ok: response.ok, message: result.message || result.error }
+    }
+    await withReportQueue('readwrite', (store) => store.delete(entry.id))
+    const clients = await self.clients.matchAll({ type: 'window' })
+    for (const client of clients) {
+      client.postMessage({ type: 'report-queue-result', ...outcome })
+    }
+  }
+}
+
+function withReportQueue(mode, action) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(REPORT_QUEUE_DB, 1)
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(REPORT_QUEUE_STORE, {
+        keyPath: 'id',
+        autoIncrement: true,
+      })
+    }
+    open.onerror = () => reject(open.error)
+    open.onsuccess = () => {
+      const db = open.result
+      const request = action(
+        db.transaction(REPORT_QUEUE_STORE, mode).objectStore(REPORT_QUEUE_STORE)
+      )
+      request.onsuccess = () => {
+        resolve(request.result)
+        db.close()
+      }
+      request.onerror = () => {
+        reject(request.error)
+        db.close()
+      }
+    }
+  })
+}
+
+// --- PUSH REMINDERS ---
+
+/**
+ * Pushes from the worker carry the message as { title, body }. A push without
+ * a payload falls back to a line built from a fresh /schedule (or the cached
+ * one when that fails).
+ */
+self.addEventListener('push', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(DATA_CACHE)
+      const settingsResponse = await cache.match(PUSH_SETTINGS_URL)
+      const settings = settingsResponse ? await settingsResponse.json() : {}
+      let title = 'Trash Duty'
+      let body = 'Open the dashboard to see who is on duty.'
+      let payload = null
+      try {
+        payload = event.data ? event.data.json() : null
+      } catch (error) {
+        payload = null
+      }
+      if (payload && payload.body) {
+        title = payload.title || title
+        body = payload.body
+      } else if (settings.apiUrl) {
+        const data = await networkFirst(
+          new Request(`${settings.apiUrl}/schedule`)
+        )
+          .then((response) => response.json())
+          .catch(() => null)
+        if (data && data.onDuty) {
+          title = data.rotation
+            ? `${data.rotation.emoji} ${data.rotation.choreName}`
+            : title
+          body =
+            data.onDuty === settings.name
+              ? "You're on duty this week."
+              : `${data.onDuty} is on duty this week.`
+        }
+      }
+      await self.registration.showNotification(title, {
+        body,
+        icon: 'icon.svg',
+        tag: payload ? undefined : 'weekly-reminder',
+        data: { pageUrl: settings.pageUrl || './' },
+      })
+    })()
+  )
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const pageUrl = event.notification.data.pageUrl
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      const open = clients.find((client) => 'focus' in client)
+      return open ? open.focus() : self.clients.openWindow(pageUrl)
+    })
+  )
+})
@@ -1,168 +1,25 @@
-const PENALTY_LENGTH = 3
-
 export default {
   /**
    * SCHEDULED HANDLER
    * Runs on a cron schedule to send notifications.
    */
   async scheduled(event, env, ctx) {
-    let rotationDb
+    let kv
     try {
-      rotationDb = getRotationDb(env)
+      kv = getRotationDb(env)
     } catch (error) {
       console.error(error.message)
       return
     }
 
-    // 1. Get current state from KV
-    const team = await rotationDb.get('TEAM_MEMBERS', 'json')
-    if (!team || team.length === 0) {
-      console.error('FATAL: Team data is missing or empty.')
-      return
-    }
-    let currentIndex = parseInt((await rotationDb.get('CURRENT_INDEX')) || '0')
-    const rawPenaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
-    const teamSize = team.length
-
-    // 2. Validate the stored penalty state before using it.
-    let penaltyBox = null
-    let penaltyOffender
-    let penaltyWeeks = 0
-    if (rawPenaltyBox) {
-      const offenderIndex = Number.isInteger(rawPenaltyBox.offenderIndex)
-        ? rawPenaltyBox.offenderIndex
-        : undefined
-      const weeksRemaining = Number.isInteger(rawPenaltyBox.weeksRemaining)
-        ? rawPenaltyBox.weeksRemaining
-        : 0
-      if (
-        offenderIndex !== undefined &&
-        offenderIndex >= 0 &&
-        offenderIndex < teamSize
-      ) {
-        penaltyOffender = team[offenderIndex]
-        penaltyWeeks = Math.max(0, weeksRemaining)
-        if (penaltyWeeks > 0) {
-          penaltyBox = { offenderIndex, weeksRemaining: penaltyWeeks }
-        }
-      } else {
-        // Invalid penalty (probably team edited); clean it up so the worker can recover.
-        await rotationDb.delete('PENALTY_BOX')
-      }
-    }
-
-    // 3. IMPORTANT: Update the state for the NEW week *first*
-    let activePenalty = null
-    if (penaltyBox && penaltyWeeks > 0) {
-      const remainingAfterThisWeek = Math.max(0, penaltyWeeks - 1)
-      activePenalty = {
-        offenderIndex: penaltyBox.offenderIndex,
-        offender: penaltyOffender,
-        remainingAfterThisWeek,
-        weeksServed: PENALTY_LENGTH - penaltyWeeks,
-      }
-
-      await rotationDb.put(
-        'PENALTY_BOX',
-        JSON.stringify({
-          offenderIndex: penaltyBox.offenderIndex,
-          weeksRemaining: remainingAfterThisWeek,
-        })
-      )
-    } else {
-      if (penaltyBox && penaltyWeeks === 0) {
-        await rotationDb.delete('PENALTY_BOX')
-      }
-      currentIndex = (currentIndex + 1) % teamSize
-      await rotationDb.put('CURRENT_INDEX', currentIndex.toString())
-    }
-
-    // 3. Determine who is on duty for THIS week and NEXT week based on the new state
-    let personOnDuty
-    let nextPersonUp
-
-    if (activePenalty && activePenalty.offender) {
-      personOnDuty = activePenalty.offender
-      if (activePenalty.remainingAfterThisWeek >= 1) {
-        nextPersonUp = personOnDuty
-      } else {
-        nextPersonUp = team[(currentIndex + 1) % teamSize]
-      }
-    } else {
-      personOnDuty = team[currentIndex]
-      nextPersonUp = team[(currentIndex + 1) % teamSize]
-    }
-
-    // 4. Loop through and send personalized, grammar-aware SMS messages
-    const sendQueue = []
-
-    for (const [personIndex, person] of team.entries()) {
-      let personalStatus = ''
-      const thisWeekDate = new Date()
-
-      if (activePenalty && activePenalty.offender) {
-        if (personIndex === activePenalty.offenderIndex) {
-          personalStatus = `⚠️ ${
-            person.name
-          }, you are on Trash Duty.\nThis is week ${
-            activePenalty.weeksServed + 1
-          } of ${PENALTY_LENGTH} for your penalty.`
-        } else {
-          const normalWeeksUntilTurn =
-            (personIndex - currentIndex + teamSize) % teamSize
-          const weeksUntilTurn =
-            normalWeeksUntilTurn +
-            Math.max(0, activePenalty.remainingAfterThisWeek)
-          const theirTurnDate = new Date()
-          theirTurnDate.setDate(thisWeekDate.getDate() + weeksUntilTurn * 7)
-          const weekString = weeksUntilTurn === 1 ? 'week' : 'weeks'
-          personalStatus = `${
-            person.name
-          }, your next Trash Duty is in ${weeksUntilTurn} ${weekString} (week of ${formatDate(
-            theirTurnDate
-          )}).`
-        }
-      } else {
-        const weeksUntilTurn =
-          (personIndex - currentIndex + teamSize) % teamSize
-        const theirTurnDate = new Date()
-        theirTurnDate.setDate(thisWeekDate.getDate() + weeksUntilTurn * 7)
-        if (weeksUntilTurn === 0) {
-          personalStatus = `${
-            person.name
-          }, you are on Trash Duty this week (week of ${formatDate(
-            theirTurnDate
-          )}).`
-        } else {
-          const weekString = weeksUntilTurn === 1 ? 'week' : 'weeks'
-          personalStatus = `${
-            person.name
-          }, your next Trash Duty is in ${weeksUntilTurn} ${weekString} (week of ${formatDate(
-            theirTurnDate
-          )}).`
-        }
-      }
-
-      const messageBody =
-        `${personalStatus}\n\n` +
-        `🎯 This Week: ${personOnDuty.name}\n` +
-        `➡️ Next Week: ${nextPersonUp.name}\n\n` +
-        `🗓️ Full Schedule:\n` +
-        `https://trashbot.kwon.ai\n\n` +
-        `❕ Missed a duty? Report it on the site.`
-
-      sendQueue.push(sendSms(env, person.phone, messageBody))
-    }
-
-    if (sendQueue.length > 0) {
-      const results = await Promise.allSettled(sendQueue)
-      const failures = results.filter((result) => {
-        if (result.status === 'rejected') return true
-        return result.value && result.value.ok === false
-      })
-      if (failures.length > 0) {
+    // One cron serves every rotation; a failure in one does not stop the rest.
+    for (const rotation of await loadRotations(kv)) {
+      try {
+        await runScheduledForRotation(event, withRotation(env, rotation))
+      } catch (error) {
         console.error(
-          `Scheduled run completed with ${failures.length} Twilio delivery issue(s).`
+          `Scheduled run failed for rotation ${rotation.id}:`,
+          error.message
         )
       }
     }
@@ -176,14 +33,33 @@ export default {
     const url = new URL(request.url)
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     }
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders })
     }
 
+    // /r/<id>/... runs the same routes against that rotation's namespace;
+    // everything else is the default rotation.
+    const rotationPath = url.pathname.match(ROTATION_PATH_PATTERN)
+    const rotation = env?.ROTATION_DB
+      ? await findRotation(
+          env.ROTATION_DB,
+          rotationPath ? rotationPath[1] : DEFAULT_ROTATION_ID
+        )
+      : null
+    if (rotationPath && !rotation) {
+      return jsonResponse({ error: 'Unknown rotation.' }, corsHeaders, 404)
+    }
+    if (rotation) env = withRotation(env, rotation)
+    if (rotationPath) url.pathname = rotationPath[2] || '/'
+
+    if (url.pathname === '/health' && request.method === 'GET') {
+      return handleHealthRequest(request, env, corsHeaders)
+    }
+
     if (url.pathname === '/schedule') {
       try {
         const rotationDb = getRotationDb(env)
@@ -191,27 +67,48 @@ export default {
         if (!Array.isArray(team) || team.length === 0) {
           throw new Error('Team data is missing or empty.')
         }
-        const currentIndex = parseInt(
-          (await rotationDb.get('CURRENT_INDEX')) || '0'
-        )
+        const currentIndex = await loadCurrentIndex(rotationDb, team.length)
         const rawPenaltyBox =
           (await rotationDb.get('PENALTY_BOX', 'json')) || {}
         const teamSize = team.length
+        const clock = getRotationClock(env)
+        const penaltyPolicy = await loadPenaltyPolicy(rotationDb)
+        // ?lang= picks the language of the banner copy; the rotation's
+        // language is the default.
+        const language = resolveLanguage(
+          url.searchParams.get('lang'),
+          getRotationConfig(env).language
+        )
+        const render = createMessageRenderer(
+          env,
+          await loadMessageTemplates(rotationDb)
+        )
+        const penaltyQueue = describePenaltyQueue(
+          await loadPenaltyQueue(rotationDb),
+          team,
+          rawPenaltyBox,
+          getTurnKey(new Date(), clock),
+          clock,
+          render,
+          language
+        )
+        // What happens once the current penalty is served.
+        const afterPenaltyText =
+          penaltyQueue.length > 0
+            ? render('banner.nextPenalty', language, {
+                offender: penaltyQueue[0].offenderName,
+              })
+            : render('banner.rotationResumes', language)
 
         // Base indices assume a normal rotation until we prove a penalty overrides it.
         const baseLastWeekIndex = (currentIndex - 1 + teamSize) % teamSize
-        let onDutyName = team[currentIndex].name
+        let onDutyName
         let lastWeekName = team[baseLastWeekIndex].name
         let penaltyInfo = {}
 
         // Parse any stored penalty information and coerce the values we rely on.
-        const offenderIndex = Number.isInteger(rawPenaltyBox.offenderIndex)
-          ? rawPenaltyBox.offenderIndex
-          : undefined
-        const offenderValid =
-          offenderIndex !== undefined &&
-          offenderIndex >= 0 &&
-          offenderIndex < teamSize
+        const offenderIndex = rawPenaltyBox.offenderIndex
+        const offenderValid = isMemberIndex(offenderIndex, teamSize)
         const futureWeeks = Number.isInteger(rawPenaltyBox.weeksRemaining)
           ? Math.max(0, rawPenaltyBox.weeksRemaining)
           : 0
@@ -219,7 +116,10 @@ export default {
         if (offenderValid) {
           const offender = team[offenderIndex]
           const offenderIsCurrent = offenderIndex === currentIndex
-          const totalPenaltyWeeks = PENALTY_LENGTH
+          const totalPenaltyWeeks = penaltyTotalWeeks(
+            rawPenaltyBox,
+            penaltyPolicy
+          )
           const weeksIncludingCurrent = offenderIsCurrent
             ? Math.min(totalPenaltyWeeks, futureWeeks + 1)
             : futureWeeks
@@ -231,12 +131,19 @@ export default {
             )
             const activeWeekNumber = weeksServed + 1
             const weeksAfterThisWeek = Math.max(0, futureWeeks)
-            const remainingWeekWord =
-              weeksAfterThisWeek === 1 ? 'week' : 'weeks'
             const isFinalWeek = weeksAfterThisWeek === 0
             const activeBanner = isFinalWeek
-              ? `PENALTY ACTIVE: ${offender.name} is serving the final penalty week (${totalPenaltyWeeks}/${totalPenaltyWeeks}). The normal rotation resumes next week.`
-              : `PENALTY ACTIVE: ${offender.name} is on week ${activeWeekNumber} of ${totalPenaltyWeeks}. ${weeksAfterThisWeek} ${remainingWeekWord} will remain afterward.`
+              ? render('banner.penaltyFinal', language, {
+                  offender: offender.name,
+                  totalWeeks: totalPenaltyWeeks,
+                  afterPenalty: afterPenaltyText,
+                })
+              : render('banner.penaltyActive', language, {
+                  offender: offender.name,
+                  week: activeWeekNumber,
+                  totalWeeks: totalPenaltyWeeks,
+                  weeksAfter: weeksAfterThisWeek,
+                })
 
             penaltyInfo = {
               offenderName: offender.name,
@@ -244,7 +151,6 @@ export default {
               rawWeeksRemaining: futureWeeks,
               weeksServed,
               currentWeek: activeWeekNumber,
-              weekString: weeksIncludingCurrent === 1 ? 'week' : 'weeks',
               weeksRemainingAfterCurrent: weeksAfterThisWeek,
               totalWeeks: totalPenaltyWeeks,
               isActive: true,
@@ -253,36 +159,140 @@ export default {
               bannerText: activeBanner,
             }
 
-            onDutyName = offender.name
             lastWeekName = offender.name
           } else if (offender && futureWeeks > 0) {
-            const weekString = futureWeeks === 1 ? 'week' : 'weeks'
             penaltyInfo = {
               offenderName: offender.name,
               weeksRemaining: futureWeeks,
               rawWeeksRemaining: futureWeeks,
               weeksServed: 0,
               currentWeek: 0,
-              weekString,
               weeksRemainingAfterCurrent: futureWeeks,
               totalWeeks: totalPenaltyWeeks,
               isActive: false,
               startsNextRotation: true,
               isFinalWeek: false,
-              bannerText: `Penalty recorded: ${offender.name} owes ${futureWeeks} ${weekString}. The rotation will pause when their turn arrives.`,
+              bannerText: render('banner.penaltyRecorded', language, {
+                offender: offender.name,
+                weeks: futureWeeks,
+              }),
             }
 
             lastWeekName = offender.name
           }
         }
 
+        if (penaltyInfo.offenderName) {
+          penaltyInfo.workOff = describeWorkOff(rawPenaltyBox, penaltyPolicy)
+          penaltyInfo.reason = describePenaltyReason(
+            rawPenaltyBox,
+            render,
+            language
+          )
+          penaltyInfo.queue = penaltyQueue
+          if (penaltyQueue.length > 0) {
+            const queueText = render('banner.queue', language, {
+              queue: penaltyQueue
+                .map((entry) =>
+                  render('banner.queueEntry', language, {
+                    offender: entry.offenderName,
+                    weeks: entry.weeks,
+                    startsWeekOf: formatDate(
+                      new Date(`${entry.startsWeekOf}T00:00:00Z`),
+                      language
+                    ),
+                  })
+                )
+                .join(', '),
+            })
+            penaltyInfo.bannerText = `${penaltyInfo.bannerText} ${queueText}`
+          }
+        }
+
+        // The forecast engine is the single source for this week and the
+        // weeks ahead; it applies penalties, away skips, makeups and swaps.
+        const requestedWeeks = parseInt(url.searchParams.get('weeks'), 10)
+        const upcomingWeeks = Number.isInteger(requestedWeeks)
+          ? Math.min(UPCOMING_MAX_WEEKS, Math.max(1, requestedWeeks))
+          : UPCOMING_DEFAULT_WEEKS
+        const forecast = await loadStoredForecast(
+          env,
+          rotationDb,
+          team,
+          upcomingWeeks + 1
+        )
+        onDutyName = forecast[0].name
+
+        const overrides = await loadWeekOverrides(rotationDb)
+        if (!penaltyInfo.offenderName) {
+          lastWeekName =
+            team[
+              resolveLastWeekIndex(
+                team,
+                currentIndex,
+                overrides,
+                await rotationDb.get('PREVIOUS_DUTY_CONFIRMATION', 'json'),
+                clock
+              )
+            ].name
+        }
+
+        const dutyRecord = await rotationDb.get('DUTY_CONFIRMATION', 'json')
+
+        const rotation = getRotationConfig(env)
         const responseData = {
+          rotation: {
+            id: rotation.id,
+            name: rotation.name,
+            choreName: rotation.choreName,
+            emoji: rotation.emoji,
+            dashboardUrl: rotation.dashboardUrl,
+            mode: rotation.mode,
+            ...describeRotationClock(clock),
+          },
+          language,
           onDuty: onDutyName,
           lastWeek: lastWeekName,
-          team: team,
+          team: team.map(describePublicMember),
           currentIndex: currentIndex,
           penaltyBox: rawPenaltyBox,
+          penaltyQueue,
           penaltyInfo: penaltyInfo,
+          confirmation: describeConfirmation(dutyRecord, onDutyName),
+          penaltyPolicy: {
+            ...penaltyPolicy,
+            summary: describePenaltyPolicy(penaltyPolicy),
+          },
+          weekOf: forecast[0].weekOf,
+          upcoming: forecast
+            .slice(1)
+            .map((slot) => describeForecastSlot(slot, render, language)),
+          away: describeAwayMembers(team, getLocalToday(env)),
+          collections: upcomingCollections(
+            resolveCollectionCalendar(
+              await loadCollectionCalendar(rotationDb),
+              clock
+            ),
+            getLocalToday(env)
+          ),
+          pendingReport: describePendingReport(
+            await rotationDb.get('PENDING_REPORT', 'json'),
+            env,
+            team.length,
+            render,
+            language
+          ),
+          swaps: {
+            overrides: describeWeekOverrides(overrides, team),
+            pending: (
+              await loadSwapProposals(rotationDb, getRotationClock(env))
+            ).map(describeSwapProposal),
+          },
+          fairness: describeFairness(
+            team,
+            await loadFairnessLedger(rotationDb),
+            rotation.mode
+          ),
         }
 
         return new Response(JSON.stringify(responseData), {
@@ -302,6 +312,14 @@ export default {
       }
     }
 
+    if (url.pathname === '/report/code' && request.method === 'POST') {
+      return handleReportCodeRequest(request, env, corsHeaders)
+    }
+
+    if (url.pathname === '/report/dispute' && request.method === 'POST') {
+      return handleReportDisputeRequest(request, env, corsHeaders)
+    }
+
     if (url.pathname === '/report' && request.method === 'POST') {
       let rotationDb
       try {
@@ -330,135 +348,8444 @@ export default {
           }
         )
       }
-      const teamSize = teamData.length
-      const currentIndex = parseInt(
-        (await rotationDb.get('CURRENT_INDEX')) || '0'
-      )
-      // Determine if a penalty is already active so we can decide who actually missed.
-      const existingPenalty =
-        (await rotationDb.get('PENALTY_BOX', 'json')) || {}
-      const existingFutureWeeks = Number.isInteger(
-        existingPenalty.weeksRemaining
-      )
-        ? Math.max(0, existingPenalty.weeksRemaining)
-        : 0
-      const hasActivePenalty =
-        Number.isInteger(existingPenalty.offenderIndex) &&
-        existingFutureWeeks > 0
-      // If a penalty is active we penalize the same offender again; otherwise fall back to
-      // “last week’s” person based on rotation order.
-      const offenderIndex = hasActivePenalty
-        ? existingPenalty.offenderIndex
-        : (currentIndex - 1 + teamSize) % teamSize
 
-      if (
-        hasActivePenalty &&
-        existingPenalty.offenderIndex === offenderIndex &&
-        existingFutureWeeks >= PENALTY_LENGTH - 1
-      ) {
-        const offender = teamData[offenderIndex]
-        console.info(
-          `Penalty report ignored: ${offender.name} already has ${existingFutureWeeks} future weeks queued.`
+      // Reports are tied to a housemate: the caller proves their identity with
+      // the one-time code texted to their roster phone by /report/code.
+      const body = await readJsonBody(request)
+      const reporterIndex = await verifyReportCode(
+        rotationDb,
+        teamData,
+        body && body.phone,
+        body && body.code
+      )
+      if (reporterIndex === -1) {
+        return jsonResponse(
+          { error: 'Invalid or expired code. Request a new one.' },
+          corsHeaders,
+          403
         )
-        const responseData = {
-          message: `${offender.name} already has a penalty in progress. No changes recorded.`,
-        }
-        return new Response(JSON.stringify(responseData), {
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        })
       }
 
-      const penalty = {
-        offenderIndex: offenderIndex,
-        weeksRemaining: Math.max(0, PENALTY_LENGTH - 1),
+      const result = await submitMissedDutyReport(
+        env,
+        rotationDb,
+        teamData,
+        reporterIndex
+      )
+      if (!result.ok) {
+        return jsonResponse({ error: result.message }, corsHeaders, 409)
       }
-      await rotationDb.put('PENALTY_BOX', JSON.stringify(penalty))
-      await rotationDb.put('CURRENT_INDEX', offenderIndex.toString())
+      const undo = await issueReportUndoToken(
+        env,
+        rotationDb,
+        teamData,
+        reporterIndex
+      )
+      return jsonResponse(
+        {
+          message: result.message,
+          undoToken: undo.token,
+          undoUntil: undo.until,
+        },
+        corsHeaders
+      )
+    }
 
-      const offender = teamData[offenderIndex]
-      if (offender && offender.name) {
-        console.info(
-          `Penalty activated for ${offender.name}. Future penalty weeks queued: ${penalty.weeksRemaining}`
-        )
-          const penaltyMessage =
-          `⚠️ Penalty filed: ${offender.name} missed trash duty.` +
-          `\n${offender.name} will serve a ${PENALTY_LENGTH}-week penalty starting now.` +
-          `\n\nCheck the schedule: https://trashbot.kwon.ai`
+    if (url.pathname === '/report/undo' && request.method === 'POST') {
+      return handleReportUndoRequest(request, env, corsHeaders)
+    }
 
-        const recipients = teamData.filter(
-          (member) => member && typeof member.phone === 'string' && member.phone
-        )
+    if (url.pathname.startsWith('/away') && request.method === 'POST') {
+      return handleAwayRequest(request, env, url, corsHeaders)
+    }
 
-        const alertResults = await Promise.allSettled(
-          recipients.map((member) => sendSms(env, member.phone, penaltyMessage))
-        )
-        const alertFailures = alertResults.filter((result) => {
-          if (result.status === 'rejected') return true
-          return result.value && result.value.ok === false
-        })
-        if (alertFailures.length > 0) {
-          console.error(
-            `Penalty alert failed for ${alertFailures.length} teammate(s).`
-          )
-        }
-      }
+    if (url.pathname.startsWith('/penalty/') && request.method === 'POST') {
+      return handleWorkOffRequest(request, env, url, corsHeaders)
+    }
 
-      const responseData = {
-        message:
-          'Penalty has been recorded. The offender is now on duty for the next three weeks.',
-      }
+    if (url.pathname.startsWith('/swaps') && request.method === 'POST') {
+      return handleSwapRequest(request, env, url, corsHeaders)
+    }
 
-      return new Response(JSON.stringify(responseData), {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      })
+    if (url.pathname.startsWith('/calendar') && request.method === 'GET') {
+      return handleCalendarRequest(env, url, corsHeaders)
+    }
+
+    if (url.pathname.startsWith('/me/')) {
+      return handlePersonalRequest(request, env, url, corsHeaders)
+    }
+
+    if (url.pathname === '/history' && request.method === 'GET') {
+      return handleHistoryRequest(env, url, corsHeaders)
+    }
+
+    if (url.pathname.startsWith('/push/')) {
+      return handlePushRequest(request, env, url, corsHeaders)
+    }
+
+    if (url.pathname === '/confirm' && request.method === 'POST') {
+      return handleConfirmRequest(request, env, corsHeaders)
+    }
+
+    if (url.pathname === '/sms/status' && request.method === 'POST') {
+      return handleSmsStatusCallback(request, env, url)
+    }
+
+    if (url.pathname === '/sms' && request.method === 'POST') {
+      return handleInboundSms(request, env, url)
+    }
+
+    if (url.pathname.startsWith('/admin/')) {
+      return handleAdminRequest(request, env, url, corsHeaders)
     }
 
     return new Response('Not Found', { status: 404, headers: corsHeaders })
   },
 }
 
-// --- HELPER FUNCTIONS ---
+// --- ROTATIONS ---
 
-async function sendSms(env, to, body) {
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`
-  const data = new URLSearchParams({
-    To: to,
-    From: env.TWILIO_PHONE_NUMBER,
-    Body: body,
-  })
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Authorization:
-          'Basic ' + btoa(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`),
+// One worker serves several rotations (houses, or chores within a house).
+// The default rotation keeps the original unprefixed KV keys and routes;
+// every other rotation lives under ROTATION:<id>: and /r/<id>/.
+const DEFAULT_ROTATION_ID = 'default'
+const ROTATION_KEY_PREFIX = 'ROTATION:'
+const ROTATION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/
+const ROTATION_PATH_PATTERN = /^\/r\/([^/]+)(\/.*)?$/
+const DEFAULT_ROTATION_CONFIG = {
+  name: 'Regent House',
+  choreName: 'Trash Duty',
+  emoji: '🗑️',
+  doneHint: 'the bins are out',
+  dashboardUrl: 'https://trashbot.kwon.ai',
+  timezone: 'UTC',
+  // Members without their own language get this one.
+  language: 'en',
+  // 'balanced' gives each normal week to whoever is furthest behind on the
+  // fairness ledger instead of the next member in roster order.
+  mode: 'round-robin',
+  sendTime: null,
+  cadence: { type: 'weekly', weekday: null, pickupDays: [], anchorWeek: null },
+}
+const ROTATION_TEXT_FIELDS = ['name', 'choreName', 'emoji', 'doneHint']
+
+/**
+ * Every configured rotation, default first. Configs live in the unprefixed
+ * ROTATIONS key as { [id]: config }; missing fields fall back to the defaults.
+ */
+async function loadRotations(kv) {
+  const stored = (await kv.get('ROTATIONS', 'json')) || {}
+  const ids = [
+    DEFAULT_ROTATION_ID,
+    ...Object.keys(stored).filter((id) => id !== DEFAULT_ROTATION_ID),
+  ]
+  return ids.map((id) => describeRotation(id, stored[id] || {}))
+}
+
+function describeRotation(id, config) {
+  return {
+    ...DEFAULT_ROTATION_CONFIG,
+    ...config,
+    cadence: { ...DEFAULT_ROTATION_CONFIG.cadence, ...(config.cadence || {}) },
+    id,
+    pathPrefix: id === DEFAULT_ROTATION_ID ? '' : `/r/${id}`,
+  }
+}
+
+async function findRotation(kv, id) {
+  if (!ROTATION_ID_PATTERN.test(id)) return null
+  const rotations = await loadRotations(kv)
+  return rotations.find((rotation) => rotation.id === id) || null
+}
+
+/**
+ * A KV view that prefixes every key with the rotation's namespace. List
+ * results have the prefix stripped, so callers see the same key names as the
+ * default rotation.
+ */
+function scopeRotationDb(kv, rotationId) {
+  if (rotationId === DEFAULT_ROTATION_ID) return kv
+  const prefix = `${ROTATION_KEY_PREFIX}${rotationId}:`
+  return {
+    get: (key, type) => kv.get(prefix + key, type),
+    put: (key, value, options) => kv.put(prefix + key, value, options),
+    delete: (key) => kv.delete(prefix + key),
+    async list(options = {}) {
+      const listing = await kv.list({
+        ...options,
+        prefix: prefix + (options.prefix || ''),
+      })
+      return {
+        ...listing,
+        keys: listing.keys.map((key) => ({
+          ...key,
+          name: key.name.slice(prefix.length),
+        })),
+      }
+    },
+  }
+}
+
+/** The env every handler sees for one rotation. */
+function withRotation(env, rotation) {
+  return {
+    ...env,
+    ROTATION_DB: scopeRotationDb(env.ROTATION_DB, rotation.id),
+    ROTATION: rotation,
+  }
+}
+
+function getRotationConfig(env) {
+  return env.ROTATION || describeRotation(DEFAULT_ROTATION_ID, {})
+}
+
+/** Whether the request came in under /r/<id>/ rather than the root routes. */
+function isRotationScoped(request) {
+  return ROTATION_PATH_PATTERN.test(new URL(request.url).pathname)
+}
+
+/** Public base URL of this rotation's routes, e.g. https://api/r/kitchen. */
+function rotationOrigin(env, url) {
+  return url.origin + getRotationConfig(env).pathPrefix
+}
+
+function validateRotationConfig(config) {
+  for (const field of ROTATION_TEXT_FIELDS) {
+    const value = config[field]
+    if (
+      value !== undefined &&
+      (typeof value !== 'string' || value.trim() === '' || value.length > 60)
+    ) {
+      return `${field} must be a short, non-empty string.`
+    }
+  }
+  if (config.dashboardUrl !== undefined) {
+    let parsed = null
+    try {
+      parsed = new URL(config.dashboardUrl)
+    } catch (error) {
+      parsed = null
+    }
+    if (!parsed || parsed.protocol !== 'https:') {
+      return 'dashboardUrl must be an https:// URL.'
+    }
+  }
+  if (
+    config.language !== undefined &&
+    !MESSAGE_LANGUAGES.includes(config.language)
+  ) {
+    return `language must be one of ${MESSAGE_LANGUAGES.join(', ')}.`
+  }
+  if (config.mode !== undefined && !ROTATION_MODES.includes(config.mode)) {
+    return `mode must be one of ${ROTATION_MODES.join(', ')}.`
+  }
+  if (config.timezone !== undefined && !isValidTimeZone(config.timezone)) {
+    return 'timezone must be an IANA time zone such as Europe/London.'
+  }
+  if (
+    config.sendTime !== undefined &&
+    config.sendTime !== null &&
+    !SEND_TIME_PATTERN.test(config.sendTime)
+  ) {
+    return 'sendTime must be null or a 24-hour HH:MM time.'
+  }
+  if (config.cadence !== undefined) {
+    const cadence = config.cadence
+    if (!cadence || typeof cadence !== 'object') {
+      return 'cadence must be an object.'
+    }
+    if (cadence.type !== undefined && !CADENCE_TYPES.includes(cadence.type)) {
+      return `cadence.type must be one of ${CADENCE_TYPES.join(', ')}.`
+    }
+    if (
+      cadence.weekday !== undefined &&
+      cadence.weekday !== null &&
+      !isWeekdayNumber(cadence.weekday)
+    ) {
+      return 'cadence.weekday must be null or a whole number from 0 (Sunday) to 6.'
+    }
+    if (
+      cadence.pickupDays !== undefined &&
+      (!Array.isArray(cadence.pickupDays) ||
+        !cadence.pickupDays.every(isWeekdayNumber))
+    ) {
+      return 'cadence.pickupDays must list weekdays from 0 (Sunday) to 6.'
+    }
+    if (
+      cadence.type === 'pickup-days' &&
+      Array.isArray(cadence.pickupDays) &&
+      cadence.pickupDays.length === 0
+    ) {
+      return 'A pickup-days cadence needs at least one weekday in cadence.pickupDays.'
+    }
+    if (
+      cadence.anchorWeek !== undefined &&
+      cadence.anchorWeek !== null &&
+      !(
+        DATE_KEY_PATTERN.test(cadence.anchorWeek) &&
+        new Date(`${cadence.anchorWeek}T00:00:00Z`).getUTCDay() === 1
+      )
+    ) {
+      return 'cadence.anchorWeek must be a Monday (YYYY-MM-DD).'
+    }
+  }
+  return null
+}
+
+function isWeekdayNumber(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 6
+}
+
+/**
+ * Root-only admin routes for the rotation registry:
+ *   GET    /admin/rotations
+ *   PUT    /admin/rotations/:id  { name?, choreName?, emoji?, doneHint?, dashboardUrl?, timezone?, language?, mode?, sendTime?, cadence? }
+ *   DELETE /admin/rotations/:id
+ */
+async function handleRotationAdminRequest(request, env, url, corsHeaders) {
+  const kv = env.ROTATION_DB
+  if (url.pathname === '/admin/rotations' && request.method === 'GET') {
+    return jsonResponse({ rotations: await loadRotations(kv) }, corsHeaders)
+  }
+
+  const match = url.pathname.match(/^\/admin\/rotations\/([^/]+)$/)
+  if (!match) return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  const id = match[1]
+  if (!ROTATION_ID_PATTERN.test(id)) {
+    return jsonResponse(
+      {
+        error:
+          'Rotation ids use lowercase letters, digits and dashes (up to 32).',
       },
-      body: data,
+      corsHeaders,
+      400
+    )
+  }
+  const stored = (await kv.get('ROTATIONS', 'json')) || {}
+
+  if (request.method === 'PUT') {
+    const body = await readJsonBody(request)
+    if (!body || typeof body !== 'object') {
+      return jsonResponse(
+        { error: 'Request body must be a JSON object.' },
+        corsHeaders,
+        400
+      )
+    }
+    const problem = validateRotationConfig(body)
+    if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+    const config = { ...(stored[id] || {}) }
+    for (const field of [
+      ...ROTATION_TEXT_FIELDS,
+      'dashboardUrl',
+      'timezone',
+      'language',
+      'mode',
+      'sendTime',
+    ]) {
+      if (body[field] !== undefined) config[field] = body[field]
+    }
+    if (body.cadence !== undefined) {
+      config.cadence = { ...(config.cadence || {}), ...body.cadence }
+      // A biweekly cadence counts its turns from the week it was switched on
+      // unless an anchor is given.
+      if (config.cadence.type === 'biweekly' && !config.cadence.anchorWeek) {
+        config.cadence.anchorWeek = getWeekKey(
+          new Date(),
+          config.timezone || DEFAULT_ROTATION_CONFIG.timezone
+        )
+      }
+    }
+    // The body was checked on its own; the merged config is what the clock
+    // will run on, so it must hold together too.
+    const mergedProblem = validateRotationConfig(describeRotation(id, config))
+    if (mergedProblem) {
+      return jsonResponse({ error: mergedProblem }, corsHeaders, 400)
+    }
+    stored[id] = config
+    await kv.put('ROTATIONS', JSON.stringify(stored))
+    console.info(`Admin saved rotation ${id}.`)
+    return jsonResponse({ rotation: describeRotation(id, config) }, corsHeaders)
+  }
+
+  if (request.method === 'DELETE') {
+    if (id === DEFAULT_ROTATION_ID) {
+      return jsonResponse(
+        { error: 'The default rotation cannot be removed.' },
+        corsHeaders,
+        409
+      )
+    }
+    if (!stored[id]) {
+      return jsonResponse({ error: 'No such rotation.' }, corsHeaders, 404)
+    }
+    delete stored[id]
+    await kv.put('ROTATIONS', JSON.stringify(stored))
+    console.info(`Admin removed rotation ${id}.`)
+    return jsonResponse({ message: `Rotation ${id} removed.` }, corsHeaders)
+  }
+
+  return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+}
+
+/**
+ * One rotation's share of a cron tick. A second cron trigger (ESCALATION_CRON)
+ * chases unconfirmed duty instead of rotating; otherwise the rotation runs
+ * when its clock says it is due. Either way, due collection reminders go out.
+ */
+async function runScheduledForRotation(event, env) {
+  const rotationDb = getRotationDb(env)
+  const clock = getRotationClock(env)
+  await migrateRotationState(rotationDb)
+
+  const now = new Date()
+  if (env.ESCALATION_CRON && event && event.cron === env.ESCALATION_CRON) {
+    await settlePendingReport(env, rotationDb, { beforeRotation: false })
+    await runEscalationPass(env, rotationDb)
+  } else if (isRotationDue(clock, now)) {
+    await runWeeklyRotation(env, rotationDb, now)
+  }
+  // Collection reminders ride on whichever cron fires; their markers keep
+  // them to one per pickup.
+  await sendPickupReminder(env, rotationDb, now)
+  await sendBinsOutReminder(env, rotationDb, now)
+  await retryFailedDeliveries(env, rotationDb)
+}
+
+// --- ROTATION CLOCK ---
+
+// Every date a rotation works with is a calendar date in its time zone. A
+// turn is one Mon–Sun week, or two for a biweekly cadence (counted from
+// cadence.anchorWeek), and is keyed by the YYYY-MM-DD of its first Monday.
+const CADENCE_TYPES = ['weekly', 'biweekly', 'pickup-days']
+const SEND_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const DEFAULT_ANCHOR_WEEK = '2024-01-01'
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/** The rotation's date settings, with defaults applied. */
+function getRotationClock(env) {
+  const { timezone, sendTime, cadence } = getRotationConfig(env)
+  return {
+    timeZone: timezone,
+    sendTime: sendTime || null,
+    type: cadence.type,
+    turnWeeks: cadence.type === 'biweekly' ? 2 : 1,
+    anchorWeek: cadence.anchorWeek || DEFAULT_ANCHOR_WEEK,
+    weekday: cadence.weekday,
+    pickupDays: cadence.type === 'pickup-days' ? cadence.pickupDays : [],
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/** Local date key, HH:MM time and weekday (0 = Sunday) of an instant. */
+function localDateParts(date, timeZone) {
+  const parts = {}
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short',
+  })
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value
+  }
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday),
+  }
+}
+
+function getLocalToday(env) {
+  return localDateParts(new Date(), getRotationClock(env).timeZone).dateKey
+}
+
+/** Key of the turn containing the given instant. */
+function getTurnKey(date, clock) {
+  const weekKey = getWeekKey(date, clock.timeZone)
+  const weeksSinceAnchor = Math.round(
+    (Date.parse(`${weekKey}T00:00:00Z`) -
+      Date.parse(`${clock.anchorWeek}T00:00:00Z`)) /
+      (7 * 86400000)
+  )
+  const offset =
+    ((weeksSinceAnchor % clock.turnWeeks) + clock.turnWeeks) % clock.turnWeeks
+  return addWeeksToKey(weekKey, -offset)
+}
+
+function addTurnsToKey(turnKey, turns, clock) {
+  return addWeeksToKey(turnKey, turns * clock.turnWeeks)
+}
+
+/**
+ * Whether this tick should run the rotation: on the cadence weekday (any day
+ * when unset), once the local send time has passed, and for a biweekly
+ * cadence only in the first week of a turn. The run ledger keeps it to one
+ * run per week however often the cron fires.
+ */
+function isRotationDue(clock, now) {
+  const { time, weekday } = localDateParts(now, clock.timeZone)
+  if (clock.weekday !== null && clock.weekday !== weekday) return false
+  if (clock.sendTime && time < clock.sendTime) return false
+  return getTurnKey(now, clock) === getWeekKey(now, clock.timeZone)
+}
+
+/** Public summary of the clock for /schedule and the dashboard. */
+function describeRotationClock(clock) {
+  return {
+    timezone: clock.timeZone,
+    sendTime: clock.sendTime,
+    cadence: clock.type,
+    turnWeeks: clock.turnWeeks,
+    weekday: clock.weekday,
+    pickupDays: clock.pickupDays,
+  }
+}
+
+// --- STATE SCHEMA ---
+
+// The core rotation state is one logical document spread over TEAM_MEMBERS,
+// CURRENT_INDEX, PENALTY_BOX and PENALTY_QUEUE. STATE_SCHEMA records which
+// version of that shape the keys are in, so older trees migrate in place.
+const STATE_SCHEMA_KEY = 'STATE_SCHEMA'
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/
+
+/**
+ * Migrations in order; migration N upgrades the keys from version N - 1.
+ * Each one is safe to re-run, because a failure part-way leaves
+ * STATE_SCHEMA at the older version.
+ */
+const STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      'Normalize the loose pre-schema keys: E.164 phones, a numeric in-range CURRENT_INDEX, and penalties with ids and lengths.',
+    migrate: migrateLooseKeys,
+  },
+  {
+    version: 2,
+    description:
+      'Move the single PENALTY_UNDO record to PENALTY_UNDO:<penaltyId>, keeping the displaced assignee instead of a state snapshot.',
+    migrate: migratePenaltyUndo,
+  },
+]
+const STATE_SCHEMA_VERSION = STATE_MIGRATIONS.length
+
+function isMemberIndex(index, teamSize) {
+  return Number.isInteger(index) && index >= 0 && index < teamSize
+}
+
+/** CURRENT_INDEX as an index into a team of this size, or 0 when it is not one. */
+async function loadCurrentIndex(rotationDb, teamSize) {
+  const storedIndex = parseInt((await rotationDb.get('CURRENT_INDEX')) || '0')
+  return isMemberIndex(storedIndex, teamSize) ? storedIndex : 0
+}
+
+/**
+ * Rewrites a phone typed with spaces, dashes, dots or brackets (or a 00
+ * international prefix) as E.164. Numbers without a country code are left
+ * alone for the validator to report, since the country cannot be guessed.
+ */
+function toE164(phone) {
+  if (typeof phone !== 'string') return phone
+  const compact = phone
+    .trim()
+    .replace(/[\s().-]/g, '')
+    .replace(/^00/, '+')
+  return E164_PATTERN.test(compact) ? compact : phone
+}
+
+async function loadStateSchema(rotationDb) {
+  return (
+    (await rotationDb.get(STATE_SCHEMA_KEY, 'json')) || {
+      version: 0,
+      migrations: [],
+    }
+  )
+}
+
+/**
+ * Brings this rotation's keys up to STATE_SCHEMA_VERSION. A rotation with no
+ * team yet is stamped as current without touching anything. Returns the
+ * versions it applied.
+ */
+async function migrateRotationState(rotationDb) {
+  const schema = await loadStateSchema(rotationDb)
+  if (schema.version >= STATE_SCHEMA_VERSION) return []
+  const applied = []
+  const notes = []
+  const history = [...schema.migrations]
+  for (const migration of STATE_MIGRATIONS) {
+    if (migration.version <= schema.version) continue
+    await migration.migrate(rotationDb, notes)
+    applied.push(migration.version)
+    history.push({
+      version: migration.version,
+      appliedAt: new Date().toISOString(),
     })
-    if (!response.ok) {
-      const errorData = await response.json()
-      console.error(`Twilio Error for ${to}:`, errorData.message)
-      return { ok: false, to, error: errorData.message }
+    await rotationDb.put(
+      STATE_SCHEMA_KEY,
+      JSON.stringify({ version: migration.version, migrations: history })
+    )
+  }
+  for (const note of notes) console.info(`State migration: ${note}`)
+  console.info(
+    `Migrated rotation state from version ${schema.version} to ${STATE_SCHEMA_VERSION}.`
+  )
+  return applied
+}
+
+async function migratePenaltyUndo(rotationDb, notes) {
+  const undo = await rotationDb.get('PENALTY_UNDO', 'json')
+  if (!undo) return
+  if (undo.penaltyId) {
+    const { snapshot, ...rest } = undo
+    const replacedIndex = snapshot ? parseInt(snapshot.currentIndex) : NaN
+    await savePenaltyUndo(rotationDb, {
+      ...rest,
+      replacedIndex: Number.isInteger(replacedIndex) ? replacedIndex : null,
+    })
+    notes.push(`Keyed the undo record for penalty ${undo.penaltyId} by its id.`)
+  }
+  await rotationDb.delete('PENALTY_UNDO')
+}
+
+async function migrateLooseKeys(rotationDb, notes) {
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) return
+
+  const migratedTeam = team.map((member) => {
+    if (!member || typeof member !== 'object') return member
+    const phone = toE164(member.phone)
+    if (phone !== member.phone) {
+      notes.push(`Rewrote ${member.name}'s phone in E.164 form.`)
+    }
+    return {
+      ...member,
+      name: typeof member.name === 'string' ? member.name.trim() : member.name,
+      phone,
+    }
+  })
+  await rotationDb.put('TEAM_MEMBERS', JSON.stringify(migratedTeam))
+
+  const rawIndex = await rotationDb.get('CURRENT_INDEX')
+  const currentIndex = await loadCurrentIndex(rotationDb, team.length)
+  if (rawIndex !== String(currentIndex)) {
+    notes.push(
+      `Reset CURRENT_INDEX ${JSON.stringify(rawIndex)} to ${currentIndex}.`
+    )
+    await rotationDb.put('CURRENT_INDEX', String(currentIndex))
+  }
+
+  // Penalties keep their meaning; older ones gain the id and length that
+  // undo and the duplicate check rely on. Unservable ones are dropped.
+  const policy = await loadPenaltyPolicy(rotationDb)
+  const migratePenalty = (entry) =>
+    entry &&
+    isMemberIndex(entry.offenderIndex, team.length) &&
+    Number.isInteger(entry.weeksRemaining) &&
+    entry.weeksRemaining >= 0
+      ? {
+          ...entry,
+          id: entry.id || crypto.randomUUID().slice(0, 8),
+          totalWeeks: penaltyTotalWeeks(entry, policy),
+        }
+      : null
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+  if (penaltyBox) {
+    const migratedBox = migratePenalty(penaltyBox)
+    if (migratedBox) {
+      await rotationDb.put('PENALTY_BOX', JSON.stringify(migratedBox))
     } else {
-      console.log(`Message sent successfully to ${to}`)
-      return { ok: true, to }
+      notes.push('Dropped a PENALTY_BOX that could not be served.')
+      await rotationDb.delete('PENALTY_BOX')
     }
-  } catch (error) {
-    console.error(`Failed to send message to ${to}:`, error)
-    return { ok: false, to, error: error?.message || 'unknown error' }
+  }
+  const penaltyQueue = await loadPenaltyQueue(rotationDb)
+  if (penaltyQueue.length > 0) {
+    const migratedQueue = penaltyQueue
+      .map(migratePenalty)
+      .filter((entry) => entry && entry.weeksRemaining > 0)
+    if (migratedQueue.length < penaltyQueue.length) {
+      notes.push(
+        `Dropped ${
+          penaltyQueue.length - migratedQueue.length
+        } queued penalty(ies) that could not be served.`
+      )
+    }
+    await savePenaltyQueue(rotationDb, migratedQueue)
   }
 }
 
-function getRotationDb(env) {
-  const kv = env?.ROTATION_DB
-  if (!kv || typeof kv.get !== 'function') {
-    throw new Error('ROTATION_DB binding is not configured.')
+/**
+ * Checks the stored state against the current schema without changing it.
+ * Returns { version, migrationPending, problems }, where each problem is
+ * { key, message } and an empty list means the next cron run will go through.
+ */
+async function inspectRotationState(rotationDb) {
+  const schema = await loadStateSchema(rotationDb)
+  const problems = validateRotationState({
+    team: await rotationDb.get('TEAM_MEMBERS', 'json'),
+    rawIndex: await rotationDb.get('CURRENT_INDEX'),
+    penaltyBox: await rotationDb.get('PENALTY_BOX', 'json'),
+    penaltyQueue: await rotationDb.get('PENALTY_QUEUE', 'json'),
+  })
+  if (schema.version > STATE_SCHEMA_VERSION) {
+    problems.unshift({
+      key: STATE_SCHEMA_KEY,
+      message: `The state is at version ${schema.version}, newer than this worker understands (${STATE_SCHEMA_VERSION}).`,
+    })
   }
-  return kv
+  return {
+    version: schema.version,
+    migrationPending: schema.version < STATE_SCHEMA_VERSION,
+    problems,
+  }
+}
+
+function validateRotationState({ team, rawIndex, penaltyBox, penaltyQueue }) {
+  const problems = []
+  const report = (key, message) => problems.push({ key, message })
+  if (!Array.isArray(team) || team.length === 0) {
+    report('TEAM_MEMBERS', 'The team is missing or empty.')
+    return problems
+  }
+
+  const seenNames = new Set()
+  const seenPhones = new Set()
+  team.forEach((member, index) => {
+    if (!member || typeof member !== 'object') {
+      report('TEAM_MEMBERS', `Member ${index} is not an object.`)
+      return
+    }
+    const name =
+      typeof member.name === 'string' && member.name.trim()
+        ? member.name.trim()
+        : null
+    const label = name || `Member ${index}`
+    if (!name) report('TEAM_MEMBERS', `Member ${index} has no name.`)
+    else if (seenNames.has(name.toLowerCase())) {
+      report('TEAM_MEMBERS', `${name} appears more than once.`)
+    }
+    if (name) seenNames.add(name.toLowerCase())
+    if (!E164_PATTERN.test(member.phone || '')) {
+      report(
+        'TEAM_MEMBERS',
+        `${label}'s phone is not an E.164 number such as +15551234567.`
+      )
+    } else if (seenPhones.has(member.phone)) {
+      report('TEAM_MEMBERS', `${label} shares a phone with another member.`)
+    }
+    seenPhones.add(member.phone)
+    const notificationProblem = validateNotificationFields(member)
+    if (notificationProblem) {
+      report('TEAM_MEMBERS', `${label}: ${notificationProblem}`)
+    }
+  })
+
+  if (rawIndex !== null && !isMemberIndex(Number(rawIndex), team.length)) {
+    report(
+      'CURRENT_INDEX',
+      `CURRENT_INDEX is ${JSON.stringify(rawIndex)}, not a position from 0 to ${
+        team.length - 1
+      }.`
+    )
+  }
+
+  const penaltyProblem = (entry) => {
+    if (!entry || typeof entry !== 'object') return 'is not an object'
+    if (!isMemberIndex(entry.offenderIndex, team.length)) {
+      return `names offender ${JSON.stringify(
+        entry.offenderIndex
+      )}, who is not on the team`
+    }
+    if (!Number.isInteger(entry.weeksRemaining) || entry.weeksRemaining < 0) {
+      return 'has no whole number of weeks remaining'
+    }
+    if (
+      entry.totalWeeks !== undefined &&
+      !(
+        Number.isInteger(entry.totalWeeks) &&
+        entry.totalWeeks >= 1 &&
+        entry.totalWeeks <= PENALTY_WEEKS_LIMIT
+      )
+    ) {
+      return `has a length outside 1-${PENALTY_WEEKS_LIMIT} weeks`
+    }
+    return null
+  }
+  if (penaltyBox) {
+    const problem = penaltyProblem(penaltyBox)
+    if (problem) report('PENALTY_BOX', `The current penalty ${problem}.`)
+  }
+  if (penaltyQueue != null && !Array.isArray(penaltyQueue)) {
+    report('PENALTY_QUEUE', 'PENALTY_QUEUE is not a list.')
+  } else {
+    ;(penaltyQueue || []).forEach((entry, position) => {
+      const problem = penaltyProblem(entry)
+      if (problem) {
+        report('PENALTY_QUEUE', `Queued penalty ${position + 1} ${problem}.`)
+      }
+    })
+  }
+  return problems
+}
+
+/**
+ * GET /health: the state check for this rotation, or for every rotation at
+ * the root. Answers 503 while any rotation has problems, so an uptime
+ * monitor can catch them before the weekly cron does.
+ */
+async function handleHealthRequest(request, env, corsHeaders) {
+  let kv
+  try {
+    kv = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { ok: false, error: 'Server configuration error.' },
+      corsHeaders,
+      500
+    )
+  }
+  const rotations = isRotationScoped(request)
+    ? [getRotationConfig(env)]
+    : await loadRotations(kv)
+  const results = []
+  for (const rotation of rotations) {
+    const scopedEnv = isRotationScoped(request)
+      ? env
+      : withRotation(env, rotation)
+    results.push({
+      id: rotation.id,
+      ...(await inspectRotationState(getRotationDb(scopedEnv))),
+    })
+  }
+  const ok = results.every((result) => result.problems.length === 0)
+  return jsonResponse(
+    {
+      ok,
+      schemaVersion: STATE_SCHEMA_VERSION,
+      rotations: results,
+      checkedAt: new Date().toISOString(),
+    },
+    corsHeaders,
+    ok ? 200 : 503
+  )
+}
+
+// --- ADMIN API ---
+
+/**
+ * Routes token-protected roster management requests.
+ * Every mutation goes through applyRosterChange so the rotation pointer and any
+ * penalty in progress stay attached to the same people.
+ */
+async function handleAdminRequest(request, env, url, corsHeaders) {
+  if (!env.ADMIN_TOKEN) {
+    console.error('Admin request rejected: ADMIN_TOKEN is not configured.')
+    return jsonResponse(
+      { error: 'Admin API is not configured.' },
+      corsHeaders,
+      500
+    )
+  }
+  if (!isAuthorizedAdmin(request, env)) {
+    return jsonResponse({ error: 'Unauthorized.' }, corsHeaders, 401)
+  }
+
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+
+  if (url.pathname.startsWith('/admin/rotations')) {
+    return isRotationScoped(request)
+      ? jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+      : handleRotationAdminRequest(request, env, url, corsHeaders)
+  }
+
+  const team = (await rotationDb.get('TEAM_MEMBERS', 'json')) || []
+  if (!Array.isArray(team)) {
+    return jsonResponse(
+      { error: 'Stored team data is not a list. Fix TEAM_MEMBERS first.' },
+      corsHeaders,
+      500
+    )
+  }
+
+  const memberMatch = url.pathname.match(/^\/admin\/team\/(\d+)$/)
+
+  if (url.pathname === '/admin/team' && request.method === 'GET') {
+    return jsonResponse(await describeRoster(rotationDb, team), corsHeaders)
+  }
+
+  if (url.pathname === '/admin/team' && request.method === 'POST') {
+    const body = await readJsonBody(request)
+    const problem = validateMemberFields(body, team, { requireAll: true })
+    if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+
+    const position =
+      body.position === undefined ? team.length : Number(body.position)
+    if (!Number.isInteger(position) || position < 0 || position > team.length) {
+      return jsonResponse(
+        { error: `position must be an integer from 0 to ${team.length}.` },
+        corsHeaders,
+        400
+      )
+    }
+
+    const newMember = applyNotificationFields(
+      { name: body.name.trim(), phone: body.phone.trim() },
+      body
+    )
+    const newTeam = [
+      ...team.slice(0, position),
+      newMember,
+      ...team.slice(position),
+    ]
+    const indexMap = team.map((_, index) =>
+      index < position ? index : index + 1
+    )
+    await applyRosterChange(rotationDb, team, newTeam, indexMap)
+    console.info(`Admin added ${newMember.name} at position ${position}.`)
+    return jsonResponse(
+      await describeRoster(rotationDb, newTeam),
+      corsHeaders,
+      201
+    )
+  }
+
+  if (memberMatch && request.method === 'PATCH') {
+    const memberIndex = Number(memberMatch[1])
+    if (memberIndex >= team.length) {
+      return jsonResponse({ error: 'Member not found.' }, corsHeaders, 404)
+    }
+    const body = await readJsonBody(request)
+    const problem = validateMemberFields(body, team, {
+      requireAll: false,
+      ignoreIndex: memberIndex,
+    })
+    if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+
+    const updated = applyNotificationFields(team[memberIndex], body)
+    if (body.name !== undefined) updated.name = body.name.trim()
+    if (body.phone !== undefined) updated.phone = body.phone.trim()
+    const newTeam = team.map((member, index) =>
+      index === memberIndex ? updated : member
+    )
+    await applyRosterChange(
+      rotationDb,
+      team,
+      newTeam,
+      team.map((_, index) => index)
+    )
+    console.info(`Admin updated member #${memberIndex} (${updated.name}).`)
+    return jsonResponse(await describeRoster(rotationDb, newTeam), corsHeaders)
+  }
+
+  if (memberMatch && request.method === 'DELETE') {
+    const memberIndex = Number(memberMatch[1])
+    if (memberIndex >= team.length) {
+      return jsonResponse({ error: 'Member not found.' }, corsHeaders, 404)
+    }
+    if (team.length === 1) {
+      return jsonResponse(
+        { error: 'Cannot remove the last remaining member.' },
+        corsHeaders,
+        400
+      )
+    }
+    const newTeam = team.filter((_, index) => index !== memberIndex)
+    const indexMap = team.map((_, index) => {
+      if (index === memberIndex) return -1
+      return index < memberIndex ? index : index - 1
+    })
+    await applyRosterChange(rotationDb, team, newTeam, indexMap)
+    console.info(`Admin removed ${team[memberIndex].name}.`)
+    return jsonResponse(await describeRoster(rotationDb, newTeam), corsHeaders)
+  }
+
+  if (url.pathname === '/admin/team/order' && request.method === 'PUT') {
+    const body = await readJsonBody(request)
+    const order = body && body.order
+    const isPermutation =
+      Array.isArray(order) &&
+      order.length === team.length &&
+      order.every((value) => Number.isInteger(value)) &&
+      new Set(order).size === team.length &&
+      order.every((value) => value >= 0 && value < team.length)
+    if (!isPermutation) {
+      return jsonResponse(
+        {
+          error:
+            'order must list every current member index exactly once, in the new rotation order.',
+        },
+        corsHeaders,
+        400
+      )
+    }
+    const newTeam = order.map((oldIndex) => team[oldIndex])
+    const indexMap = new Array(team.length)
+    order.forEach((oldIndex, newIndex) => {
+      indexMap[oldIndex] = newIndex
+    })
+    await applyRosterChange(rotationDb, team, newTeam, indexMap)
+    console.info('Admin reordered the rotation.')
+    return jsonResponse(await describeRoster(rotationDb, newTeam), corsHeaders)
+  }
+
+  const calendarMatch = url.pathname.match(
+    /^\/admin\/team\/(\d+)\/calendar-token$/
+  )
+  if (calendarMatch && request.method === 'POST') {
+    const memberIndex = Number(calendarMatch[1])
+    if (memberIndex >= team.length) {
+      return jsonResponse({ error: 'Member not found.' }, corsHeaders, 404)
+    }
+    const { calendarUrl } = await issueCalendarToken(
+      rotationDb,
+      team,
+      memberIndex,
+      rotationOrigin(env, url),
+      { rotate: true }
+    )
+    console.info(
+      `Admin issued a new calendar link for ${team[memberIndex].name}.`
+    )
+    return jsonResponse({ calendarUrl }, corsHeaders)
+  }
+
+  const dashboardMatch = url.pathname.match(
+    /^\/admin\/team\/(\d+)\/dashboard-token$/
+  )
+  if (dashboardMatch && request.method === 'POST') {
+    const memberIndex = Number(dashboardMatch[1])
+    if (memberIndex >= team.length) {
+      return jsonResponse({ error: 'Member not found.' }, corsHeaders, 404)
+    }
+    const { dashboardUrl } = await issueDashboardToken(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      { rotate: true }
+    )
+    console.info(
+      `Admin issued a new dashboard link for ${team[memberIndex].name}.`
+    )
+    return jsonResponse({ dashboardUrl }, corsHeaders)
+  }
+
+  if (url.pathname === '/admin/report/undo' && request.method === 'POST') {
+    const body = (await readJsonBody(request)) || {}
+    const undos = await loadPenaltyUndos(rotationDb)
+    const undo = body.penaltyId
+      ? undos.find((candidate) => candidate.penaltyId === body.penaltyId)
+      : undos.at(-1)
+    if (!undo) {
+      return jsonResponse(
+        { error: 'There is no penalty to reverse.' },
+        corsHeaders,
+        404
+      )
+    }
+    const result = await reversePenalty(env, rotationDb, team, undo, 'admin')
+    return jsonResponse(
+      result.ok ? { message: result.message } : { error: result.message },
+      corsHeaders,
+      result.ok ? 200 : 409
+    )
+  }
+
+  if (url.pathname === '/admin/penalty-policy' && request.method === 'GET') {
+    const policy = await loadPenaltyPolicy(rotationDb)
+    return jsonResponse(
+      { policy, summary: describePenaltyPolicy(policy) },
+      corsHeaders
+    )
+  }
+
+  if (url.pathname === '/admin/penalty-policy' && request.method === 'PUT') {
+    const body = await readJsonBody(request)
+    if (!body || typeof body !== 'object') {
+      return jsonResponse(
+        { error: 'Request body must be a JSON object.' },
+        corsHeaders,
+        400
+      )
+    }
+    const current = await loadPenaltyPolicy(rotationDb)
+    const policy = normalizePenaltyPolicy({
+      ...current,
+      ...body,
+      workOff: { ...current.workOff, ...(body.workOff || {}) },
+    })
+    const problem = validatePenaltyPolicy(policy)
+    if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+    await rotationDb.put('PENALTY_POLICY', JSON.stringify(policy))
+    console.info(
+      `Admin updated the penalty policy: ${describePenaltyPolicy(policy)}`
+    )
+    return jsonResponse(
+      { policy, summary: describePenaltyPolicy(policy) },
+      corsHeaders
+    )
+  }
+
+  if (url.pathname === '/admin/state/migrate' && request.method === 'POST') {
+    const applied = await migrateRotationState(rotationDb)
+    return jsonResponse(
+      { applied, ...(await inspectRotationState(rotationDb)) },
+      corsHeaders
+    )
+  }
+
+  if (url.pathname === '/admin/dry-run' && request.method === 'POST') {
+    return handleDryRunRequest(request, env, rotationDb, corsHeaders)
+  }
+
+  if (url.pathname.startsWith('/admin/collection-calendar')) {
+    return handleCollectionCalendarAdmin(
+      request,
+      env,
+      rotationDb,
+      url,
+      corsHeaders
+    )
+  }
+
+  if (url.pathname.startsWith('/admin/templates')) {
+    return handleMessageTemplatesAdmin(
+      request,
+      env,
+      rotationDb,
+      team,
+      url,
+      corsHeaders
+    )
+  }
+
+  if (url.pathname === '/admin/deliveries' && request.method === 'GET') {
+    return handleDeliveriesRequest(rotationDb, team, url, corsHeaders)
+  }
+
+  if (url.pathname === '/admin/report' && request.method === 'POST') {
+    const body = await readJsonBody(request)
+    const action = body && body.action
+    const report = await rotationDb.get('PENDING_REPORT', 'json')
+    if (!report) {
+      return jsonResponse({ error: 'No pending report.' }, corsHeaders, 404)
+    }
+    if (action === 'dismiss') {
+      await rotationDb.delete('PENDING_REPORT')
+      console.info(`Admin dismissed the report against ${report.accusedName}.`)
+      return jsonResponse(
+        { message: `Report against ${report.accusedName} dismissed.` },
+        corsHeaders
+      )
+    }
+    if (action === 'uphold') {
+      const accused = team[report.accusedIndex]
+      if (!accused || accused.name !== report.accusedName) {
+        await rotationDb.delete('PENDING_REPORT')
+        return jsonResponse(
+          { error: 'The accused is no longer on the team. Report dropped.' },
+          corsHeaders,
+          409
+        )
+      }
+      await rotationDb.delete('PENDING_REPORT')
+      const activated = await activatePenalty(
+        env,
+        rotationDb,
+        team,
+        report.accusedIndex,
+        {
+          actor: 'admin',
+          reporters: report.reporters,
+          beforeRotation: false,
+          missedWeek: report.missedWeek,
+        }
+      )
+      return jsonResponse(
+        {
+          message: activated
+            ? `Penalty activated for ${report.accusedName}.`
+            : `${report.accusedName} already has a penalty for that week. No changes recorded.`,
+        },
+        corsHeaders
+      )
+    }
+    return jsonResponse(
+      { error: 'action must be "uphold" or "dismiss".' },
+      corsHeaders,
+      400
+    )
+  }
+
+  return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+}
+
+function isAuthorizedAdmin(request, env) {
+  const header = request.headers.get('Authorization') || ''
+  const match = header.match(/^Bearer\s+(.+)$/)
+  return Boolean(match) && timingSafeEqual(match[1], env.ADMIN_TOKEN)
+}
+
+/**
+ * Validates name/phone fields for an add or edit request.
+ * Returns an error message, or null when the fields are acceptable.
+ */
+function validateMemberFields(body, team, { requireAll, ignoreIndex = -1 }) {
+  if (!body || typeof body !== 'object') {
+    return 'Request body must be a JSON object.'
+  }
+  for (const field of ['name', 'phone']) {
+    const value = body[field]
+    if (value === undefined && !requireAll) continue
+    if (typeof value !== 'string' || value.trim() === '') {
+      return `${field} must be a non-empty string.`
+    }
+  }
+  if (body.phone !== undefined && !E164_PATTERN.test(body.phone.trim())) {
+    return 'phone must be an E.164 number such as +15551234567.'
+  }
+  if (body.name !== undefined) {
+    const wanted = body.name.trim().toLowerCase()
+    const duplicate = team.some(
+      (member, index) =>
+        index !== ignoreIndex &&
+        member &&
+        typeof member.name === 'string' &&
+        member.name.trim().toLowerCase() === wanted
+    )
+    if (duplicate) return `A member named ${body.name.trim()} already exists.`
+  }
+  return validateNotificationFields(body)
+}
+
+// Optional per-member notification settings; null clears a field.
+const NOTIFICATION_FIELDS = [
+  'language',
+  'channels',
+  'email',
+  'discordWebhook',
+  'slackWebhook',
+  'pushSubscription',
+]
+
+function validateNotificationFields(body) {
+  const isHttpsUrl = (value) =>
+    typeof value === 'string' && /^https:\/\/\S+$/.test(value)
+  const {
+    language,
+    channels,
+    email,
+    discordWebhook,
+    slackWebhook,
+    pushSubscription,
+  } = body
+  if (language != null && !MESSAGE_LANGUAGES.includes(language)) {
+    return `language must be one of ${MESSAGE_LANGUAGES.join(', ')}.`
+  }
+  if (
+    channels != null &&
+    (!Array.isArray(channels) ||
+      !channels.every((channel) => NOTIFICATION_CHANNELS.includes(channel)))
+  ) {
+    return `channels must be a list drawn from: ${NOTIFICATION_CHANNELS.join(
+      ', '
+    )}.`
+  }
+  if (email != null && !/^[^@\s]+@[^@\s]+$/.test(email)) {
+    return 'email must be an email address.'
+  }
+  if (discordWebhook != null && !isHttpsUrl(discordWebhook)) {
+    return 'discordWebhook must be an https URL.'
+  }
+  if (slackWebhook != null && !isHttpsUrl(slackWebhook)) {
+    return 'slackWebhook must be an https URL.'
+  }
+  if (
+    pushSubscription != null &&
+    !(
+      typeof pushSubscription === 'object' &&
+      isHttpsUrl(pushSubscription.endpoint) &&
+      pushSubscription.keys &&
+      typeof pushSubscription.keys.p256dh === 'string' &&
+      typeof pushSubscription.keys.auth === 'string'
+    )
+  ) {
+    return 'pushSubscription must be a PushSubscription with an https endpoint and keys.'
+  }
+  return null
+}
+
+function applyNotificationFields(member, body) {
+  const updated = { ...member }
+  for (const field of NOTIFICATION_FIELDS) {
+    if (body[field] === null) delete updated[field]
+    else if (body[field] !== undefined) updated[field] = body[field]
+  }
+  return updated
+}
+
+/**
+ * Persists a new roster and rewrites every index-based pointer through indexMap
+ * (old index -> new index, or -1 when the member was removed).
+ */
+async function applyRosterChange(rotationDb, oldTeam, newTeam, indexMap) {
+  const oldSize = oldTeam.length
+  const storedIndex = parseInt((await rotationDb.get('CURRENT_INDEX')) || '0')
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+
+  let currentIndex = 0
+  if (isMemberIndex(storedIndex, oldSize)) {
+    currentIndex = indexMap[storedIndex]
+    if (currentIndex === -1) {
+      // The person on duty was removed. Point at the closest remaining member
+      // before them so the next rotation lands on whoever was due after them.
+      currentIndex = 0
+      for (let step = 1; step < oldSize; step++) {
+        const candidate = indexMap[(storedIndex - step + oldSize) % oldSize]
+        if (candidate !== -1) {
+          currentIndex = candidate
+          break
+        }
+      }
+    }
+  }
+
+  await rotationDb.put('TEAM_MEMBERS', JSON.stringify(newTeam))
+  await rotationDb.put('CURRENT_INDEX', currentIndex.toString())
+
+  const remap = (index) =>
+    Number.isInteger(index) && index >= 0 && index < oldSize
+      ? indexMap[index]
+      : -1
+
+  const overrides = await loadWeekOverrides(rotationDb)
+  const remappedOverrides = {}
+  for (const [weekKey, override] of Object.entries(overrides)) {
+    const assigneeIndex = remap(override.assigneeIndex)
+    if (assigneeIndex !== -1) {
+      remappedOverrides[weekKey] = {
+        ...override,
+        assigneeIndex,
+        assigneeName: newTeam[assigneeIndex].name,
+      }
+    }
+  }
+  await rotationDb.put('WEEK_OVERRIDES', JSON.stringify(remappedOverrides))
+
+  const proposals = await loadSwapProposals(rotationDb)
+  const remappedProposals = []
+  for (const proposal of proposals) {
+    const proposerIndex = remap(proposal.proposerIndex)
+    const counterpartIndex = remap(proposal.counterpartIndex)
+    if (proposerIndex !== -1 && counterpartIndex !== -1) {
+      remappedProposals.push({
+        ...proposal,
+        proposerIndex,
+        proposerName: newTeam[proposerIndex].name,
+        counterpartIndex,
+        counterpartName: newTeam[counterpartIndex].name,
+      })
+    }
+  }
+  await rotationDb.put('SWAP_PROPOSALS', JSON.stringify(remappedProposals))
+
+  const pendingReport = await rotationDb.get('PENDING_REPORT', 'json')
+  if (pendingReport && Number.isInteger(pendingReport.accusedIndex)) {
+    const accusedIndex =
+      pendingReport.accusedIndex >= 0 && pendingReport.accusedIndex < oldSize
+        ? indexMap[pendingReport.accusedIndex]
+        : -1
+    if (accusedIndex === -1) {
+      await rotationDb.delete('PENDING_REPORT')
+    } else {
+      await rotationDb.put(
+        'PENDING_REPORT',
+        JSON.stringify({
+          ...pendingReport,
+          accusedIndex,
+          accusedName: newTeam[accusedIndex].name,
+        })
+      )
+    }
+  }
+
+  const penaltyQueue = []
+  for (const entry of await loadPenaltyQueue(rotationDb)) {
+    const offenderIndex = remap(entry.offenderIndex)
+    if (offenderIndex !== -1) penaltyQueue.push({ ...entry, offenderIndex })
+  }
+
+  if (penaltyBox && Number.isInteger(penaltyBox.offenderIndex)) {
+    const offenderIndex = remap(penaltyBox.offenderIndex)
+    if (offenderIndex !== -1) {
+      await rotationDb.put(
+        'PENALTY_BOX',
+        JSON.stringify({ ...penaltyBox, offenderIndex })
+      )
+    } else {
+      // The next queued penalty stays queued until the next rotation starts
+      // it, so this week is not mistaken for one of its weeks.
+      await rotationDb.delete('PENALTY_BOX')
+    }
+  }
+  await savePenaltyQueue(rotationDb, penaltyQueue)
+
+  const fairnessLedger = await rotationDb.get(FAIRNESS_LEDGER_KEY, 'json')
+  if (fairnessLedger) {
+    await rotationDb.put(
+      FAIRNESS_LEDGER_KEY,
+      JSON.stringify(
+        reconcileFairnessLedger(fairnessLedger, oldTeam, newTeam, indexMap)
+      )
+    )
+  }
+  const historyStats = await rotationDb.get('HISTORY_STATS', 'json')
+  if (historyStats) {
+    await rotationDb.put(
+      'HISTORY_STATS',
+      JSON.stringify(
+        renameHistoryStats(historyStats, oldTeam, newTeam, indexMap)
+      )
+    )
+  }
+
+  for (const undo of await loadPenaltyUndos(rotationDb)) {
+    const offenderIndex = remap(undo.offenderIndex)
+    if (offenderIndex === -1) {
+      await rotationDb.delete(PENALTY_UNDO_PREFIX + undo.penaltyId)
+    } else {
+      const replacedIndex = remap(undo.replacedIndex)
+      await savePenaltyUndo(rotationDb, {
+        ...undo,
+        offenderIndex,
+        replacedIndex: replacedIndex === -1 ? null : replacedIndex,
+      })
+    }
+  }
+}
+
+async function describeRoster(rotationDb, team) {
+  return {
+    team: team.map((member, index) => ({ index, ...member })),
+    currentIndex: await loadCurrentIndex(rotationDb, team.length),
+    penaltyBox: await rotationDb.get('PENALTY_BOX', 'json'),
+    penaltyQueue: await loadPenaltyQueue(rotationDb),
+  }
+}
+
+// --- WEEKLY ROTATION RUN ---
+
+const ROTATION_RUN_PREFIX = 'ROTATION_RUN:'
+const ROTATION_RUN_TTL_SECONDS = 60 * 60 * 24 * 7 * 26
+
+/**
+ * Runs this week's rotation at most once. Each run is keyed by ISO week in a
+ * ROTATION_RUN ledger: the new state and every outgoing message are computed
+ * once and stored there before anything is written, so a duplicate trigger
+ * is a no-op and a retry after a crash replays the same writes and then only
+ * sends what was never attempted.
+ */
+async function runWeeklyRotation(env, rotationDb, now) {
+  const isoWeek = getIsoWeekKey(now, getRotationClock(env).timeZone)
+  let run = await rotationDb.get(`${ROTATION_RUN_PREFIX}${isoWeek}`, 'json')
+
+  if (run && run.status === 'sent') {
+    console.info(`Rotation for ${isoWeek} already ran; nothing to do.`)
+    return run
+  }
+
+  if (!run) {
+    run = await planRotationRun(env, rotationDb, isoWeek, now)
+    if (!run) return null
+  } else if (
+    run.status === 'planned' &&
+    (await isRotationPlanStale(rotationDb, run))
+  ) {
+    // Something else wrote these keys since the plan was made (a report
+    // activating, say), so replaying it would undo that change.
+    console.info(`State changed since ${isoWeek} was planned; planning again.`)
+    run = await planRotationRun(env, rotationDb, isoWeek, now, run)
+    if (!run) return null
+  } else {
+    console.info(`Resuming rotation for ${isoWeek} (status: ${run.status}).`)
+  }
+
+  if (run.status === 'planned') {
+    await applyRotationWrites(rotationDb, run.plan.writes)
+    run.plan.notes.forEach((note) => console.info(note))
+    await recordHistoryEvent(rotationDb, run.plan.history)
+    run.status = 'applied'
+    run.appliedAt = new Date().toISOString()
+    await saveRotationRun(rotationDb, run)
+  }
+
+  run.deliveries = await deliverRotationMessages(env, rotationDb, run)
+  run.status = 'sent'
+  run.completedAt = new Date().toISOString()
+  await saveRotationRun(rotationDb, run)
+
+  const failures = run.deliveries.filter((delivery) => !delivery.ok)
+  if (failures.length > 0) {
+    console.error(
+      `Scheduled run completed with ${failures.length} delivery issue(s).`
+    )
+  }
+  return run
+}
+
+/**
+ * Activates any fully-confirmed missed-duty report, so its first penalty week
+ * is the week that starts now, then plans the rotation and stores it in the
+ * ledger as `planned`. The run records each penalty the settlement activated
+ * and, as `basis`, the stored value of every key the plan writes.
+ */
+async function planRotationRun(env, rotationDb, isoWeek, now, previous) {
+  const settledWeeks = await settlePendingReport(env, rotationDb, {
+    beforeRotation: true,
+  })
+  const settlements = previous ? [...(previous.settlements || [])] : []
+  if (settledWeeks) {
+    settlements.push({ weeks: settledWeeks, at: now.toISOString() })
+  }
+
+  const plan = planWeeklyRotation(env, await loadRotationState(rotationDb), now)
+  if (!plan) return null
+  const basis = {}
+  for (const [key, value] of Object.entries(plan.writes)) {
+    if (value !== undefined) basis[key] = await rotationDb.get(key)
+  }
+  const run = {
+    isoWeek,
+    weekOf: plan.weekOf,
+    status: 'planned',
+    startedAt: previous ? previous.startedAt : now.toISOString(),
+    settlements,
+    basis,
+    plan,
+    deliveries: [],
+  }
+  await saveRotationRun(rotationDb, run)
+  return run
+}
+
+/**
+ * A planned run is stale when one of the keys it writes holds neither the
+ * value it was planned from nor the value the plan gives it.
+ */
+async function isRotationPlanStale(rotationDb, run) {
+  if (!run.basis) return false
+  for (const [key, planned] of Object.entries(run.plan.writes)) {
+    if (planned === undefined || !(key in run.basis)) continue
+    const stored = await rotationDb.get(key)
+    const written =
+      planned === null || typeof planned === 'string'
+        ? planned
+        : JSON.stringify(planned)
+    if (stored !== run.basis[key] && stored !== written) return true
+  }
+  return false
+}
+
+async function loadRotationState(rotationDb) {
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  return {
+    team,
+    currentIndex: await loadCurrentIndex(
+      rotationDb,
+      Array.isArray(team) ? team.length : 0
+    ),
+    rawPenaltyBox: await rotationDb.get('PENALTY_BOX', 'json'),
+    penaltyQueue: await loadPenaltyQueue(rotationDb),
+    overrides: await loadWeekOverrides(rotationDb),
+    dutyRecord: await rotationDb.get('DUTY_CONFIRMATION', 'json'),
+    penaltyPolicy: await loadPenaltyPolicy(rotationDb),
+    messageTemplates: await loadMessageTemplates(rotationDb),
+    fairnessLedger: await loadFairnessLedger(rotationDb),
+  }
+}
+
+/**
+ * Computes the whole weekly transition from the stored state without touching
+ * KV: the keys to write (null deletes), the history event, log notes, and one
+ * message per member. Returns null when there is no team to rotate. `now`
+ * picks the turn, so a dry run can plan weeks that have not started.
+ */
+function planWeeklyRotation(env, state, now = new Date()) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(env, state.messageTemplates)
+  const { team, rawPenaltyBox, dutyRecord, penaltyPolicy } = state
+  if (!Array.isArray(team) || team.length === 0) {
+    console.error('FATAL: Team data is missing or empty.')
+    return null
+  }
+  const teamSize = team.length
+  const newTeam = team.map((member) => ({ ...member }))
+  const overrides = { ...state.overrides }
+  let currentIndex = state.currentIndex
+  const clock = getRotationClock(env)
+  const weekOf = getTurnKey(now, clock)
+  const notes = []
+
+  // 1. Validate the stored penalty state before using it.
+  let penaltyBox = null
+  let penaltyWeeks = 0
+  let totalWeeks = 0
+  let nextPenaltyBox = rawPenaltyBox ? null : undefined
+  if (rawPenaltyBox) {
+    const weeksRemaining = Number.isInteger(rawPenaltyBox.weeksRemaining)
+      ? rawPenaltyBox.weeksRemaining
+      : 0
+    if (isMemberIndex(rawPenaltyBox.offenderIndex, teamSize)) {
+      penaltyWeeks = Math.max(0, weeksRemaining)
+      totalWeeks = penaltyTotalWeeks(rawPenaltyBox, penaltyPolicy)
+      if (penaltyWeeks > 0) {
+        penaltyBox = { ...rawPenaltyBox, weeksRemaining: penaltyWeeks }
+      }
+    } else {
+      // Invalid penalty (probably team edited); clear it so the worker can recover.
+      notes.push('Discarded a penalty whose offender is no longer on the team.')
+    }
+  }
+
+  // 1b. Once the current penalty is served out, the next queued one starts.
+  let penaltyQueue = state.penaltyQueue || []
+  let nextPenaltyQueue
+  if (!penaltyBox && penaltyQueue.length > 0) {
+    penaltyQueue = [...penaltyQueue]
+    while (!penaltyBox && penaltyQueue.length > 0) {
+      const entry = penaltyQueue.shift()
+      if (
+        isMemberIndex(entry.offenderIndex, teamSize) &&
+        entry.weeksRemaining > 0
+      ) {
+        penaltyWeeks = entry.weeksRemaining
+        totalWeeks = penaltyTotalWeeks(entry, penaltyPolicy)
+        penaltyBox = entry
+        notes.push(
+          `Started the next queued penalty for ${
+            team[entry.offenderIndex].name
+          }.`
+        )
+      } else {
+        notes.push('Discarded a queued penalty that could not be served.')
+      }
+    }
+    nextPenaltyQueue = penaltyQueue.length > 0 ? penaltyQueue : null
+  }
+
+  // 2. Work out the state for the NEW week.
+  let activePenalty = null
+  let teamChanged = false
+  if (penaltyBox) {
+    const remainingAfterThisWeek = Math.max(0, penaltyWeeks - 1)
+    activePenalty = {
+      offenderIndex: penaltyBox.offenderIndex,
+      remainingAfterThisWeek,
+      totalWeeks,
+      weeksServed: Math.max(0, totalWeeks - penaltyWeeks),
+      missedWeek: penaltyBox.missedWeek || null,
+    }
+    nextPenaltyBox = {
+      ...penaltyBox,
+      weeksRemaining: remainingAfterThisWeek,
+    }
+    // The pointer sits on whoever is on duty, so the stored forecast (and
+    // /schedule) see this as a penalty week too.
+    currentIndex = penaltyBox.offenderIndex
+  } else if (brand.mode === 'balanced') {
+    // Time away already shows on the ledger, so balanced mode needs no
+    // makeup weeks: whoever is furthest behind and at home takes the week.
+    currentIndex = pickBalancedMember({
+      team,
+      pointer: currentIndex,
+      weekOf,
+      turnWeeks: clock.turnWeeks,
+      balances: fairnessBalances(team, state.fairnessLedger),
+    })
+  } else {
+    // A served-out penalty (weeksRemaining 0) is cleared above (nextPenaltyBox
+    // stays null) so its offender is not mistaken for a penalty week later.
+    // Away members are skipped; a returning member who owes a makeup week
+    // takes this week without moving the rotation pointer.
+    const step = stepRotation({
+      team,
+      pointer: currentIndex,
+      weekOf,
+      turnWeeks: clock.turnWeeks,
+      makeupOwed: team.map((member) => member.makeupOwed || 0),
+      makeupRule: getMakeupRule(env),
+    })
+    if (step.isMakeup) {
+      overrides[weekOf] = {
+        assigneeIndex: step.index,
+        assigneeName: team[step.index].name,
+        replacedName: null,
+        reason: 'makeup',
+      }
+    } else {
+      currentIndex = step.pointer
+    }
+    if (step.skipped.length > 0 || step.isMakeup) {
+      step.makeupOwed.forEach((owed, index) => {
+        if (owed > 0) newTeam[index].makeupOwed = owed
+        else delete newTeam[index].makeupOwed
+      })
+      teamChanged = true
+      notes.push(
+        `Rotation skipped away member(s): ${
+          step.skipped.map((index) => team[index].name).join(', ') || 'none'
+        }${step.isMakeup ? `; makeup week for ${team[step.index].name}` : ''}.`
+      )
+    }
+  }
+
+  // 3. Credit this week on the fairness ledger to whoever actually takes it,
+  // so a swap counts for the member who covered.
+  const onDutyIndex = activePenalty ? activePenalty.offenderIndex : currentIndex
+  const overrideIndex = activePenalty
+    ? -1
+    : resolveOverride(overrides[weekOf], newTeam)
+  const fairnessLedger = recordFairnessWeek(state.fairnessLedger, {
+    team: newTeam,
+    index: overrideIndex === -1 ? onDutyIndex : overrideIndex,
+    weekOf,
+    turnWeeks: clock.turnWeeks,
+    makeupRule: getMakeupRule(env),
+    isPenalty: Boolean(activePenalty),
+  })
+
+  // 4. Determine who is on duty for THIS week and NEXT week based on the new
+  // state, letting any agreed swap override the normal rotation outside
+  // penalty weeks.
+  const forecast = forecastAssignments({
+    team: newTeam,
+    currentIndex,
+    onDutyIndex,
+    thisWeekIsPenalty: Boolean(activePenalty),
+    penaltyBox: nextPenaltyBox || null,
+    penaltyQueue,
+    overrides,
+    makeupRule: getMakeupRule(env),
+    balances:
+      brand.mode === 'balanced'
+        ? fairnessBalances(newTeam, fairnessLedger)
+        : null,
+    clock,
+    startDate: now,
+    weeks: forecastHorizon(teamSize, penaltyQueue),
+  })
+  const personOnDuty = newTeam[forecast[0].index]
+  const nextPersonUp = newTeam[forecast[1].index]
+
+  // 5. Build personalized messages for each member, in their language.
+  const messages = []
+  for (const [personIndex, person] of newTeam.entries()) {
+    const isAway = isAwayForWeek(person, forecast[0].weekOf, clock.turnWeeks)
+    if (isAway && person.notifyWhileAway === false) {
+      continue
+    }
+
+    const language = resolveLanguage(person.language, brand.language)
+    let personalStatus = ''
+    let replyHint = ''
+
+    if (activePenalty && personIndex === activePenalty.offenderIndex) {
+      personalStatus = render('rotation.penaltyWeek', language, {
+        name: person.name,
+        week: activePenalty.weeksServed + 1,
+        totalWeeks: activePenalty.totalWeeks,
+      })
+      replyHint = `\n${render('rotation.replyDone', language)}`
+    } else {
+      const turnsUntilTurn = findNextTurn(forecast, personIndex)
+      const theirTurnDate = formatDate(
+        forecastWeekDate(forecast, turnsUntilTurn, clock),
+        language
+      )
+      const weeksUntilTurn = turnsUntilTurn * clock.turnWeeks
+      if (weeksUntilTurn === 0) {
+        personalStatus = render('rotation.onDuty', language, {
+          name: person.name,
+          weekOf: theirTurnDate,
+        })
+        replyHint = `\n${render('rotation.replyDone', language)}`
+      } else {
+        personalStatus = render('rotation.nextTurn', language, {
+          name: person.name,
+          weeks: weeksUntilTurn,
+          weekOf: theirTurnDate,
+        })
+      }
+    }
+
+    if (isAway) {
+      personalStatus = `${render('rotation.away', language)}\n${personalStatus}`
+    }
+
+    const scheduleLines = render('rotation.schedule', language, {
+      onDuty: personOnDuty.name,
+      nextUp: nextPersonUp.name,
+      turnWeeks: clock.turnWeeks,
+    })
+
+    messages.push({
+      name: person.name,
+      message: {
+        subject: render('rotation.subject', language, {
+          onDuty: personOnDuty.name,
+        }),
+        text: `${personalStatus}\n\n${scheduleLines}`,
+        sms:
+          `${personalStatus}${replyHint}\n\n` +
+          `${scheduleLines}\n\n` +
+          render('rotation.reportHint', language),
+      },
+    })
+  }
+
+  return {
+    weekOf,
+    assignee: personOnDuty.name,
+    forecast,
+    notes,
+    // Start a fresh, unconfirmed duty record for the new week, keeping the
+    // outgoing one so "last week" is known even after skips and makeups.
+    writes: {
+      TEAM_MEMBERS: teamChanged ? newTeam : undefined,
+      CURRENT_INDEX: currentIndex.toString(),
+      PENALTY_BOX: nextPenaltyBox,
+      PENALTY_QUEUE: nextPenaltyQueue,
+      WEEK_OVERRIDES: overrides,
+      PREVIOUS_DUTY_CONFIRMATION: dutyRecord || undefined,
+      DUTY_CONFIRMATION: createDutyRecord(personOnDuty.name, weekOf),
+      FAIRNESS_LEDGER: fairnessLedger,
+    },
+    history: {
+      type: 'rotation',
+      actor: 'cron',
+      assignee: personOnDuty.name,
+      details: activePenalty
+        ? {
+            penaltyWeek: activePenalty.weeksServed + 1,
+            missedWeek: activePenalty.missedWeek,
+          }
+        : forecast[0].isOverride
+        ? { swap: true }
+        : {},
+    },
+    messages,
+  }
+}
+
+/**
+ * Writes a plan's keys in a fixed order. Every value is absolute, so replaying
+ * the same writes after a partial failure lands on the same state.
+ */
+async function applyRotationWrites(rotationDb, writes) {
+  for (const [key, value] of Object.entries(writes)) {
+    if (value === undefined) continue
+    if (value === null) {
+      await rotationDb.delete(key)
+    } else {
+      await rotationDb.put(
+        key,
+        typeof value === 'string' ? value : JSON.stringify(value)
+      )
+    }
+  }
+}
+
+/**
+ * Sends the run's messages, skipping any (member, channel) pair an earlier
+ * attempt already sent; failed sends are retried from the delivery queue
+ * instead. Returns the merged delivery list.
+ */
+async function deliverRotationMessages(env, rotationDb, run) {
+  const team = (await rotationDb.get('TEAM_MEMBERS', 'json')) || []
+  const previous = run.deliveries || []
+  const delivered = new Set(
+    previous.map((delivery) => `${delivery.name}:${delivery.channel}`)
+  )
+  const attempted = new Set(previous.map((delivery) => delivery.name))
+
+  const settled = await Promise.allSettled(
+    run.plan.messages.map(async ({ name, message }) => {
+      const member = team.find((candidate) => candidate.name === name)
+      if (!member) return []
+      const channels = resolveMemberChannels(env, member)
+      const pending = attempted.has(name)
+        ? channels.filter((channel) => !delivered.has(`${name}:${channel}`))
+        : channels
+      if (pending.length === 0) return []
+      return deliverToMember(env, rotationDb, member, message, {
+        kind: 'weekly',
+        channels: pending,
+      })
+    })
+  )
+  const sent = settled
+    .filter((outcome) => outcome.status === 'fulfilled')
+    .flatMap((outcome) => outcome.value)
+  // One queue write for the whole fan-out; see notifyMembers.
+  await updateDeliveryQueue(
+    rotationDb,
+    sent.map(({ delivery }) => delivery)
+  )
+  const failed = settled.find((outcome) => outcome.status === 'rejected')
+  if (failed) throw failed.reason
+
+  const fresh = sent.map(({ delivery, result }) => ({
+    ...result,
+    name: delivery.name,
+  }))
+  const retried = new Set(
+    fresh.map((result) => `${result.name}:${result.channel}`)
+  )
+  return [
+    ...previous.filter(
+      (delivery) => !retried.has(`${delivery.name}:${delivery.channel}`)
+    ),
+    ...fresh,
+  ]
+}
+
+// Stored keys a dry run may replace, and the loadRotationState field each one
+// fills.
+const DRY_RUN_STATE_KEYS = {
+  TEAM_MEMBERS: 'team',
+  CURRENT_INDEX: 'currentIndex',
+  PENALTY_BOX: 'rawPenaltyBox',
+  PENALTY_QUEUE: 'penaltyQueue',
+  WEEK_OVERRIDES: 'overrides',
+  DUTY_CONFIRMATION: 'dutyRecord',
+  FAIRNESS_LEDGER: 'fairnessLedger',
+}
+const DRY_RUN_DEFAULT_WEEKS = 4
+const DRY_RUN_MAX_WEEKS = 52
+
+/**
+ * POST /admin/dry-run { weeks?, state? } plays the next `weeks` rotation runs
+ * through planWeeklyRotation, each on the state the one before would have
+ * written. It starts from the stored state, with any keys in `state` swapped
+ * in. A pending report is settled at the first run that would settle it, as
+ * the cron does. Nothing is written to KV and nothing is sent.
+ */
+async function handleDryRunRequest(request, env, rotationDb, corsHeaders) {
+  const body = (await readJsonBody(request)) || {}
+  const weeks = body.weeks === undefined ? DRY_RUN_DEFAULT_WEEKS : body.weeks
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > DRY_RUN_MAX_WEEKS) {
+    return jsonResponse(
+      { error: `weeks must be a whole number from 1 to ${DRY_RUN_MAX_WEEKS}.` },
+      corsHeaders,
+      400
+    )
+  }
+  const supplied = body.state === undefined ? {} : body.state
+  if (!supplied || typeof supplied !== 'object' || Array.isArray(supplied)) {
+    return jsonResponse(
+      { error: 'state must be an object of stored keys.' },
+      corsHeaders,
+      400
+    )
+  }
+  const replaced = Object.keys(supplied)
+  if (replaced.some((key) => !DRY_RUN_STATE_KEYS[key])) {
+    return jsonResponse(
+      {
+        error: `state can only replace ${Object.keys(DRY_RUN_STATE_KEYS).join(
+          ', '
+        )}.`,
+      },
+      corsHeaders,
+      400
+    )
+  }
+
+  let state = applyWritesToState(await loadRotationState(rotationDb), supplied)
+  const problems = validateRotationState({
+    team: state.team,
+    rawIndex: String(state.currentIndex),
+    penaltyBox: state.rawPenaltyBox,
+    penaltyQueue: state.penaltyQueue,
+  })
+  if (problems.length > 0) {
+    return jsonResponse(
+      { error: 'The state cannot be rotated.', problems },
+      corsHeaders,
+      400
+    )
+  }
+
+  // The first run is this turn's, unless the cron has already done it.
+  const clock = getRotationClock(env)
+  const thisTurn = getTurnKey(new Date(), clock)
+  const firstTurn =
+    state.dutyRecord && state.dutyRecord.weekOf === thisTurn
+      ? addTurnsToKey(thisTurn, 1, clock)
+      : thisTurn
+
+  let report = await rotationDb.get('PENDING_REPORT', 'json')
+  const runs = []
+  for (let turn = 0; turn < weeks; turn++) {
+    // Noon UTC on the turn's Monday is that Monday in nearly every zone.
+    const runDate = new Date(
+      `${addTurnsToKey(firstTurn, turn, clock)}T12:00:00Z`
+    )
+    const settlement = report
+      ? settleReportInState(
+          env,
+          state,
+          report,
+          new Date(Math.max(runDate.getTime(), Date.now()))
+        )
+      : null
+    if (settlement) {
+      state = settlement.state
+      report = null
+    }
+    const plan = planWeeklyRotation(env, state, runDate)
+    state = applyWritesToState(state, plan.writes)
+    const [thisWeek] = plan.forecast
+    runs.push({
+      weekOf: plan.weekOf,
+      assignee: plan.assignee,
+      isPenalty: thisWeek.isPenalty,
+      isOverride: thisWeek.isOverride,
+      isMakeup: thisWeek.isMakeup,
+      settledReport: settlement ? settlement.settled : null,
+      notes: plan.notes,
+      messages: plan.messages.map(({ name, message }) => ({
+        name,
+        channels: resolveMemberChannels(
+          env,
+          state.team.find((member) => member.name === name)
+        ),
+        sms: NOTIFICATION_TRANSPORTS.sms.format(message),
+        subject: message.subject,
+        text: message.text,
+      })),
+      state: {
+        CURRENT_INDEX: state.currentIndex,
+        PENALTY_BOX: state.rawPenaltyBox || null,
+        PENALTY_QUEUE: state.penaltyQueue || [],
+      },
+    })
+  }
+  return jsonResponse({ replaced, weeks: runs }, corsHeaders)
+}
+
+/**
+ * The dry run's stand-in for settlePendingReport: when the run at `now` would
+ * settle `report`, the state with its penalty filed the way activatePenalty
+ * files one right before a rotation, and what was filed. Otherwise null.
+ */
+function settleReportInState(env, state, report, now) {
+  const { team, penaltyPolicy } = state
+  const offenderIndex = report.accusedIndex
+  const offender = team[offenderIndex]
+  if (!offender || offender.name !== report.accusedName) return null
+  const policy = getReportPolicy(env, team.length)
+  if (
+    report.disputedAt ||
+    report.reporters.length < policy.confirmationsRequired ||
+    now.getTime() < new Date(report.disputeUntil).getTime()
+  ) {
+    return null
+  }
+
+  const clock = getRotationClock(env)
+  const missedWeek =
+    report.missedWeek || addTurnsToKey(getTurnKey(now, clock), -1, clock)
+  const penaltyQueue = state.penaltyQueue || []
+  if (
+    findFiledPenalty(
+      state.rawPenaltyBox,
+      penaltyQueue,
+      offenderIndex,
+      missedWeek,
+      penaltyPolicy
+    )
+  ) {
+    return null
+  }
+  const weeks = penaltyWeeksFor(penaltyPolicy, offender, now)
+  const penalty = {
+    id: crypto.randomUUID().slice(0, 8),
+    offenderIndex,
+    weeksRemaining: weeks,
+    totalWeeks: weeks,
+    missedWeek,
+    filedAt: now.toISOString(),
+  }
+  const queued =
+    isPenaltyInProgress(state.rawPenaltyBox, state.currentIndex, team.length) ||
+    penaltyQueue.length > 0
+  const next = {
+    ...state,
+    team: team.map((member, index) =>
+      index === offenderIndex
+        ? {
+            ...member,
+            offenses: [...recentOffenses(member, now), now.toISOString()],
+          }
+        : member
+    ),
+  }
+  if (queued) {
+    next.penaltyQueue = [...penaltyQueue, penalty]
+  } else {
+    next.rawPenaltyBox = penalty
+    next.currentIndex = offenderIndex
+  }
+  return { state: next, settled: { offender: offender.name, weeks, queued } }
+}
+
+/** The state after a set of key writes, as the next loadRotationState sees it. */
+function applyWritesToState(state, writes) {
+  const next = { ...state }
+  for (const [key, value] of Object.entries(writes)) {
+    const field = DRY_RUN_STATE_KEYS[key]
+    if (!field || value === undefined) continue
+    next[field] = key === 'CURRENT_INDEX' ? parseInt(value, 10) : value
+  }
+  return next
+}
+
+async function saveRotationRun(rotationDb, run) {
+  await rotationDb.put(
+    `${ROTATION_RUN_PREFIX}${run.isoWeek}`,
+    JSON.stringify(run),
+    { expirationTtl: ROTATION_RUN_TTL_SECONDS }
+  )
+}
+
+// --- ROTATION FORECAST ---
+
+/**
+ * Projects who is on duty for `weeks` consecutive turns (see the rotation
+ * clock), starting with the turn containing startDate. Penalty weeks come
+ * first and cannot be
+ * overridden; after that each week is one stepRotation (skipping away members
+ * and slotting in makeup weeks) and agreed swaps (overrides keyed by week)
+ * replace the normal assignee.
+ * penaltyBox.weeksRemaining counts penalty weeks *after* this one; each
+ * penaltyQueue entry is served in full, in order, once the box is empty.
+ * With `balances` (balanced mode, after this week) each normal week goes to
+ * pickBalancedMember instead, and the balances move on as the weeks are
+ * served.
+ */
+function forecastAssignments({
+  team,
+  currentIndex,
+  onDutyIndex = currentIndex,
+  thisWeekIsPenalty = false,
+  penaltyBox,
+  penaltyQueue = [],
+  overrides = {},
+  makeupRule = 'owe',
+  balances = null,
+  clock,
+  startDate,
+  weeks,
+}) {
+  const teamSize = team.length
+  let fairness = balances
+  let makeupOwed = team.map((member) => member.makeupOwed || 0)
+  const firstWeekKey = getTurnKey(startDate, clock)
+  const offenderIndex =
+    penaltyBox && isMemberIndex(penaltyBox.offenderIndex, teamSize)
+      ? penaltyBox.offenderIndex
+      : undefined
+  const penaltyWeeks =
+    offenderIndex !== undefined && Number.isInteger(penaltyBox.weeksRemaining)
+      ? Math.max(0, penaltyBox.weeksRemaining)
+      : 0
+  const penaltyRuns = [
+    { offenderIndex, weeks: penaltyWeeks, penalty: penaltyBox },
+    ...penaltyQueue.map((entry) => ({
+      offenderIndex: entry.offenderIndex,
+      weeks: entry.weeksRemaining,
+      penalty: entry,
+    })),
+  ].filter((run) => isMemberIndex(run.offenderIndex, teamSize) && run.weeks > 0)
+
+  const slots = []
+  let pointer = currentIndex
+  for (let step = 0; step < weeks; step++) {
+    const weekOf = addTurnsToKey(firstWeekKey, step, clock)
+    let index
+    let isPenalty = false
+    let isMakeup = false
+    let penalty = null
+    if (step === 0) {
+      index = onDutyIndex
+      isPenalty = thisWeekIsPenalty
+      if (isPenalty) penalty = penaltyBox || null
+    } else if (penaltyRuns.length > 0) {
+      const run = penaltyRuns[0]
+      index = run.offenderIndex
+      isPenalty = true
+      penalty = run.penalty
+      if (--run.weeks === 0) penaltyRuns.shift()
+      // The cron parks the pointer on the offender while they serve.
+      pointer = index
+    } else if (fairness) {
+      index = pickBalancedMember({
+        team,
+        pointer,
+        weekOf,
+        turnWeeks: clock.turnWeeks,
+        balances: fairness,
+      })
+      pointer = index
+    } else {
+      const next = stepRotation({
+        team,
+        pointer,
+        weekOf,
+        turnWeeks: clock.turnWeeks,
+        makeupOwed,
+        makeupRule,
+      })
+      pointer = next.pointer
+      makeupOwed = next.makeupOwed
+      index = next.index
+      isMakeup = next.isMakeup
+    }
+
+    let isOverride = false
+    if (!isPenalty) {
+      const overrideIndex = resolveOverride(overrides[weekOf], team)
+      if (overrideIndex !== -1) {
+        index = overrideIndex
+        isOverride = true
+      }
+    }
+    if (fairness && step > 0 && !isPenalty) {
+      fairness = creditBalances({
+        team,
+        balances: fairness,
+        index,
+        weekOf,
+        turnWeeks: clock.turnWeeks,
+        makeupRule,
+      })
+    }
+    slots.push({
+      weekOf,
+      index,
+      name: team[index].name,
+      isPenalty,
+      penalty,
+      isOverride,
+      isMakeup,
+      away: awayNamesForWeek(team, weekOf, clock.turnWeeks),
+    })
+  }
+  return slots
+}
+
+/**
+ * Forecast from the stored (not yet rotated) state: this week is whoever the
+ * last cron run put on duty.
+ */
+async function loadStoredForecast(env, rotationDb, team, weeks) {
+  const teamSize = team.length
+  const currentIndex = await loadCurrentIndex(rotationDb, teamSize)
+  const penaltyBox = (await rotationDb.get('PENALTY_BOX', 'json')) || {}
+  const thisWeekIsPenalty =
+    penaltyBox.offenderIndex === currentIndex &&
+    Number.isInteger(penaltyBox.weeksRemaining)
+  return forecastAssignments({
+    team,
+    currentIndex,
+    thisWeekIsPenalty,
+    penaltyBox,
+    penaltyQueue: await loadPenaltyQueue(rotationDb),
+    overrides: await loadWeekOverrides(rotationDb),
+    makeupRule: getMakeupRule(env),
+    balances:
+      getRotationConfig(env).mode === 'balanced'
+        ? fairnessBalances(team, await loadFairnessLedger(rotationDb))
+        : null,
+    clock: getRotationClock(env),
+    startDate: new Date(),
+    weeks: Math.max(1, weeks),
+  })
+}
+
+const UPCOMING_DEFAULT_WEEKS = 4
+const UPCOMING_MAX_WEEKS = 52
+
+/**
+ * Public shape of a forecast week for /schedule's `upcoming`, with the
+ * penalty's reason in `language`.
+ */
+function describeForecastSlot(slot, render, language) {
+  return {
+    weekOf: slot.weekOf,
+    name: slot.name,
+    isPenalty: slot.isPenalty,
+    penaltyReason: describePenaltyReason(slot.penalty, render, language),
+    isOverride: slot.isOverride,
+    isMakeup: slot.isMakeup,
+    away: slot.away,
+  }
+}
+
+// Long enough to see everyone's next turn even after a swap pushes it back a
+// lap, behind the current penalty and every queued one.
+function forecastHorizon(teamSize, penaltyQueue = []) {
+  return teamSize * 2 + PENALTY_WEEKS_LIMIT + queuedPenaltyWeeks(penaltyQueue)
+}
+
+/** Stored forecast long enough for forecastHorizon. */
+async function loadTurnForecast(env, rotationDb, team) {
+  return loadStoredForecast(
+    env,
+    rotationDb,
+    team,
+    forecastHorizon(team.length, await loadPenaltyQueue(rotationDb))
+  )
+}
+
+/**
+ * Weeks until the member's next turn (0 = this week). Falls back to the end
+ * of the forecast when they do not appear in it.
+ */
+function findNextTurn(forecast, memberIndex) {
+  const weeks = forecast.findIndex((slot) => slot.index === memberIndex)
+  return weeks === -1 ? forecast.length : weeks
+}
+
+/** First Monday of the forecast turn `turnsAhead` from now, as a Date. */
+function forecastWeekDate(forecast, turnsAhead, clock) {
+  return new Date(
+    `${addTurnsToKey(forecast[0].weekOf, turnsAhead, clock)}T00:00:00Z`
+  )
+}
+
+/**
+ * Last week's assignee: taken from the outgoing duty record when it names a
+ * current member, else from last week's override, else the member before the
+ * rotation pointer.
+ */
+function resolveLastWeekIndex(
+  team,
+  currentIndex,
+  overrides,
+  previousRecord,
+  clock
+) {
+  const teamSize = team.length
+  if (previousRecord) {
+    const recordIndex = team.findIndex(
+      (member) => member && member.name === previousRecord.name
+    )
+    if (recordIndex !== -1) return recordIndex
+  }
+  const thisWeekKey = getTurnKey(new Date(), clock)
+  const lastWeekKey = addTurnsToKey(thisWeekKey, -1, clock)
+  const lastWeekOverride = resolveOverride(overrides[lastWeekKey], team)
+  if (lastWeekOverride !== -1) return lastWeekOverride
+  // A makeup week leaves the pointer on last week's assignee.
+  const thisWeekOverride = overrides[thisWeekKey]
+  if (
+    thisWeekOverride &&
+    thisWeekOverride.reason === 'makeup' &&
+    resolveOverride(thisWeekOverride, team) !== -1
+  ) {
+    return currentIndex
+  }
+  // Nobody on record: walk back from the pointer past anyone the rotation
+  // skipped for being away this week or last.
+  for (let offset = 1; offset < teamSize; offset++) {
+    const candidate = (currentIndex - offset + teamSize) % teamSize
+    if (
+      !isAwayForWeek(team[candidate], thisWeekKey, clock.turnWeeks) &&
+      !isAwayForWeek(team[candidate], lastWeekKey, clock.turnWeeks)
+    ) {
+      return candidate
+    }
+  }
+  return (currentIndex - 1 + teamSize) % teamSize
+}
+
+// --- AWAY PERIODS ---
+
+// An away range must cover at least this many days of a Mon–Sun week to skip
+// it (twice as many for a two-week turn).
+const AWAY_MIN_DAYS_PER_WEEK = 4
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/** A YYYY-MM-DD key naming a real calendar date (so not 2026-13-45). */
+function isDateKey(value) {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+function getMakeupRule(env) {
+  return env.AWAY_MAKEUP === 'forgive' ? 'forgive' : 'owe'
+}
+
+function isAwayForWeek(member, weekOf, turnWeeks = 1) {
+  if (!member || !Array.isArray(member.away)) return false
+  const weekEnd = addDaysToKey(weekOf, 7 * turnWeeks - 1)
+  return member.away.some((range) => {
+    const start = range.start > weekOf ? range.start : weekOf
+    const end = range.end < weekEnd ? range.end : weekEnd
+    if (start > end) return false
+    const days =
+      (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) /
+        86400000 +
+      1
+    return days >= AWAY_MIN_DAYS_PER_WEEK * turnWeeks
+  })
+}
+
+function awayNamesForWeek(team, weekOf, turnWeeks) {
+  return team
+    .filter((member) => isAwayForWeek(member, weekOf, turnWeeks))
+    .map((member) => member.name)
+}
+
+/**
+ * One normal rotation week. A member who owes a makeup week and is back takes
+ * it first (pointer unchanged); otherwise the pointer advances past anyone
+ * away that week. Under the 'owe' rule each skipped member owes one makeup.
+ * If everyone is away nobody is skipped.
+ */
+function stepRotation({
+  team,
+  pointer,
+  weekOf,
+  turnWeeks,
+  makeupOwed,
+  makeupRule,
+}) {
+  const teamSize = team.length
+  const owed = [...makeupOwed]
+
+  for (let offset = 1; offset <= teamSize; offset++) {
+    const candidate = (pointer + offset) % teamSize
+    if (
+      owed[candidate] > 0 &&
+      !isAwayForWeek(team[candidate], weekOf, turnWeeks)
+    ) {
+      owed[candidate]--
+      return {
+        index: candidate,
+        pointer,
+        isMakeup: true,
+        makeupOwed: owed,
+        skipped: [],
+      }
+    }
+  }
+
+  let skipped = []
+  let next = pointer
+  for (let attempt = 0; attempt < teamSize; attempt++) {
+    next = (next + 1) % teamSize
+    if (!isAwayForWeek(team[next], weekOf, turnWeeks)) break
+    skipped.push(next)
+  }
+  if (skipped.length >= teamSize) {
+    next = (pointer + 1) % teamSize
+    skipped = []
+  }
+  if (makeupRule === 'owe') {
+    skipped.forEach((index) => {
+      owed[index]++
+    })
+  }
+  return {
+    index: next,
+    pointer: next,
+    isMakeup: false,
+    makeupOwed: owed,
+    skipped,
+  }
+}
+
+/**
+ * The part of a member record that /schedule may publish. Everything else
+ * (phone, email, webhooks, push subscription, tokens, offenses) stays private.
+ */
+function describePublicMember(member) {
+  const published = { name: member.name }
+  if (member.away) published.away = member.away
+  if (member.language) published.language = member.language
+  return published
+}
+
+function describeAwayMembers(team, today) {
+  return team
+    .filter((member) => member && Array.isArray(member.away))
+    .map((member) => ({
+      name: member.name,
+      ranges: member.away.filter((range) => range.end >= today),
+      notifyWhileAway: member.notifyWhileAway !== false,
+      makeupOwed: member.makeupOwed || 0,
+    }))
+    .filter((entry) => entry.ranges.length > 0 || entry.makeupOwed > 0)
+}
+
+/**
+ * POST /away        { phone, code, start?, end?, notifyWhileAway? }
+ * POST /away/cancel { phone, code, start }
+ */
+async function handleAwayRequest(request, env, url, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+  if (url.pathname !== '/away' && url.pathname !== '/away/cancel') {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+
+  const body = await readJsonBody(request)
+  const memberIndex = await verifyReportCode(
+    rotationDb,
+    team,
+    body && body.phone,
+    body && body.code
+  )
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'Invalid or expired code. Request a new one.' },
+      corsHeaders,
+      403
+    )
+  }
+
+  const result = await updateAwayDates(
+    env,
+    rotationDb,
+    team,
+    memberIndex,
+    url.pathname,
+    body
+  )
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : 400
+  )
+}
+
+/** The verified part of /away and /away/cancel, shared with /me/<token>/. */
+async function updateAwayDates(env, rotationDb, team, memberIndex, path, body) {
+  let result
+  if (path === '/away/cancel') {
+    result = await cancelAwayPeriod(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      body.start
+    )
+  } else if (body.start !== undefined || body.end !== undefined) {
+    result = await addAwayPeriod(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      body.start,
+      body.end,
+      getLocalToday(env)
+    )
+  } else {
+    const brand = getRotationConfig(env)
+    const render = createMessageRenderer(
+      env,
+      await loadMessageTemplates(rotationDb)
+    )
+    const language = resolveLanguage(team[memberIndex].language, brand.language)
+    result = { ok: true, message: render('away.noDates', language) }
+  }
+  if (result.ok && typeof body.notifyWhileAway === 'boolean') {
+    const preference = await setNotifyWhileAway(
+      env,
+      rotationDb,
+      await rotationDb.get('TEAM_MEMBERS', 'json'),
+      memberIndex,
+      body.notifyWhileAway
+    )
+    result = { ok: true, message: `${result.message} ${preference.message}` }
+  }
+  return result
+}
+
+async function saveMemberUpdate(rotationDb, team, memberIndex, updated) {
+  const newTeam = team.map((member, index) =>
+    index === memberIndex ? updated : member
+  )
+  await rotationDb.put('TEAM_MEMBERS', JSON.stringify(newTeam))
+  return newTeam
+}
+
+async function addAwayPeriod(
+  env,
+  rotationDb,
+  team,
+  memberIndex,
+  start,
+  end,
+  today
+) {
+  const member = team[memberIndex]
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  if (!isDateKey(start) || !isDateKey(end)) {
+    return { ok: false, message: render('away.badDates', language) }
+  }
+  if (end < start) {
+    return { ok: false, message: render('away.endsBeforeStart', language) }
+  }
+  if (end < today) {
+    return { ok: false, message: render('away.over', language) }
+  }
+
+  const away = (Array.isArray(member.away) ? member.away : []).filter(
+    (range) => range.end >= today
+  )
+  away.push({ start, end })
+  away.sort((a, b) => (a.start < b.start ? -1 : 1))
+  await saveMemberUpdate(rotationDb, team, memberIndex, { ...member, away })
+  console.info(`${member.name} marked away ${start} to ${end}.`)
+  return {
+    ok: true,
+    message: render('away.saved', language, {
+      name: member.name,
+      from: start,
+      until: end,
+    }),
+  }
+}
+
+async function cancelAwayPeriod(env, rotationDb, team, memberIndex, start) {
+  const member = team[memberIndex]
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  const away = Array.isArray(member.away) ? member.away : []
+  const remaining = start ? away.filter((range) => range.start !== start) : []
+  if (remaining.length === away.length) {
+    return { ok: false, message: render('away.notFound', language) }
+  }
+  const updated = { ...member, away: remaining }
+  if (remaining.length === 0) delete updated.away
+  await saveMemberUpdate(rotationDb, team, memberIndex, updated)
+  console.info(`${member.name} cancelled away period ${start || '(all)'}.`)
+  return {
+    ok: true,
+    message: start
+      ? render('away.cancelled', language, { from: start })
+      : render('away.cleared', language),
+  }
+}
+
+async function setNotifyWhileAway(env, rotationDb, team, memberIndex, enabled) {
+  const member = team[memberIndex]
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  await saveMemberUpdate(rotationDb, team, memberIndex, {
+    ...member,
+    notifyWhileAway: enabled,
+  })
+  return {
+    ok: true,
+    message: render(enabled ? 'away.textsOn' : 'away.textsOff', language),
+  }
+}
+
+// --- FAIRNESS LEDGER ---
+
+// Each normal week gives one duty to whoever takes it and spreads one week of
+// expected duty (their "share") over the members who could have taken it. A
+// member's balance is served - share, so negative means behind. Penalty weeks
+// are counted apart: serving a penalty never pays down a fair share.
+const FAIRNESS_LEDGER_KEY = 'FAIRNESS_LEDGER'
+const ROTATION_MODES = ['round-robin', 'balanced']
+// Shares are fractions, so balances this close count as a tie.
+const FAIRNESS_EPSILON = 1e-9
+
+async function loadFairnessLedger(rotationDb) {
+  return (await rotationDb.get(FAIRNESS_LEDGER_KEY, 'json')) || { members: {} }
+}
+
+function fairnessEntry(ledger, name) {
+  return {
+    served: 0,
+    share: 0,
+    penaltyWeeks: 0,
+    since: null,
+    ...(ledger.members[name] || {}),
+  }
+}
+
+/** Each member's balance in roster order; untracked members are level (0). */
+function fairnessBalances(team, ledger) {
+  return team.map((member) => {
+    const entry = ledger.members[member.name]
+    return entry ? entry.served - entry.share : 0
+  })
+}
+
+/**
+ * Who shares a normal week: everyone under the 'owe' away rule, so time away
+ * is made up later, or only those at home under 'forgive'.
+ */
+function fairnessSharers(team, weekOf, turnWeeks, makeupRule) {
+  const everyone = team.map((member, index) => index)
+  if (makeupRule === 'owe') return everyone
+  const present = everyone.filter(
+    (index) => !isAwayForWeek(team[index], weekOf, turnWeeks)
+  )
+  return present.length > 0 ? present : everyone
+}
+
+/**
+ * Balanced mode's pick for a normal week: the member furthest behind who is
+ * not away, ties going to whoever comes first after the pointer. If everyone
+ * is away the next member in order takes it, as in stepRotation.
+ */
+function pickBalancedMember({ team, pointer, weekOf, turnWeeks, balances }) {
+  const teamSize = team.length
+  let best = -1
+  for (let offset = 1; offset <= teamSize; offset++) {
+    const candidate = (pointer + offset) % teamSize
+    if (isAwayForWeek(team[candidate], weekOf, turnWeeks)) continue
+    if (
+      best === -1 ||
+      balances[candidate] < balances[best] - FAIRNESS_EPSILON
+    ) {
+      best = candidate
+    }
+  }
+  return best === -1 ? (pointer + 1) % teamSize : best
+}
+
+/** Balances after `index` serves a normal week, for the forecast. */
+function creditBalances({
+  team,
+  balances,
+  index,
+  weekOf,
+  turnWeeks,
+  makeupRule,
+}) {
+  const next = [...balances]
+  const sharers = fairnessSharers(team, weekOf, turnWeeks, makeupRule)
+  sharers.forEach((sharer) => {
+    next[sharer] -= 1 / sharers.length
+  })
+  next[index] += 1
+  return next
+}
+
+/** The ledger after one week, keyed by name like HISTORY_STATS. */
+function recordFairnessWeek(
+  ledger,
+  { team, index, weekOf, turnWeeks, makeupRule, isPenalty }
+) {
+  const members = {}
+  for (const member of team) {
+    members[member.name] = fairnessEntry(ledger, member.name)
+    members[member.name].since = members[member.name].since || weekOf
+  }
+  if (isPenalty) {
+    members[team[index].name].penaltyWeeks++
+  } else {
+    const sharers = fairnessSharers(team, weekOf, turnWeeks, makeupRule)
+    sharers.forEach((sharer) => {
+      members[team[sharer].name].share += 1 / sharers.length
+    })
+    members[team[index].name].served++
+  }
+  return { members, weekOf }
+}
+
+/**
+ * Carries the ledger through a roster change. Newcomers start level with the
+ * house, and a leaver's balance is spread evenly over everyone who stays, so
+ * balances keep adding up to zero.
+ */
+function reconcileFairnessLedger(ledger, oldTeam, newTeam, indexMap) {
+  const members = {}
+  oldTeam.forEach((member, oldIndex) => {
+    const newIndex = indexMap[oldIndex]
+    if (newIndex !== -1 && ledger.members[member.name]) {
+      members[newTeam[newIndex].name] = { ...ledger.members[member.name] }
+    }
+  })
+  for (const member of newTeam) {
+    members[member.name] = fairnessEntry({ members }, member.name)
+  }
+  const reconciled = { ...ledger, members }
+  const balances = fairnessBalances(newTeam, reconciled)
+  const offset =
+    balances.reduce((total, balance) => total + balance, 0) / newTeam.length
+  for (const member of newTeam) members[member.name].share += offset
+  return reconciled
+}
+
+/** Public shape of the ledger for /schedule's `fairness`. */
+function describeFairness(team, ledger, mode) {
+  const round = (value) => Math.round(value * 100) / 100
+  return {
+    mode,
+    members: team.map((member) => {
+      const entry = fairnessEntry(ledger, member.name)
+      return {
+        name: member.name,
+        served: entry.served,
+        share: round(entry.share),
+        balance: round(entry.served - entry.share),
+        penaltyWeeks: entry.penaltyWeeks,
+        since: entry.since,
+      }
+    }),
+  }
+}
+
+// --- DUTY SWAPS ---
+
+const SWAP_ID_LENGTH = 8
+const SWAP_PATH_PATTERN = /^\/swaps(?:\/([\w-]+)\/(accept|decline))?$/
+
+async function loadWeekOverrides(rotationDb) {
+  const overrides = await rotationDb.get('WEEK_OVERRIDES', 'json')
+  return overrides && typeof overrides === 'object' ? overrides : {}
+}
+
+/**
+ * Pending swap offers. Given the rotation's clock, offers for a week that has
+ * already started are left out, since they can no longer be accepted; they
+ * drop out of storage the next time the list is saved.
+ */
+async function loadSwapProposals(rotationDb, clock) {
+  const proposals = await rotationDb.get('SWAP_PROPOSALS', 'json')
+  if (!Array.isArray(proposals)) return []
+  if (!clock) return proposals
+  const thisTurn = getTurnKey(new Date(), clock)
+  return proposals.filter(
+    (proposal) =>
+      proposal.giveWeek > thisTurn &&
+      (!proposal.takeWeek || proposal.takeWeek > thisTurn)
+  )
+}
+
+/**
+ * Returns the team index an override points at, or -1 when there is no
+ * override or it refers to someone no longer at that index.
+ */
+function resolveOverride(override, team) {
+  if (!override || !Number.isInteger(override.assigneeIndex)) return -1
+  const member = team[override.assigneeIndex]
+  return member && member.name === override.assigneeName
+    ? override.assigneeIndex
+    : -1
+}
+
+function describeWeekOverrides(overrides, team) {
+  return Object.keys(overrides)
+    .sort()
+    .filter((weekOf) => resolveOverride(overrides[weekOf], team) !== -1)
+    .map((weekOf) => ({
+      weekOf,
+      name: overrides[weekOf].assigneeName,
+      replaces: overrides[weekOf].replacedName,
+      swapId: overrides[weekOf].swapId,
+      reason: overrides[weekOf].reason || 'swap',
+    }))
+}
+
+function describeSwapProposal(proposal) {
+  return {
+    id: proposal.id,
+    proposer: proposal.proposerName,
+    counterpart: proposal.counterpartName,
+    giveWeek: proposal.giveWeek,
+    takeWeek: proposal.takeWeek,
+    createdAt: proposal.createdAt,
+  }
+}
+
+/**
+ * POST /swaps                 { phone, code, with, giveWeek?, takeWeek? }
+ * POST /swaps/:id/accept      { phone, code }
+ * POST /swaps/:id/decline     { phone, code }
+ * The caller is verified with the same one-time SMS code used for reports.
+ */
+async function handleSwapRequest(request, env, url, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+
+  if (!SWAP_PATH_PATTERN.test(url.pathname)) {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+
+  const body = await readJsonBody(request)
+  const memberIndex = await verifyReportCode(
+    rotationDb,
+    team,
+    body && body.phone,
+    body && body.code
+  )
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'Invalid or expired code. Request a new one.' },
+      corsHeaders,
+      403
+    )
+  }
+
+  const result = await runSwapAction(
+    env,
+    rotationDb,
+    team,
+    memberIndex,
+    url.pathname,
+    body
+  )
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : result.status || 409
+  )
+}
+
+/**
+ * The verified part of the /swaps routes, shared with /me/<token>/. A bad
+ * `with` comes back with status 400; other refusals are conflicts.
+ */
+async function runSwapAction(env, rotationDb, team, memberIndex, path, body) {
+  const [, swapId, answer] = path.match(SWAP_PATH_PATTERN)
+  if (swapId) {
+    return respondToSwap(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      swapId,
+      answer === 'accept'
+    )
+  }
+  const counterpartIndex = findMemberIndexByName(team, body.with)
+  if (counterpartIndex === -1) {
+    return {
+      ok: false,
+      status: 400,
+      message: 'with must name a housemate on the roster.',
+    }
+  }
+  return proposeSwap(env, rotationDb, team, memberIndex, counterpartIndex, {
+    giveWeek: body.giveWeek,
+    takeWeek: body.takeWeek,
+  })
+}
+
+/**
+ * Checks that each week is one of the forecast's upcoming (not current,
+ * not penalty) weeks and is currently assigned to the expected member.
+ * Returns an error message in `language`, or null.
+ */
+function validateSwapWeeks(forecast, team, proposal, render, language) {
+  const checks = [[proposal.giveWeek, proposal.proposerIndex]]
+  if (proposal.takeWeek)
+    checks.push([proposal.takeWeek, proposal.counterpartIndex])
+  for (const [weekOf, expectedIndex] of checks) {
+    const slot = forecast.find((candidate) => candidate.weekOf === weekOf)
+    if (!slot || slot === forecast[0]) {
+      return render('swap.notUpcoming', language, { weekOf })
+    }
+    if (slot.isPenalty) {
+      return render('swap.penaltyWeek', language, { weekOf })
+    }
+    if (slot.index !== expectedIndex) {
+      return render('swap.notOnDuty', language, {
+        name: team[expectedIndex].name,
+        weekOf,
+      })
+    }
+  }
+  return null
+}
+
+/**
+ * Offers a trade: the counterpart takes the proposer's giveWeek and, when
+ * takeWeek is set, the proposer takes the counterpart's takeWeek. Both default
+ * to each person's next upcoming turn.
+ */
+async function proposeSwap(
+  env,
+  rotationDb,
+  team,
+  proposerIndex,
+  counterpartIndex,
+  { giveWeek, takeWeek }
+) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(team[proposerIndex].language, brand.language)
+  if (proposerIndex === counterpartIndex) {
+    return { ok: false, message: render('swap.self', language) }
+  }
+  const forecast = await loadTurnForecast(env, rotationDb, team)
+  const nextTurnWeek = (memberIndex) => {
+    const slot = forecast.find(
+      (candidate, step) =>
+        step > 0 && candidate.index === memberIndex && !candidate.isPenalty
+    )
+    return slot ? slot.weekOf : null
+  }
+
+  const proposer = team[proposerIndex]
+  const counterpart = team[counterpartIndex]
+  const proposal = {
+    id: crypto.randomUUID().slice(0, SWAP_ID_LENGTH),
+    proposerIndex,
+    proposerName: proposer.name,
+    counterpartIndex,
+    counterpartName: counterpart.name,
+    giveWeek: giveWeek || nextTurnWeek(proposerIndex),
+    takeWeek:
+      takeWeek === undefined ? nextTurnWeek(counterpartIndex) : takeWeek,
+    createdAt: new Date().toISOString(),
+  }
+  if (!proposal.giveWeek) {
+    return { ok: false, message: render('swap.noTurn', language) }
+  }
+  const problem = validateSwapWeeks(forecast, team, proposal, render, language)
+  if (problem) return { ok: false, message: problem }
+
+  const proposals = await loadSwapProposals(rotationDb, getRotationClock(env))
+  proposals.push(proposal)
+  await rotationDb.put('SWAP_PROPOSALS', JSON.stringify(proposals))
+  console.info(
+    `${proposer.name} proposed swap ${proposal.id} with ${counterpart.name}.`
+  )
+
+  const counterpartLanguage = resolveLanguage(
+    counterpart.language,
+    brand.language
+  )
+  await notifyMember(
+    env,
+    rotationDb,
+    counterpart,
+    {
+      subject: render('swap.subject', counterpartLanguage),
+      text: render(
+        proposal.takeWeek ? 'swap.offerTrade' : 'swap.offerCover',
+        counterpartLanguage,
+        {
+          proposer: proposer.name,
+          giveWeek: proposal.giveWeek,
+          takeWeek: proposal.takeWeek,
+        }
+      ),
+    },
+    { kind: 'swap' }
+  )
+  return {
+    ok: true,
+    message: render('swap.offerSent', language, {
+      counterpart: counterpart.name,
+    }),
+  }
+}
+
+/**
+ * Accepts or declines a pending offer addressed to the responder. With no id
+ * (SMS), the most recent offer to them is used.
+ */
+async function respondToSwap(
+  env,
+  rotationDb,
+  team,
+  responderIndex,
+  swapId,
+  accept
+) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(
+    team[responderIndex].language,
+    brand.language
+  )
+  const proposals = await loadSwapProposals(rotationDb, getRotationClock(env))
+  const candidates = proposals.filter(
+    (proposal) =>
+      proposal.counterpartIndex === responderIndex &&
+      (!swapId || proposal.id === swapId)
+  )
+  const proposal = candidates[candidates.length - 1]
+  if (!proposal) {
+    return { ok: false, message: render('swap.noneOpen', language) }
+  }
+
+  const remaining = proposals.filter((candidate) => candidate !== proposal)
+  await rotationDb.put('SWAP_PROPOSALS', JSON.stringify(remaining))
+  const proposer = team[proposal.proposerIndex]
+  const counterpart = team[proposal.counterpartIndex]
+
+  if (!accept) {
+    console.info(`${counterpart.name} declined swap ${proposal.id}.`)
+    const proposerLanguage = resolveLanguage(proposer.language, brand.language)
+    await notifyMember(
+      env,
+      rotationDb,
+      proposer,
+      {
+        subject: render('swap.subject', proposerLanguage),
+        text: render('swap.declinedNotice', proposerLanguage, {
+          counterpart: counterpart.name,
+        }),
+      },
+      { kind: 'swap' }
+    )
+    return {
+      ok: true,
+      message: render('swap.declined', language, { proposer: proposer.name }),
+    }
+  }
+
+  // The rotation may have moved since the offer was made; re-check it.
+  const forecast = await loadTurnForecast(env, rotationDb, team)
+  const problem = validateSwapWeeks(forecast, team, proposal, render, language)
+  if (problem) {
+    return {
+      ok: false,
+      message: render('swap.noLongerFits', language, { problem }),
+    }
+  }
+
+  const overrides = await loadWeekOverrides(rotationDb)
+  overrides[proposal.giveWeek] = {
+    assigneeIndex: proposal.counterpartIndex,
+    assigneeName: counterpart.name,
+    replacedName: proposer.name,
+    swapId: proposal.id,
+  }
+  if (proposal.takeWeek) {
+    overrides[proposal.takeWeek] = {
+      assigneeIndex: proposal.proposerIndex,
+      assigneeName: proposer.name,
+      replacedName: counterpart.name,
+      swapId: proposal.id,
+    }
+  }
+  // Keep last week's override around for /report, drop anything older.
+  const clock = getRotationClock(env)
+  const oldestKept = addTurnsToKey(getTurnKey(new Date(), clock), -1, clock)
+  for (const weekOf of Object.keys(overrides)) {
+    if (weekOf < oldestKept) delete overrides[weekOf]
+  }
+  await rotationDb.put('WEEK_OVERRIDES', JSON.stringify(overrides))
+  await recordHistoryEvent(rotationDb, {
+    type: 'swap',
+    actor: proposer.name,
+    assignee: counterpart.name,
+    details: {
+      swapId: proposal.id,
+      giveWeek: proposal.giveWeek,
+      takeWeek: proposal.takeWeek,
+    },
+  })
+  console.info(`${counterpart.name} accepted swap ${proposal.id}.`)
+
+  const summary = (summaryLanguage) =>
+    render(
+      proposal.takeWeek ? 'swap.summaryTrade' : 'swap.summaryCover',
+      summaryLanguage,
+      {
+        proposer: proposer.name,
+        counterpart: counterpart.name,
+        giveWeek: proposal.giveWeek,
+        takeWeek: proposal.takeWeek,
+      }
+    )
+  await notifyMembers(
+    env,
+    rotationDb,
+    team,
+    (member) => {
+      const memberLanguage = resolveLanguage(member.language, brand.language)
+      return {
+        subject: render('swap.subject', memberLanguage),
+        text: render('swap.agreedNotice', memberLanguage, {
+          summary: summary(memberLanguage),
+        }),
+      }
+    },
+    { kind: 'swap' }
+  )
+  return {
+    ok: true,
+    message: render('swap.agreed', language, { summary: summary(language) }),
+  }
+}
+
+// --- MISSED-DUTY REPORTS ---
+
+const DEFAULT_REPORT_CONFIRMATIONS = 2
+const DEFAULT_REPORT_DISPUTE_HOURS = 24
+const DEFAULT_REPORT_UNDO_MINUTES = 15
+const REPORT_UNDO_PREFIX = 'REPORT_UNDO:'
+const PENALTY_UNDO_PREFIX = 'PENALTY_UNDO:'
+// Admins can reverse a penalty until it is served, and no queue runs this long.
+const PENALTY_UNDO_TTL_SECONDS = 60 * 60 * 24 * 7 * 26
+const REPORT_EXPIRY_DAYS = 7
+const REPORT_CODE_PREFIX = 'REPORT_CODE:'
+const REPORT_CODE_TTL_SECONDS = 600
+const REPORT_CODE_RESEND_SECONDS = 60
+const REPORT_CODE_MAX_ATTEMPTS = 5
+// /report/code answers every phone alike, so it cannot be used to look up
+// who is on the roster.
+const REPORT_CODE_SENT_MESSAGE =
+  'If that number is on the roster, a code is on its way.'
+
+/**
+ * Report settings from env. Without REPORT_CONFIRMATIONS_REQUIRED, a team of
+ * `teamSize` needs min(2, teamSize - 1) votes, since the accused cannot vote.
+ */
+function getReportPolicy(env, teamSize) {
+  const defaultConfirmations = Number.isInteger(teamSize)
+    ? Math.min(DEFAULT_REPORT_CONFIRMATIONS, teamSize - 1)
+    : DEFAULT_REPORT_CONFIRMATIONS
+  return {
+    confirmationsRequired: Math.max(
+      1,
+      Math.floor(
+        readPositiveNumber(
+          env.REPORT_CONFIRMATIONS_REQUIRED,
+          defaultConfirmations
+        )
+      )
+    ),
+    disputeHours: readPositiveNumber(
+      env.REPORT_DISPUTE_HOURS,
+      DEFAULT_REPORT_DISPUTE_HOURS
+    ),
+    undoMinutes: readPositiveNumber(
+      env.REPORT_UNDO_MINUTES,
+      DEFAULT_REPORT_UNDO_MINUTES
+    ),
+  }
+}
+
+/**
+ * POST /report/code { phone } texts a one-time code to a roster phone. No
+ * code goes out while one was sent in the last minute or the phone is locked
+ * out after too many wrong attempts.
+ */
+async function handleReportCodeRequest(request, env, corsHeaders) {
+  const brand = getRotationConfig(env)
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse(
+      { error: 'Team data is missing. Penalty cannot be recorded.' },
+      corsHeaders,
+      500
+    )
+  }
+
+  const body = await readJsonBody(request)
+  const memberIndex = findMemberIndexByPhone(team, body && body.phone)
+  if (memberIndex === -1) {
+    console.info('Report code requested for a phone not on the roster.')
+    return jsonResponse({ message: REPORT_CODE_SENT_MESSAGE }, corsHeaders)
+  }
+  const member = team[memberIndex]
+  const codeKey = REPORT_CODE_PREFIX + normalizePhone(member.phone)
+
+  const existing = await rotationDb.get(codeKey, 'json')
+  if (
+    existing &&
+    (isReportCodeLocked(existing) ||
+      Date.now() - new Date(existing.sentAt).getTime() <
+        REPORT_CODE_RESEND_SECONDS * 1000)
+  ) {
+    console.info(`Report code for ${member.name} held back.`)
+    return jsonResponse({ message: REPORT_CODE_SENT_MESSAGE }, corsHeaders)
+  }
+
+  const code = generateNumericCode(6)
+  const now = Date.now()
+  await rotationDb.put(
+    codeKey,
+    JSON.stringify({
+      code,
+      sentAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + REPORT_CODE_TTL_SECONDS * 1000).toISOString(),
+      attempts: 0,
+    }),
+    { expirationTtl: REPORT_CODE_TTL_SECONDS }
+  )
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  await sendSms(
+    env,
+    member.phone,
+    render('code.sms', resolveLanguage(member.language, brand.language), {
+      code,
+      minutes: REPORT_CODE_TTL_SECONDS / 60,
+    })
+  )
+  return jsonResponse({ message: REPORT_CODE_SENT_MESSAGE }, corsHeaders)
+}
+
+/** True while a code has used up its attempts and has not yet expired. */
+function isReportCodeLocked(stored) {
+  return (
+    (stored.attempts || 0) >= REPORT_CODE_MAX_ATTEMPTS &&
+    Date.now() <= new Date(stored.expiresAt).getTime()
+  )
+}
+
+/**
+ * Checks a one-time code and consumes it on success. The last allowed wrong
+ * attempt locks the phone out until the code would have expired, so a new
+ * code cannot be asked for straight away.
+ * Returns the verified member's index, or -1.
+ */
+async function verifyReportCode(rotationDb, team, phone, code) {
+  const memberIndex = findMemberIndexByPhone(team, phone)
+  if (memberIndex === -1 || typeof code !== 'string' || code.trim() === '') {
+    return -1
+  }
+  const codeKey = REPORT_CODE_PREFIX + normalizePhone(team[memberIndex].phone)
+  const stored = await rotationDb.get(codeKey, 'json')
+  if (
+    !stored ||
+    Date.now() > new Date(stored.expiresAt).getTime() ||
+    isReportCodeLocked(stored)
+  ) {
+    return -1
+  }
+  if (!timingSafeEqual(code.trim(), stored.code)) {
+    const attempts = (stored.attempts || 0) + 1
+    // KV keeps a key for at least 60 seconds.
+    const secondsLeft = Math.ceil(
+      (new Date(stored.expiresAt).getTime() - Date.now()) / 1000
+    )
+    await rotationDb.put(codeKey, JSON.stringify({ ...stored, attempts }), {
+      expirationTtl: Math.max(60, secondsLeft),
+    })
+    return -1
+  }
+  await rotationDb.delete(codeKey)
+  return memberIndex
+}
+
+/**
+ * POST /report/dispute { phone, code } lets the accused contest a pending report.
+ */
+async function handleReportDisputeRequest(request, env, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+  const body = await readJsonBody(request)
+  const memberIndex = await verifyReportCode(
+    rotationDb,
+    team,
+    body && body.phone,
+    body && body.code
+  )
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'Invalid or expired code. Request a new one.' },
+      corsHeaders,
+      403
+    )
+  }
+  const result = await disputePendingReport(env, rotationDb, team, memberIndex)
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : 409
+  )
+}
+
+/**
+ * Records one housemate's vote that last week's duty was missed. The first
+ * vote opens a pending report and notifies the accused; the penalty only
+ * activates once enough distinct housemates agree and the dispute window ends.
+ */
+async function submitMissedDutyReport(env, rotationDb, team, reporterIndex) {
+  const brand = getRotationConfig(env)
+  const clock = getRotationClock(env)
+  const teamSize = team.length
+  const reporter = team[reporterIndex]
+  const policy = getReportPolicy(env, teamSize)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  // Replies go to the reporter; the notice goes to the accused.
+  const language = resolveLanguage(reporter.language, brand.language)
+  let report = await rotationDb.get('PENDING_REPORT', 'json')
+
+  if (!report) {
+    const currentIndex = await loadCurrentIndex(rotationDb, teamSize)
+    // An offender past the first week of their penalty also served last
+    // week; otherwise fall back to last week's assignee.
+    const penaltyPolicy = await loadPenaltyPolicy(rotationDb)
+    const existingPenalty = (await rotationDb.get('PENALTY_BOX', 'json')) || {}
+    const servedLastWeek =
+      existingPenalty.offenderIndex === currentIndex &&
+      Number.isInteger(existingPenalty.weeksRemaining) &&
+      existingPenalty.weeksRemaining + 1 <
+        penaltyTotalWeeks(existingPenalty, penaltyPolicy)
+    const accusedIndex = servedLastWeek
+      ? existingPenalty.offenderIndex
+      : resolveLastWeekIndex(
+          team,
+          currentIndex,
+          await loadWeekOverrides(rotationDb),
+          await rotationDb.get('PREVIOUS_DUTY_CONFIRMATION', 'json'),
+          clock
+        )
+    const accused = team[accusedIndex]
+
+    const createdAt = new Date()
+    const missedWeek = addTurnsToKey(getTurnKey(createdAt, clock), -1, clock)
+    const filedPenalty = findFiledPenalty(
+      existingPenalty,
+      await loadPenaltyQueue(rotationDb),
+      accusedIndex,
+      missedWeek,
+      penaltyPolicy
+    )
+    if (filedPenalty) {
+      console.info(
+        `Penalty report ignored: ${accused.name} already has a penalty for the week of ${missedWeek}.`
+      )
+      return {
+        ok: false,
+        message: render('report.alreadyFiled', language, {
+          accused: accused.name,
+        }),
+      }
+    }
+    if (accusedIndex === reporterIndex) {
+      return { ok: false, message: render('report.self', language) }
+    }
+
+    report = {
+      accusedIndex,
+      accusedName: accused.name,
+      missedWeek,
+      reporters: [],
+      createdAt: createdAt.toISOString(),
+      disputeUntil: new Date(
+        createdAt.getTime() + policy.disputeHours * 3600000
+      ).toISOString(),
+      disputedAt: null,
+    }
+
+    const accusedLanguage = resolveLanguage(accused.language, brand.language)
+    const notice = {
+      accused: accused.name,
+      reporter: reporter.name,
+      disputeBy: formatDateTime(
+        new Date(report.disputeUntil),
+        clock.timeZone,
+        accusedLanguage
+      ),
+    }
+    await notifyMember(
+      env,
+      rotationDb,
+      accused,
+      {
+        subject: render('report.accusedSubject', accusedLanguage, notice),
+        text: render('report.accusedText', accusedLanguage, notice),
+        sms: render('report.accusedSms', accusedLanguage, notice),
+      },
+      { kind: 'report' }
+    )
+  }
+
+  if (reporterIndex === report.accusedIndex) {
+    return { ok: false, message: render('report.selfVote', language) }
+  }
+  if (report.reporters.includes(reporter.name)) {
+    return {
+      ok: false,
+      message: render('report.alreadyVoted', language, {
+        accused: report.accusedName,
+        votesNeeded: describeVotesNeeded(
+          render,
+          language,
+          report,
+          policy,
+          clock.timeZone
+        ),
+      }),
+    }
+  }
+
+  report.reporters.push(reporter.name)
+  await rotationDb.put('PENDING_REPORT', JSON.stringify(report))
+  await recordHistoryEvent(rotationDb, {
+    type: 'report',
+    actor: reporter.name,
+    assignee: report.accusedName,
+    details: { votes: report.reporters.length },
+  })
+  console.info(
+    `${reporter.name} reported ${report.accusedName} (${report.reporters.length}/${policy.confirmationsRequired}).`
+  )
+
+  const activated = await settlePendingReport(env, rotationDb, {
+    beforeRotation: false,
+  })
+  if (activated) {
+    return {
+      ok: true,
+      message: render('report.penaltyRecorded', language, {
+        accused: report.accusedName,
+        weeks: activated,
+      }),
+    }
+  }
+  return {
+    ok: true,
+    message: render('report.recorded', language, {
+      accused: report.accusedName,
+      votesNeeded: describeVotesNeeded(
+        render,
+        language,
+        report,
+        policy,
+        clock.timeZone
+      ),
+    }),
+  }
+}
+
+function describeVotesNeeded(render, language, report, policy, timeZone) {
+  const missing = policy.confirmationsRequired - report.reporters.length
+  if (report.disputedAt) {
+    return render('report.disputed', language, { accused: report.accusedName })
+  }
+  if (missing > 0) {
+    return render('report.votesNeeded', language, { missing })
+  }
+  return render('report.awaitingDispute', language, {
+    disputeBy: formatDateTime(
+      new Date(report.disputeUntil),
+      timeZone,
+      language
+    ),
+  })
+}
+
+async function disputePendingReport(env, rotationDb, team, memberIndex) {
+  const report = await rotationDb.get('PENDING_REPORT', 'json')
+  const member = team[memberIndex]
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  if (!report || report.accusedIndex !== memberIndex) {
+    return { ok: false, message: render('dispute.none', language) }
+  }
+  if (report.disputedAt) {
+    return { ok: true, message: render('dispute.alreadyFiled', language) }
+  }
+  if (Date.now() > new Date(report.disputeUntil).getTime()) {
+    return { ok: false, message: render('dispute.windowClosed', language) }
+  }
+
+  report.disputedAt = new Date().toISOString()
+  await rotationDb.put('PENDING_REPORT', JSON.stringify(report))
+  await recordHistoryEvent(rotationDb, {
+    type: 'dispute',
+    actor: member.name,
+    assignee: member.name,
+    details: { reporters: report.reporters },
+  })
+
+  const reporters = team.filter(
+    (teammate) => teammate && report.reporters.includes(teammate.name)
+  )
+  await notifyMembers(
+    env,
+    rotationDb,
+    reporters,
+    (teammate) => {
+      const teammateLanguage = resolveLanguage(
+        teammate.language,
+        brand.language
+      )
+      return {
+        subject: render('dispute.subject', teammateLanguage),
+        text: render('dispute.notice', teammateLanguage, {
+          accused: member.name,
+        }),
+      }
+    },
+    { kind: 'dispute' }
+  )
+  console.info(`${member.name} disputed the pending report.`)
+  return { ok: true, message: render('dispute.recorded', language) }
+}
+
+/**
+ * Activates the pending report's penalty once it has enough votes, its dispute
+ * window has closed and it was not disputed. Stale reports are dropped.
+ * Returns true when a penalty was activated.
+ */
+async function settlePendingReport(env, rotationDb, { beforeRotation }) {
+  const report = await rotationDb.get('PENDING_REPORT', 'json')
+  if (!report) return false
+
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  const accused = Array.isArray(team) ? team[report.accusedIndex] : undefined
+  if (!accused || accused.name !== report.accusedName) {
+    console.info(
+      'Dropping pending report: the accused is no longer on the team.'
+    )
+    await rotationDb.delete('PENDING_REPORT')
+    return false
+  }
+
+  const policy = getReportPolicy(env, team.length)
+  const now = Date.now()
+  const hasVotes = report.reporters.length >= policy.confirmationsRequired
+  if (report.disputedAt || !hasVotes) {
+    // A report short of votes lapses a week after it was opened, and a
+    // disputed one a week after the dispute unless an admin upholds it.
+    const since = report.disputedAt || report.createdAt
+    const ageDays = (now - new Date(since).getTime()) / 86400000
+    if (ageDays >= REPORT_EXPIRY_DAYS) {
+      console.info(
+        report.disputedAt
+          ? `Disputed report against ${report.accusedName} lapsed without an admin decision.`
+          : `Pending report against ${report.accusedName} expired without enough votes.`
+      )
+      await rotationDb.delete('PENDING_REPORT')
+    }
+    return false
+  }
+  if (now < new Date(report.disputeUntil).getTime()) return false
+
+  await rotationDb.delete('PENDING_REPORT')
+  return activatePenalty(env, rotationDb, team, report.accusedIndex, {
+    actor: report.reporters.join(', '),
+    reporters: report.reporters,
+    beforeRotation,
+    missedWeek: report.missedWeek,
+  })
+}
+
+/**
+ * Files a penalty for as many weeks as the penalty policy gives this offense,
+ * and texts the house. With no penalty in progress it goes straight into the
+ * penalty box; otherwise it joins PENALTY_QUEUE and starts once the penalties
+ * ahead of it are served.
+ * When called right before a rotation, the first penalty week is consumed by
+ * that rotation; otherwise it is the week already in progress.
+ * Resolves to the number of penalty weeks, or 0 when nothing changed.
+ */
+async function activatePenalty(
+  env,
+  rotationDb,
+  teamData,
+  offenderIndex,
+  { actor, reporters = [], beforeRotation, missedWeek }
+) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const offender = teamData[offenderIndex]
+  const policy = await loadPenaltyPolicy(rotationDb)
+  const now = new Date()
+  const clock = getRotationClock(env)
+  const missedWeekKey =
+    missedWeek || addTurnsToKey(getTurnKey(now, clock), -1, clock)
+  const currentIndex = await loadCurrentIndex(rotationDb, teamData.length)
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+  const penaltyQueue = await loadPenaltyQueue(rotationDb)
+  const duplicate = findFiledPenalty(
+    penaltyBox,
+    penaltyQueue,
+    offenderIndex,
+    missedWeekKey,
+    policy
+  )
+  if (duplicate) {
+    console.info(
+      `Penalty report ignored: ${offender.name} already has a penalty for the week of ${missedWeekKey}.`
+    )
+    return 0
+  }
+
+  const weeks = penaltyWeeksFor(policy, offender, now)
+  const penalty = {
+    id: crypto.randomUUID().slice(0, 8),
+    offenderIndex: offenderIndex,
+    weeksRemaining: weeks,
+    totalWeeks: weeks,
+    missedWeek: missedWeekKey,
+    filedAt: now.toISOString(),
+  }
+  // A queue left waiting after its box was cleared still goes first.
+  const queued =
+    isPenaltyInProgress(penaltyBox, currentIndex, teamData.length) ||
+    penaltyQueue.length > 0
+  await savePenaltyUndo(rotationDb, {
+    penaltyId: penalty.id,
+    offenderIndex,
+    offenderName: offender.name,
+    reporters,
+    activatedAt: penalty.filedAt,
+    weekOf: getTurnKey(now, clock),
+    // A penalty that takes over the week in progress displaces its assignee.
+    replacedIndex: queued || beforeRotation ? null : currentIndex,
+  })
+  if (queued) {
+    penaltyQueue.push(penalty)
+    await savePenaltyQueue(rotationDb, penaltyQueue)
+  } else {
+    penalty.weeksRemaining = Math.max(0, beforeRotation ? weeks : weeks - 1)
+    await rotationDb.put('PENALTY_BOX', JSON.stringify(penalty))
+    await rotationDb.put('CURRENT_INDEX', offenderIndex.toString())
+  }
+  // Re-read the roster: teamData may predate edits made while this request
+  // was in flight, and the whole list is written back.
+  const storedTeam = await rotationDb.get('TEAM_MEMBERS', 'json')
+  const storedOffender = Array.isArray(storedTeam)
+    ? storedTeam[offenderIndex]
+    : undefined
+  if (storedOffender && storedOffender.name === offender.name) {
+    await saveMemberUpdate(rotationDb, storedTeam, offenderIndex, {
+      ...storedOffender,
+      offenses: [...recentOffenses(storedOffender, now), now.toISOString()],
+    })
+  }
+
+  await recordHistoryEvent(rotationDb, {
+    type: 'penalty',
+    actor,
+    assignee: offender.name,
+    details: { weeks, missedWeek: missedWeekKey, queued },
+  })
+  console.info(
+    queued
+      ? `Penalty queued for ${offender.name} behind ${penaltyQueue.length} other(s): ${weeks} week(s).`
+      : `Penalty activated for ${offender.name}. Future penalty weeks queued: ${penalty.weeksRemaining}`
+  )
+  const penaltyMessage = (member) => {
+    const language = resolveLanguage(member.language, brand.language)
+    const lines = [
+      render('penalty.filed', language, {
+        offender: offender.name,
+        missedWeek: formatDate(
+          new Date(`${missedWeekKey}T00:00:00Z`),
+          language
+        ),
+        weeks,
+        start: render(
+          queued
+            ? 'penalty.startsQueued'
+            : beforeRotation
+            ? 'penalty.startsThisWeek'
+            : 'penalty.startsNow',
+          language
+        ),
+      }),
+    ]
+    if (policy.workOff.enabled) {
+      lines.push(
+        render('penalty.workOff', language, {
+          offender: offender.name,
+          weeks: policy.workOff.weeksCredited,
+          workOffChore: policy.workOff.chore,
+        })
+      )
+    }
+    if (reporters.includes(member.name)) {
+      lines.push(
+        render('penalty.undoHint', language, {
+          minutes: getReportPolicy(env).undoMinutes,
+        })
+      )
+    }
+    return {
+      subject: render('penalty.subject', language, {
+        offender: offender.name,
+      }),
+      text: `${lines.join('\n')}\n\n${render(
+        'penalty.checkSchedule',
+        language
+      )}`,
+    }
+  }
+
+  const alertResults = await notifyMembers(
+    env,
+    rotationDb,
+    teamData,
+    penaltyMessage,
+    { kind: 'penalty' }
+  )
+  const alertFailures = alertResults.filter((result) => result.ok === false)
+  if (alertFailures.length > 0) {
+    console.error(
+      `Penalty alert failed for ${alertFailures.length} notification(s).`
+    )
+  }
+  return weeks
+}
+
+/**
+ * Lets the reporter take back a vote from the dashboard without another SMS
+ * code. The token lasts REPORT_UNDO_MINUTES from the vote, so it withdraws
+ * the vote; reversing the penalty it leads to takes UNDO or a fresh code.
+ */
+async function issueReportUndoToken(env, rotationDb, team, reporterIndex) {
+  const policy = getReportPolicy(env)
+  const token = crypto.randomUUID().replace(/-/g, '')
+  const until = new Date(Date.now() + policy.undoMinutes * 60000)
+  await rotationDb.put(
+    REPORT_UNDO_PREFIX + token,
+    JSON.stringify({
+      reporterIndex,
+      reporterName: team[reporterIndex].name,
+      until: until.toISOString(),
+    }),
+    { expirationTtl: Math.max(60, Math.ceil(policy.undoMinutes * 60)) }
+  )
+  return { token, until: until.toISOString() }
+}
+
+/**
+ * POST /report/undo { undoToken } or { phone, code } takes back the caller's
+ * report: their vote while the report is pending, or the whole penalty
+ * within REPORT_UNDO_MINUTES of it activating.
+ */
+async function handleReportUndoRequest(request, env, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+
+  const body = await readJsonBody(request)
+  let memberIndex = -1
+  if (body && typeof body.undoToken === 'string' && body.undoToken) {
+    const grant = await rotationDb.get(
+      REPORT_UNDO_PREFIX + body.undoToken,
+      'json'
+    )
+    if (
+      grant &&
+      Date.now() <= new Date(grant.until).getTime() &&
+      team[grant.reporterIndex] &&
+      team[grant.reporterIndex].name === grant.reporterName
+    ) {
+      memberIndex = grant.reporterIndex
+    }
+  } else {
+    memberIndex = await verifyReportCode(
+      rotationDb,
+      team,
+      body && body.phone,
+      body && body.code
+    )
+  }
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'This undo link has expired. Ask an admin to reverse it.' },
+      corsHeaders,
+      403
+    )
+  }
+
+  const result = await undoMissedDutyReport(env, rotationDb, team, memberIndex)
+  if (result.ok && body && body.undoToken) {
+    await rotationDb.delete(REPORT_UNDO_PREFIX + body.undoToken)
+  }
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : 409
+  )
+}
+
+/**
+ * Withdraws the member's vote from the pending report, or, if their report
+ * already activated a penalty within the undo window, reverses it.
+ */
+async function undoMissedDutyReport(env, rotationDb, team, memberIndex) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const member = team[memberIndex]
+  const language = resolveLanguage(member.language, brand.language)
+  const report = await rotationDb.get('PENDING_REPORT', 'json')
+  if (report && report.reporters.includes(member.name)) {
+    report.reporters = report.reporters.filter((name) => name !== member.name)
+    if (report.reporters.length === 0) {
+      await rotationDb.delete('PENDING_REPORT')
+      const accused = team[report.accusedIndex]
+      if (accused && accused.name === report.accusedName) {
+        const accusedLanguage = resolveLanguage(
+          accused.language,
+          brand.language
+        )
+        await notifyMember(
+          env,
+          rotationDb,
+          accused,
+          {
+            subject: render('undo.subject', accusedLanguage),
+            text: render('undo.notice', accusedLanguage, {
+              accused: accused.name,
+            }),
+          },
+          { kind: 'correction' }
+        )
+      }
+    } else {
+      await rotationDb.put('PENDING_REPORT', JSON.stringify(report))
+    }
+    await recordHistoryEvent(rotationDb, {
+      type: 'undo',
+      actor: member.name,
+      assignee: report.accusedName,
+      details: { stage: 'vote', votes: report.reporters.length },
+    })
+    console.info(
+      `${member.name} withdrew their report against ${report.accusedName}.`
+    )
+    return {
+      ok: true,
+      message: render('undo.voteWithdrawn', language, {
+        accused: report.accusedName,
+      }),
+    }
+  }
+
+  const undo = (await loadPenaltyUndos(rotationDb))
+    .filter((candidate) => candidate.reporters.includes(member.name))
+    .at(-1)
+  if (!undo) {
+    return { ok: false, message: render('undo.nothing', language) }
+  }
+  // The window runs from activation, not from the report: a penalty only
+  // activates once the dispute window has closed.
+  const { undoMinutes } = getReportPolicy(env)
+  const undoUntil = new Date(undo.activatedAt).getTime() + undoMinutes * 60000
+  if (Date.now() > undoUntil) {
+    return {
+      ok: false,
+      message: render('undo.windowClosed', language, { minutes: undoMinutes }),
+    }
+  }
+  return reversePenalty(env, rotationDb, team, undo, member.name, language)
+}
+
+/**
+ * Reverses one activated penalty by taking its id out of the penalty box or
+ * queue, leaving every other penalty as it is. If it took over the week it
+ * was filed in and that week is still running, the displaced assignee gets
+ * the week back. The reply is in `language`, the rotation's by default.
+ */
+async function reversePenalty(env, rotationDb, team, undo, actor, language) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const replyLanguage = resolveLanguage(language, brand.language)
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+  const penaltyQueue = await loadPenaltyQueue(rotationDb)
+  const inBox = Boolean(penaltyBox) && penaltyBox.id === undo.penaltyId
+  const inQueue = penaltyQueue.some((entry) => entry.id === undo.penaltyId)
+  if (!inBox && !inQueue) {
+    await rotationDb.delete(PENALTY_UNDO_PREFIX + undo.penaltyId)
+    return {
+      ok: false,
+      message: render('undo.alreadyServed', replyLanguage, {
+        offender: undo.offenderName,
+      }),
+    }
+  }
+
+  if (inBox) {
+    if (
+      isMemberIndex(undo.replacedIndex, team.length) &&
+      undo.weekOf === getTurnKey(new Date(), getRotationClock(env)) &&
+      (await loadCurrentIndex(rotationDb, team.length)) === undo.offenderIndex
+    ) {
+      await rotationDb.put('CURRENT_INDEX', undo.replacedIndex.toString())
+    }
+    // Any queued penalty waits for the next rotation to start it.
+    await rotationDb.delete('PENALTY_BOX')
+  } else {
+    await savePenaltyQueue(
+      rotationDb,
+      penaltyQueue.filter((entry) => entry.id !== undo.penaltyId)
+    )
+  }
+  await rotationDb.delete(PENALTY_UNDO_PREFIX + undo.penaltyId)
+
+  const storedTeam = await rotationDb.get('TEAM_MEMBERS', 'json')
+  const offender = Array.isArray(storedTeam)
+    ? storedTeam[undo.offenderIndex]
+    : undefined
+  if (offender && offender.name === undo.offenderName) {
+    await saveMemberUpdate(rotationDb, storedTeam, undo.offenderIndex, {
+      ...offender,
+      offenses: (offender.offenses || []).filter(
+        (timestamp) => timestamp !== undo.activatedAt
+      ),
+    })
+  }
+  await recordHistoryEvent(rotationDb, {
+    type: 'undo',
+    actor,
+    assignee: undo.offenderName,
+    details: { stage: 'penalty' },
+  })
+  console.info(`${actor} reversed the penalty for ${undo.offenderName}.`)
+
+  const forecast = await loadStoredForecast(env, rotationDb, team, 1)
+  await notifyMembers(
+    env,
+    rotationDb,
+    team,
+    (member) => {
+      const memberLanguage = resolveLanguage(member.language, brand.language)
+      return {
+        subject: render('correction.subject', memberLanguage, {
+          offender: undo.offenderName,
+        }),
+        text: render('correction.text', memberLanguage, {
+          offender: undo.offenderName,
+          actor,
+          onDuty: forecast[0].name,
+        }),
+      }
+    },
+    { kind: 'correction' }
+  )
+  return {
+    ok: true,
+    message: render('undo.reversed', replyLanguage, {
+      offender: undo.offenderName,
+    }),
+  }
+}
+
+/**
+ * What reversing a penalty needs, kept under PENALTY_UNDO:<penaltyId> until
+ * the penalty is reversed or has long been served.
+ */
+async function savePenaltyUndo(rotationDb, undo) {
+  await rotationDb.put(
+    PENALTY_UNDO_PREFIX + undo.penaltyId,
+    JSON.stringify(undo),
+    { expirationTtl: PENALTY_UNDO_TTL_SECONDS }
+  )
+}
+
+/** Every stored undo record, oldest activation first. */
+async function loadPenaltyUndos(rotationDb) {
+  const undos = []
+  let cursor
+  do {
+    const listing = await rotationDb.list({
+      prefix: PENALTY_UNDO_PREFIX,
+      cursor,
+    })
+    for (const key of listing.keys) {
+      const undo = await rotationDb.get(key.name, 'json')
+      if (undo) undos.push(undo)
+    }
+    cursor = listing.list_complete ? undefined : listing.cursor
+  } while (cursor)
+  return undos.sort((a, b) => a.activatedAt.localeCompare(b.activatedAt))
+}
+
+function describePendingReport(report, env, teamSize, render, language) {
+  if (!report) return null
+  const policy = getReportPolicy(env, teamSize)
+  return {
+    accusedName: report.accusedName,
+    reporters: report.reporters,
+    confirmations: report.reporters.length,
+    confirmationsRequired: policy.confirmationsRequired,
+    createdAt: report.createdAt,
+    disputeUntil: report.disputeUntil,
+    disputed: Boolean(report.disputedAt),
+    summary: describeVotesNeeded(
+      render,
+      language,
+      report,
+      policy,
+      getRotationClock(env).timeZone
+    ),
+  }
+}
+
+// --- PENALTY POLICY ---
+
+// The stored policy (PENALTY_POLICY) is merged over these defaults, which
+// reproduce the original flat three-week penalty.
+const PENALTY_POLICY_DEFAULTS = {
+  baseWeeks: 3,
+  repeatStepWeeks: 0,
+  repeatWindowWeeks: 12,
+  maxWeeks: 3,
+  workOff: { enabled: false, chore: 'an extra chore', weeksCredited: 1 },
+}
+const PENALTY_WEEKS_LIMIT = 8
+const PENALTY_WINDOW_LIMIT = 104
+
+async function loadPenaltyPolicy(rotationDb) {
+  return normalizePenaltyPolicy(
+    (await rotationDb.get('PENALTY_POLICY', 'json')) || {}
+  )
+}
+
+function normalizePenaltyPolicy(stored) {
+  return {
+    ...PENALTY_POLICY_DEFAULTS,
+    ...stored,
+    workOff: { ...PENALTY_POLICY_DEFAULTS.workOff, ...(stored.workOff || {}) },
+  }
+}
+
+function validatePenaltyPolicy(policy) {
+  const isWholeNumber = (value, min, max) =>
+    Number.isInteger(value) && value >= min && value <= max
+  if (!isWholeNumber(policy.baseWeeks, 1, PENALTY_WEEKS_LIMIT)) {
+    return `baseWeeks must be a whole number from 1 to ${PENALTY_WEEKS_LIMIT}.`
+  }
+  if (!isWholeNumber(policy.repeatStepWeeks, 0, PENALTY_WEEKS_LIMIT)) {
+    return `repeatStepWeeks must be a whole number from 0 to ${PENALTY_WEEKS_LIMIT}.`
+  }
+  if (!isWholeNumber(policy.repeatWindowWeeks, 1, PENALTY_WINDOW_LIMIT)) {
+    return `repeatWindowWeeks must be a whole number from 1 to ${PENALTY_WINDOW_LIMIT}.`
+  }
+  if (!isWholeNumber(policy.maxWeeks, policy.baseWeeks, PENALTY_WEEKS_LIMIT)) {
+    return `maxWeeks must be a whole number from baseWeeks to ${PENALTY_WEEKS_LIMIT}.`
+  }
+  const { workOff } = policy
+  if (typeof workOff.enabled !== 'boolean') {
+    return 'workOff.enabled must be true or false.'
+  }
+  if (
+    typeof workOff.chore !== 'string' ||
+    workOff.chore.trim() === '' ||
+    workOff.chore.length > 100
+  ) {
+    return 'workOff.chore must be a short description (up to 100 characters).'
+  }
+  if (!isWholeNumber(workOff.weeksCredited, 1, PENALTY_WEEKS_LIMIT)) {
+    return `workOff.weeksCredited must be a whole number from 1 to ${PENALTY_WEEKS_LIMIT}.`
+  }
+  return null
+}
+
+/** Length of a stored penalty; boxes written before the policy existed lack it. */
+function penaltyTotalWeeks(penaltyBox, policy) {
+  return penaltyBox && Number.isInteger(penaltyBox.totalWeeks)
+    ? penaltyBox.totalWeeks
+    : policy.maxWeeks
+}
+
+// Offenses are kept for the longest window a policy can use.
+function recentOffenses(member, now) {
+  const cutoff = now.getTime() - PENALTY_WINDOW_LIMIT * 7 * 86400000
+  return (Array.isArray(member.offenses) ? member.offenses : []).filter(
+    (timestamp) => Date.parse(timestamp) >= cutoff
+  )
+}
+
+/** Weeks for a new offense: base, plus a step per repeat in the window, capped. */
+function penaltyWeeksFor(policy, member, now) {
+  const windowStart = now.getTime() - policy.repeatWindowWeeks * 7 * 86400000
+  const repeats = recentOffenses(member, now).filter(
+    (timestamp) => Date.parse(timestamp) >= windowStart
+  ).length
+  return Math.min(
+    policy.maxWeeks,
+    policy.baseWeeks + policy.repeatStepWeeks * repeats
+  )
+}
+
+function describeWeekCount(weeks) {
+  return `${weeks} ${weeks === 1 ? 'week' : 'weeks'}`
+}
+
+function describePenaltyPolicy(policy) {
+  let summary = `A missed week costs ${describeWeekCount(
+    policy.baseWeeks
+  )} on duty`
+  if (policy.repeatStepWeeks > 0 && policy.maxWeeks > policy.baseWeeks) {
+    summary += `, plus ${describeWeekCount(
+      policy.repeatStepWeeks
+    )} for each repeat within ${describeWeekCount(
+      policy.repeatWindowWeeks
+    )}, up to ${describeWeekCount(policy.maxWeeks)}`
+  }
+  summary += '.'
+  if (policy.workOff.enabled) {
+    summary += ` A penalty can be cut by ${describeWeekCount(
+      policy.workOff.weeksCredited
+    )} once, in exchange for ${policy.workOff.chore}.`
+  }
+  return summary
+}
+
+function describeWorkOff(penaltyBox, policy) {
+  if (!policy.workOff.enabled) return { available: false }
+  return {
+    available: !penaltyBox.workedOff && penaltyBox.weeksRemaining > 0,
+    chore: policy.workOff.chore,
+    weeksCredited: policy.workOff.weeksCredited,
+    claimedAt: penaltyBox.workOffClaim
+      ? penaltyBox.workOffClaim.claimedAt
+      : null,
+    workedOff: Boolean(penaltyBox.workedOff),
+  }
+}
+
+/**
+ * POST /penalty/workoff        { phone, code } — the offender says they did
+ *                               the work-off chore
+ * POST /penalty/workoff/verify { phone, code } — a housemate confirms it
+ */
+async function handleWorkOffRequest(request, env, url, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+  const isVerify = url.pathname === '/penalty/workoff/verify'
+  if (!isVerify && url.pathname !== '/penalty/workoff') {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+
+  const body = await readJsonBody(request)
+  const memberIndex = await verifyReportCode(
+    rotationDb,
+    team,
+    body && body.phone,
+    body && body.code
+  )
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'Invalid or expired code. Request a new one.' },
+      corsHeaders,
+      403
+    )
+  }
+
+  const result = isVerify
+    ? await verifyWorkOff(env, rotationDb, team, memberIndex)
+    : await claimWorkOff(env, rotationDb, team, memberIndex)
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : 409
+  )
+}
+
+async function claimWorkOff(env, rotationDb, team, memberIndex) {
+  const policy = await loadPenaltyPolicy(rotationDb)
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+  const member = team[memberIndex]
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  if (!policy.workOff.enabled) {
+    return { ok: false, message: render('workOff.disabled', language) }
+  }
+  if (!penaltyBox || penaltyBox.offenderIndex !== memberIndex) {
+    const queue = await loadPenaltyQueue(rotationDb)
+    return {
+      ok: false,
+      message: render(
+        queue.some((entry) => entry.offenderIndex === memberIndex)
+          ? 'workOff.notStarted'
+          : 'workOff.noPenalty',
+        language
+      ),
+    }
+  }
+  if (penaltyBox.workedOff) {
+    return { ok: false, message: render('workOff.alreadyUsed', language) }
+  }
+  if (!(penaltyBox.weeksRemaining > 0)) {
+    return { ok: false, message: render('workOff.lastWeek', language) }
+  }
+  if (penaltyBox.workOffClaim) {
+    return { ok: true, message: render('workOff.awaiting', language) }
+  }
+
+  penaltyBox.workOffClaim = { claimedAt: new Date().toISOString() }
+  await rotationDb.put('PENALTY_BOX', JSON.stringify(penaltyBox))
+  await notifyMembers(
+    env,
+    rotationDb,
+    team.filter((teammate, index) => index !== memberIndex),
+    (teammate) => {
+      const teammateLanguage = resolveLanguage(
+        teammate.language,
+        brand.language
+      )
+      return {
+        subject: render('workOff.subject', teammateLanguage),
+        text: render('workOff.claimed', teammateLanguage, {
+          offender: member.name,
+          workOffChore: policy.workOff.chore,
+          weeks: policy.workOff.weeksCredited,
+        }),
+      }
+    },
+    { kind: 'work-off' }
+  )
+  console.info(`${member.name} claimed a penalty work-off.`)
+  return { ok: true, message: render('workOff.claimReply', language) }
+}
+
+async function verifyWorkOff(env, rotationDb, team, memberIndex) {
+  const policy = await loadPenaltyPolicy(rotationDb)
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+  const verifier = team[memberIndex]
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(verifier.language, brand.language)
+  if (!penaltyBox || !penaltyBox.workOffClaim) {
+    return { ok: false, message: render('workOff.nothingToVerify', language) }
+  }
+  if (penaltyBox.offenderIndex === memberIndex) {
+    return { ok: false, message: render('workOff.ownClaim', language) }
+  }
+  const offender = team[penaltyBox.offenderIndex]
+  const before = Math.max(0, penaltyBox.weeksRemaining || 0)
+  const credited = Math.min(before, policy.workOff.weeksCredited)
+
+  const updated = { ...penaltyBox, weeksRemaining: before - credited }
+  delete updated.workOffClaim
+  updated.workedOff = true
+  await rotationDb.put('PENALTY_BOX', JSON.stringify(updated))
+  await recordHistoryEvent(rotationDb, {
+    type: 'workoff',
+    actor: verifier.name,
+    assignee: offender.name,
+    details: { weeks: credited, chore: policy.workOff.chore },
+  })
+  await notifyMembers(
+    env,
+    rotationDb,
+    team,
+    (teammate) => {
+      const teammateLanguage = resolveLanguage(
+        teammate.language,
+        brand.language
+      )
+      return {
+        subject: render('workOff.subject', teammateLanguage),
+        text: render('workOff.verified', teammateLanguage, {
+          verifier: verifier.name,
+          offender: offender.name,
+          weeks: credited,
+        }),
+      }
+    },
+    { kind: 'work-off' }
+  )
+  console.info(
+    `${verifier.name} verified ${offender.name}'s work-off (${credited} week(s)).`
+  )
+  return {
+    ok: true,
+    message: render('workOff.verifyReply', language, {
+      offender: offender.name,
+      weeks: credited,
+    }),
+  }
+}
+
+// --- PENALTY QUEUE ---
+
+// PENALTY_BOX is the penalty being served (or about to start); penalties
+// filed while it is in progress wait in PENALTY_QUEUE, oldest first. Queued
+// entries have the same shape, with weeksRemaining counting every week owed.
+// Only the weekly rotation moves an entry from the queue into the box; when
+// the box is cleared early the queue waits for it.
+
+async function loadPenaltyQueue(rotationDb) {
+  const queue = await rotationDb.get('PENALTY_QUEUE', 'json')
+  return Array.isArray(queue) ? queue : []
+}
+
+async function savePenaltyQueue(rotationDb, queue) {
+  if (queue.length === 0) {
+    await rotationDb.delete('PENALTY_QUEUE')
+  } else {
+    await rotationDb.put('PENALTY_QUEUE', JSON.stringify(queue))
+  }
+}
+
+function queuedPenaltyWeeks(queue) {
+  return queue.reduce(
+    (total, entry) => total + Math.max(0, entry.weeksRemaining || 0),
+    0
+  )
+}
+
+/** True while the box still has weeks to serve, including its final week. */
+function isPenaltyInProgress(penaltyBox, currentIndex, teamSize) {
+  return (
+    Boolean(penaltyBox) &&
+    isMemberIndex(penaltyBox.offenderIndex, teamSize) &&
+    (penaltyBox.weeksRemaining > 0 || penaltyBox.offenderIndex === currentIndex)
+  )
+}
+
+/**
+ * The penalty already filed against this member for the missed week, if any.
+ * Boxes written before penalties recorded their week count as the same
+ * offense until a week of them has been served.
+ */
+function findFiledPenalty(
+  penaltyBox,
+  queue,
+  offenderIndex,
+  missedWeek,
+  policy
+) {
+  return (
+    [penaltyBox, ...queue].find(
+      (entry) =>
+        entry &&
+        entry.offenderIndex === offenderIndex &&
+        (entry.missedWeek
+          ? entry.missedWeek === missedWeek
+          : entry === penaltyBox &&
+            entry.weeksRemaining >= penaltyTotalWeeks(entry, policy) - 1)
+    ) || null
+  )
+}
+
+/**
+ * Queued penalties for /schedule, each with the week it is due to start and
+ * its reason in `language`.
+ */
+function describePenaltyQueue(
+  queue,
+  team,
+  penaltyBox,
+  weekOf,
+  clock,
+  render,
+  language
+) {
+  let startStep =
+    1 +
+    (penaltyBox && team[penaltyBox.offenderIndex]
+      ? Math.max(0, penaltyBox.weeksRemaining || 0)
+      : 0)
+  return queue
+    .filter((entry) => team[entry.offenderIndex])
+    .map((entry) => {
+      const described = {
+        offenderName: team[entry.offenderIndex].name,
+        weeks: entry.weeksRemaining,
+        reason: describePenaltyReason(entry, render, language),
+        missedWeek: entry.missedWeek || null,
+        filedAt: entry.filedAt || null,
+        startsWeekOf: addTurnsToKey(weekOf, startStep, clock),
+      }
+      startStep += Math.max(0, entry.weeksRemaining || 0)
+      return described
+    })
+}
+
+/**
+ * Why a penalty was filed, worded in `language` from its missed week when it
+ * is read. Penalties from before missedWeek was stored keep their own text.
+ */
+function describePenaltyReason(penalty, render, language) {
+  if (!penalty) return null
+  if (isDateKey(penalty.missedWeek)) {
+    return render('penalty.reason', language, {
+      missedWeek: formatDate(
+        new Date(`${penalty.missedWeek}T00:00:00Z`),
+        language
+      ),
+    })
+  }
+  return penalty.reason || null
+}
+
+// --- DUTY HISTORY ---
+
+const HISTORY_PREFIX = 'HISTORY:'
+const HISTORY_PAGE_SIZE = 20
+const HISTORY_MAX_PAGE_SIZE = 100
+// Keys embed (MAX - timestamp) so KV's ascending list order is newest first.
+const HISTORY_MAX_TIMESTAMP = 9999999999999
+
+/**
+ * Carries HISTORY_STATS through a roster change: a renamed member's counters
+ * move to their new name. A leaver's stay, since their events are still in
+ * the log.
+ */
+function renameHistoryStats(stats, oldTeam, newTeam, indexMap) {
+  const members = { ...(stats.members || {}) }
+  const renamed = []
+  oldTeam.forEach((member, oldIndex) => {
+    const newIndex = indexMap[oldIndex]
+    const newMember = newIndex === -1 ? undefined : newTeam[newIndex]
+    if (newMember && newMember.name !== member.name && members[member.name]) {
+      renamed.push([newMember.name, members[member.name]])
+      delete members[member.name]
+    }
+  })
+  for (const [name, entry] of renamed) {
+    const existing = members[name]
+    members[name] = existing
+      ? Object.fromEntries(
+          Object.entries(entry).map(([field, count]) => [
+            field,
+            count + (existing[field] || 0),
+          ])
+        )
+      : entry
+  }
+  return { ...stats, members }
+}
+
+/**
+ * Appends one event to the history log and bumps the per-person counters.
+ * History is best-effort: a failed write is logged but never blocks the caller.
+ */
+async function recordHistoryEvent(
+  rotationDb,
+  { type, actor, assignee, details }
+) {
+  const timestamp = new Date()
+  const event = {
+    id: `${(HISTORY_MAX_TIMESTAMP - timestamp.getTime())
+      .toString()
+      .padStart(13, '0')}-${crypto.randomUUID().slice(0, 8)}`,
+    type,
+    timestamp: timestamp.toISOString(),
+    actor,
+    assignee,
+    details: details || {},
+  }
+  try {
+    await rotationDb.put(HISTORY_PREFIX + event.id, JSON.stringify(event))
+
+    const stats = (await rotationDb.get('HISTORY_STATS', 'json')) || {}
+    const members = stats.members || {}
+    const entry = members[assignee] || {
+      duties: 0,
+      penalties: 0,
+      completions: 0,
+      swaps: 0,
+    }
+    if (type === 'rotation') entry.duties++
+    if (type === 'penalty') entry.penalties++
+    if (type === 'undo' && details.stage === 'penalty' && entry.penalties > 0) {
+      entry.penalties--
+    }
+    if (type === 'completion') entry.completions++
+    if (type === 'swap') entry.swaps++
+    members[assignee] = entry
+    await rotationDb.put(
+      'HISTORY_STATS',
+      JSON.stringify({ members, updatedAt: event.timestamp })
+    )
+  } catch (error) {
+    console.error(`Failed to record ${type} history event:`, error.message)
+  }
+  return event
+}
+
+/**
+ * GET /history?limit=20&cursor=... returns one page of events (newest first),
+ * a cursor for the next page (null at the end), and per-person stats.
+ */
+async function handleHistoryRequest(env, url, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+
+  const requestedLimit = parseInt(url.searchParams.get('limit'), 10)
+  const limit = Number.isInteger(requestedLimit)
+    ? Math.min(HISTORY_MAX_PAGE_SIZE, Math.max(1, requestedLimit))
+    : HISTORY_PAGE_SIZE
+  const cursor = url.searchParams.get('cursor') || undefined
+
+  const listing = await rotationDb.list({
+    prefix: HISTORY_PREFIX,
+    limit,
+    cursor,
+  })
+  const events = (
+    await Promise.all(
+      listing.keys.map((key) => rotationDb.get(key.name, 'json'))
+    )
+  ).filter(Boolean)
+  const stats = (await rotationDb.get('HISTORY_STATS', 'json')) || {
+    members: {},
+  }
+
+  return jsonResponse(
+    {
+      events,
+      cursor: listing.list_complete ? null : listing.cursor,
+      stats: stats.members || {},
+    },
+    corsHeaders
+  )
+}
+
+// --- CALENDAR FEED ---
+
+const CALENDAR_WEEKS = 26
+const CALENDAR_PRODID = '-//Trashbot//Chore Rotation//EN'
+
+/**
+ * GET /calendar.ics          whole-house feed
+ * GET /calendar/<token>.ics  one member's turns, via their private token
+ */
+async function handleCalendarRequest(env, url, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+
+  let member = null
+  if (url.pathname !== '/calendar.ics') {
+    const tokenMatch = url.pathname.match(/^\/calendar\/([A-Za-z0-9]+)\.ics$/)
+    member =
+      tokenMatch &&
+      team[findMemberIndexByToken(team, 'calendarToken', tokenMatch[1])]
+    if (!member) {
+      return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+    }
+  }
+
+  const forecast = await loadStoredForecast(
+    env,
+    rotationDb,
+    team,
+    CALENDAR_WEEKS
+  )
+  const slots = member
+    ? forecast.filter((slot) => slot.name === member.name)
+    : forecast
+  const brand = getRotationConfig(env)
+  const body = buildCalendar({
+    name: member ? `${brand.choreName} – ${member.name}` : brand.choreName,
+    host: url.hostname,
+    feedId: member ? await calendarFeedId(member.name) : null,
+    brand,
+    clock: getRotationClock(env),
+    slots,
+  })
+  return new Response(body, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'no-cache',
+    },
+  })
+}
+
+/**
+ * Returns the member's calendar feed URL, creating a token when they have
+ * none (or always, with rotate, which revokes the old link).
+ */
+async function issueCalendarToken(
+  rotationDb,
+  team,
+  memberIndex,
+  origin,
+  { rotate = false } = {}
+) {
+  const member = team[memberIndex]
+  let token = member.calendarToken
+  if (!token || rotate) {
+    token = crypto.randomUUID().replace(/-/g, '')
+    await saveMemberUpdate(rotationDb, team, memberIndex, {
+      ...member,
+      calendarToken: token,
+    })
+  }
+  return { calendarUrl: `${origin}/calendar/${token}.ics` }
+}
+
+/** Index of the member holding this private token in `field`, or -1. */
+function findMemberIndexByToken(team, field, token) {
+  return team.findIndex(
+    (member) =>
+      member &&
+      typeof member[field] === 'string' &&
+      timingSafeEqual(member[field], token)
+  )
+}
+
+/**
+ * Short, stable id for one member's feed: a hash of their name, so the UID
+ * does not reveal the name or the private token.
+ */
+async function calendarFeedId(memberName) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(memberName)
+  )
+  return [...new Uint8Array(digest).slice(0, 6)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+/**
+ * Renders forecast slots as an RFC 5545 calendar of all-day Monday–Sunday
+ * events. UIDs depend only on the feed and the week, so a subscribed calendar
+ * updates the existing event in place when a penalty or swap changes who is
+ * on duty. A member feed (`feedId`) gets its own UIDs, so subscribing to it
+ * alongside the house feed doesn't merge the two.
+ */
+function buildCalendar({ name, host, feedId, brand, clock, slots }) {
+  // The default rotation keeps its original UIDs so existing subscriptions
+  // keep updating in place.
+  const rotationPrefix =
+    brand.id === DEFAULT_ROTATION_ID ? 'trash-duty' : `rotation-${brand.id}`
+  const uidPrefix = feedId ? `${rotationPrefix}-${feedId}` : rotationPrefix
+  const stamp = formatIcsTimestamp(new Date())
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+  ]
+  for (const slot of slots) {
+    const label = slot.isPenalty
+      ? ' (penalty week)'
+      : slot.isMakeup
+      ? ' (makeup week)'
+      : slot.isOverride
+      ? ' (swap)'
+      : ''
+    const notes = [
+      `Done by the end of the week (${brand.doneHint}). Reply DONE when finished.`,
+    ]
+    if (slot.away.length > 0) notes.push(`Away: ${slot.away.join(', ')}`)
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uidPrefix}-${slot.weekOf}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${slot.weekOf.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addTurnsToKey(slot.weekOf, 1, clock).replace(
+        /-/g,
+        ''
+      )}`,
+      `SUMMARY:${escapeIcsText(
+        `${brand.emoji} ${brand.choreName}: ${slot.name}${label}`
+      )}`,
+      `DESCRIPTION:${escapeIcsText(notes.join('\n'))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    )
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n'
+}
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n')
+}
+
+function formatIcsTimestamp(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+}
+
+// Content lines are limited to 75 octets; continuations start with a space.
+function foldIcsLine(line) {
+  const encoder = new TextEncoder()
+  const parts = []
+  let current = ''
+  let currentBytes = 0
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length
+    const limit = parts.length === 0 ? 75 : 74
+    if (currentBytes + charBytes > limit) {
+      parts.push(current)
+      current = ''
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += charBytes
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+// --- PERSONAL DASHBOARD ---
+
+// A member's private link opens the dashboard with ?me=<token>, and the page
+// reads and acts through /me/<token>/. The token stands in for the SMS code,
+// so anyone holding the link acts as that member.
+const PERSONAL_PATH_PATTERN = /^\/me\/([A-Za-z0-9]+)(\/.*)?$/
+const PERSONAL_TURNS = 4
+const PERSONAL_HISTORY_ROWS = 10
+
+/**
+ * GET  /me/<token>                         turns, record, preferences, swaps
+ * POST /me/<token>/confirm                 mark this week done
+ * POST /me/<token>/swaps                   { with, giveWeek?, takeWeek? }
+ * POST /me/<token>/swaps/:id/accept        (or /decline)
+ * POST /me/<token>/away                    { start?, end?, notifyWhileAway? }
+ * POST /me/<token>/away/cancel             { start? }
+ * POST /me/<token>/preferences             { channels?, notifyWhileAway?, language? }
+ * POST /me/<token>/push/subscribe          { subscription }
+ * POST /me/<token>/push/unsubscribe        { endpoint }
+ * Unknown tokens get a 404, like private calendar links.
+ */
+async function handlePersonalRequest(request, env, url, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+
+  const [, token, action = ''] = url.pathname.match(PERSONAL_PATH_PATTERN) || []
+  const memberIndex = token
+    ? findMemberIndexByToken(team, 'dashboardToken', token)
+    : -1
+  if (memberIndex === -1) {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+
+  if (request.method === 'GET' && action === '') {
+    return jsonResponse(
+      await describePersonalView(env, rotationDb, team, memberIndex, url),
+      corsHeaders
+    )
+  }
+  if (request.method !== 'POST') {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+
+  const body = (await readJsonBody(request)) || {}
+  let result
+  if (action === '/confirm') {
+    result = await confirmDutyDone(env, rotationDb, team, memberIndex, 'link')
+  } else if (SWAP_PATH_PATTERN.test(action)) {
+    result = await runSwapAction(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      action,
+      body
+    )
+  } else if (action === '/away' || action === '/away/cancel') {
+    result = await updateAwayDates(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      action,
+      body
+    )
+    if (!result.ok) result.status = 400
+  } else if (action === '/preferences') {
+    result = await updatePersonalPreferences(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      body
+    )
+  } else if (action === '/push/subscribe' || action === '/push/unsubscribe') {
+    return pushResponse(
+      await updatePushSubscription(
+        env,
+        rotationDb,
+        team,
+        memberIndex,
+        action.slice('/push'.length),
+        body
+      ),
+      corsHeaders
+    )
+  } else {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : result.status || 409
+  )
+}
+
+/** Everything the personal page shows, scoped to one member. */
+async function describePersonalView(env, rotationDb, team, memberIndex, url) {
+  const member = team[memberIndex]
+  const rotation = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, rotation.language)
+  const clock = getRotationClock(env)
+  const today = getLocalToday(env)
+  const forecast = await loadTurnForecast(env, rotationDb, team)
+  const thisWeek = forecast[0]
+
+  const penaltyBox = await rotationDb.get('PENALTY_BOX', 'json')
+  const currentPenalty =
+    penaltyBox && penaltyBox.offenderIndex === memberIndex
+      ? {
+          weeksRemaining: penaltyBox.weeksRemaining,
+          totalWeeks: penaltyTotalWeeks(
+            penaltyBox,
+            await loadPenaltyPolicy(rotationDb)
+          ),
+          reason: describePenaltyReason(penaltyBox, render, language),
+          missedWeek: penaltyBox.missedWeek || null,
+        }
+      : null
+  const queuedPenalties = describePenaltyQueue(
+    await loadPenaltyQueue(rotationDb),
+    team,
+    penaltyBox,
+    thisWeek.weekOf,
+    clock,
+    render,
+    language
+  ).filter((entry) => entry.offenderName === member.name)
+
+  // History is newest first; one full page is plenty to find recent entries.
+  const listing = await rotationDb.list({
+    prefix: HISTORY_PREFIX,
+    limit: HISTORY_MAX_PAGE_SIZE,
+  })
+  const events = (
+    await Promise.all(
+      listing.keys.map((key) => rotationDb.get(key.name, 'json'))
+    )
+  )
+    .filter(
+      (event) =>
+        event && (event.assignee === member.name || event.actor === member.name)
+    )
+    .slice(0, PERSONAL_HISTORY_ROWS)
+  const stats = (await rotationDb.get('HISTORY_STATS', 'json')) || {}
+
+  const swaps = (await loadSwapProposals(rotationDb, getRotationClock(env)))
+    .filter(
+      (proposal) =>
+        proposal.proposerIndex === memberIndex ||
+        proposal.counterpartIndex === memberIndex
+    )
+    .map((proposal) => ({
+      ...describeSwapProposal(proposal),
+      canAnswer: proposal.counterpartIndex === memberIndex,
+    }))
+
+  return {
+    rotation: {
+      id: rotation.id,
+      name: rotation.name,
+      choreName: rotation.choreName,
+      emoji: rotation.emoji,
+      ...describeRotationClock(clock),
+    },
+    name: member.name,
+    weekOf: thisWeek.weekOf,
+    onDuty: thisWeek.name,
+    isOnDuty: thisWeek.index === memberIndex,
+    confirmation: describeConfirmation(
+      await rotationDb.get('DUTY_CONFIRMATION', 'json'),
+      thisWeek.name
+    ),
+    nextTurns: forecast
+      .filter((slot) => slot.index === memberIndex)
+      .slice(0, PERSONAL_TURNS)
+      .map((slot) => describeForecastSlot(slot, render, language)),
+    penalty: { current: currentPenalty, queued: queuedPenalties },
+    record: {
+      duties: 0,
+      penalties: 0,
+      completions: 0,
+      swaps: 0,
+      ...(stats.members || {})[member.name],
+      offenses: recentOffenses(member, new Date()),
+    },
+    history: events,
+    preferences: {
+      channels:
+        Array.isArray(member.channels) && member.channels.length > 0
+          ? member.channels
+          : ['sms'],
+      activeChannels: resolveMemberChannels(env, member),
+      email: member.email || null,
+      push: Boolean(member.pushSubscription),
+      notifyWhileAway: member.notifyWhileAway !== false,
+      language: resolveLanguage(
+        member.language,
+        getRotationConfig(env).language
+      ),
+    },
+    away: {
+      ranges: (Array.isArray(member.away) ? member.away : []).filter(
+        (range) => range.end >= today
+      ),
+      makeupOwed: member.makeupOwed || 0,
+    },
+    swaps,
+    calendarUrl: member.calendarToken
+      ? `${rotationOrigin(env, url)}/calendar/${member.calendarToken}.ics`
+      : null,
+  }
+}
+
+/**
+ * Lets a member choose their own channels and away texts. Addresses such as
+ * email or webhooks stay admin-only, so a channel without one falls back to
+ * SMS as usual.
+ */
+async function updatePersonalPreferences(
+  env,
+  rotationDb,
+  team,
+  memberIndex,
+  body
+) {
+  const problem = validateNotificationFields({
+    channels: body.channels,
+    language: body.language,
+  })
+  if (problem) return { ok: false, status: 400, message: problem }
+  if (
+    body.notifyWhileAway !== undefined &&
+    typeof body.notifyWhileAway !== 'boolean'
+  ) {
+    return {
+      ok: false,
+      status: 400,
+      message: 'notifyWhileAway must be true or false.',
+    }
+  }
+
+  const member = team[memberIndex]
+  const updated = { ...member }
+  if (Array.isArray(body.channels)) {
+    if (body.channels.length > 0) updated.channels = [...new Set(body.channels)]
+    else delete updated.channels
+  }
+  if (typeof body.notifyWhileAway === 'boolean') {
+    updated.notifyWhileAway = body.notifyWhileAway
+  }
+  // null goes back to the rotation's language.
+  if (body.language === null) delete updated.language
+  else if (body.language !== undefined) updated.language = body.language
+  await saveMemberUpdate(rotationDb, team, memberIndex, updated)
+  console.info(`${member.name} updated their notification preferences.`)
+  // Answer in the language just chosen.
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  return {
+    ok: true,
+    message: render(
+      'preferences.saved',
+      resolveLanguage(updated.language, brand.language)
+    ),
+  }
+}
+
+/**
+ * Returns the member's private dashboard link, creating a token when they
+ * have none (or always, with rotate, which revokes the old link).
+ */
+async function issueDashboardToken(
+  env,
+  rotationDb,
+  team,
+  memberIndex,
+  { rotate = false } = {}
+) {
+  const member = team[memberIndex]
+  let token = member.dashboardToken
+  if (!token || rotate) {
+    token = crypto.randomUUID().replace(/-/g, '')
+    await saveMemberUpdate(rotationDb, team, memberIndex, {
+      ...member,
+      dashboardToken: token,
+    })
+  }
+  const rotation = getRotationConfig(env)
+  const link = new URL(rotation.dashboardUrl)
+  if (rotation.id !== DEFAULT_ROTATION_ID) {
+    link.searchParams.set('r', rotation.id)
+  }
+  link.searchParams.set('me', token)
+  return { dashboardUrl: link.toString() }
+}
+
+// --- DUTY CONFIRMATION & ESCALATION ---
+
+const DEFAULT_CONFIRM_REMINDER_HOURS = 48
+const DEFAULT_CONFIRM_DEADLINE_HOURS = 96
+
+function createDutyRecord(name, weekOf) {
+  const now = new Date()
+  return {
+    weekOf,
+    name,
+    status: 'pending',
+    assignedAt: now.toISOString(),
+    confirmedAt: null,
+    via: null,
+    remindersSent: 0,
+    houseAlertedAt: null,
+  }
+}
+
+/**
+ * Marks the current week done. Only the person on duty may confirm.
+ * Returns { ok, message } so SMS and web callers can phrase their own reply.
+ */
+async function confirmDutyDone(env, rotationDb, team, memberIndex, via) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const [thisWeek] = await loadStoredForecast(env, rotationDb, team, 1)
+  const member = team[memberIndex]
+  const language = resolveLanguage(member.language, brand.language)
+  if (memberIndex !== thisWeek.index) {
+    return {
+      ok: false,
+      message: render('confirm.notOnDuty', language, {
+        name: member.name,
+        onDuty: thisWeek.name,
+      }),
+    }
+  }
+
+  const stored = await rotationDb.get('DUTY_CONFIRMATION', 'json')
+  const record =
+    stored && stored.name === member.name
+      ? stored
+      : createDutyRecord(member.name, thisWeek.weekOf)
+  if (record.status === 'done') {
+    return {
+      ok: true,
+      message: render('confirm.alreadyDone', language, { name: member.name }),
+    }
+  }
+
+  record.status = 'done'
+  record.confirmedAt = new Date().toISOString()
+  record.via = via
+  await rotationDb.put('DUTY_CONFIRMATION', JSON.stringify(record))
+  await recordHistoryEvent(rotationDb, {
+    type: 'completion',
+    actor: member.name,
+    assignee: member.name,
+    details: { via, weekOf: record.weekOf },
+  })
+  console.info(
+    `${member.name} confirmed duty for week of ${record.weekOf} via ${via}.`
+  )
+  return {
+    ok: true,
+    message: render('confirm.done', language, { name: member.name }),
+  }
+}
+
+/**
+ * Shapes the stored duty record for /schedule. A record for someone other than
+ * the current assignee is stale, so the week reads as pending.
+ */
+function describeConfirmation(record, onDutyName) {
+  if (!record || record.name !== onDutyName) {
+    return { status: 'pending', name: onDutyName, confirmedAt: null }
+  }
+  return {
+    status: record.status === 'done' ? 'done' : 'pending',
+    name: record.name,
+    weekOf: record.weekOf,
+    confirmedAt: record.confirmedAt || null,
+    via: record.via || null,
+    remindersSent: record.remindersSent || 0,
+    houseAlerted: Boolean(record.houseAlertedAt),
+  }
+}
+
+/**
+ * Dashboard confirmation. The caller proves who they are with the code that
+ * /report/code texted to their roster phone; only the person on duty can
+ * confirm.
+ */
+async function handleConfirmRequest(request, env, corsHeaders) {
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse(
+      { error: 'Team data is missing. Duty cannot be confirmed.' },
+      corsHeaders,
+      500
+    )
+  }
+
+  const body = await readJsonBody(request)
+  const memberIndex = await verifyReportCode(
+    rotationDb,
+    team,
+    body && body.phone,
+    body && body.code
+  )
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'Invalid or expired code. Request a new one.' },
+      corsHeaders,
+      403
+    )
+  }
+
+  const result = await confirmDutyDone(
+    env,
+    rotationDb,
+    team,
+    memberIndex,
+    'web'
+  )
+  return jsonResponse(
+    result.ok ? { message: result.message } : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : 409
+  )
+}
+
+/**
+ * Second cron pass: nudges the person on duty while the week is unconfirmed,
+ * then alerts the whole house once the deadline passes.
+ */
+async function runEscalationPass(env, rotationDb) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const record = await rotationDb.get('DUTY_CONFIRMATION', 'json')
+  if (!record || record.status !== 'pending' || !record.assignedAt) {
+    console.info('Escalation pass: nothing pending.')
+    return
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    console.error('FATAL: Team data is missing or empty.')
+    return
+  }
+  const assignee = team.find((member) => member && member.name === record.name)
+  if (!assignee) {
+    console.info(`Escalation pass: ${record.name} is no longer on the team.`)
+    return
+  }
+
+  const reminderHours = readPositiveNumber(
+    env.CONFIRM_REMINDER_HOURS,
+    DEFAULT_CONFIRM_REMINDER_HOURS
+  )
+  const deadlineHours = readPositiveNumber(
+    env.CONFIRM_DEADLINE_HOURS,
+    DEFAULT_CONFIRM_DEADLINE_HOURS
+  )
+  const hoursElapsed =
+    (Date.now() - new Date(record.assignedAt).getTime()) / 3600000
+
+  if (hoursElapsed >= deadlineHours) {
+    if (record.houseAlertedAt) return
+    const results = await notifyMembers(
+      env,
+      rotationDb,
+      team,
+      (member) => {
+        const language = resolveLanguage(member.language, brand.language)
+        return {
+          subject: render('escalation.alertSubject', language, {
+            assignee: record.name,
+          }),
+          text: render('escalation.houseAlert', language, {
+            assignee: record.name,
+          }),
+        }
+      },
+      { kind: 'escalation' }
+    )
+    const failures = results.filter((result) => result.ok === false)
+    if (failures.length > 0) {
+      console.error(
+        `Escalation alert failed for ${failures.length} teammate(s).`
+      )
+    }
+    record.houseAlertedAt = new Date().toISOString()
+    await rotationDb.put('DUTY_CONFIRMATION', JSON.stringify(record))
+    console.info(`Escalation: house alerted about ${record.name}.`)
+    return
+  }
+
+  // One reminder per elapsed reminder interval, e.g. at 48h, 96h, ...
+  const remindersDue = Math.floor(hoursElapsed / reminderHours)
+  if (remindersDue > (record.remindersSent || 0)) {
+    const hoursLeft = Math.max(1, Math.round(deadlineHours - hoursElapsed))
+    const language = resolveLanguage(assignee.language, brand.language)
+    await notifyMember(
+      env,
+      rotationDb,
+      assignee,
+      {
+        subject: render('escalation.reminderSubject', language),
+        text: render('escalation.reminder', language, {
+          name: record.name,
+          hoursLeft,
+        }),
+      },
+      { kind: 'reminder' }
+    )
+    record.remindersSent = remindersDue
+    await rotationDb.put('DUTY_CONFIRMATION', JSON.stringify(record))
+    console.info(`Escalation: reminder ${remindersDue} sent to ${record.name}.`)
+  }
+}
+
+// --- COLLECTION CALENDAR ---
+
+// Curbside pickup is the real deadline. COLLECTION_CALENDAR holds the
+// recurring pickup weekdays (null falls back to cadence.pickupDays), one-off
+// pickup dates imported from the council's .ics or CSV, and holiday
+// exceptions that cancel a pickup or move it to another date. All dates are
+// local to the rotation's time zone.
+const COLLECTION_CALENDAR_DEFAULTS = {
+  pickupDays: null,
+  dates: [],
+  exceptions: [],
+  reminderTime: '18:00',
+}
+const COLLECTION_ENTRIES_LIMIT = 400
+const COLLECTION_LOOKAHEAD_DAYS = 14
+const COLLECTION_KEEP_PAST_DAYS = 7
+const PICKUP_REMINDER_PREFIX = 'PICKUP_REMINDER:'
+const BINS_OUT_REMINDER_PREFIX = 'BINS_OUT_REMINDER:'
+const PICKUP_REMINDER_TTL_SECONDS = 60 * 60 * 24 * 8
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const NO_COLLECTION_PATTERN = /\bno (collection|pickup|pick-up)\b|\bcancel/i
+
+async function loadCollectionCalendar(rotationDb) {
+  return {
+    ...COLLECTION_CALENDAR_DEFAULTS,
+    ...((await rotationDb.get('COLLECTION_CALENDAR', 'json')) || {}),
+  }
+}
+
+/** The stored calendar with its recurring days filled in from the cadence. */
+function resolveCollectionCalendar(calendar, clock) {
+  return {
+    ...calendar,
+    pickupDays: Array.isArray(calendar.pickupDays)
+      ? calendar.pickupDays
+      : clock.pickupDays,
+  }
+}
+
+/**
+ * Drops entries more than a week old, sorts what is left, and keeps one
+ * exception per date (the newest).
+ */
+async function saveCollectionCalendar(rotationDb, calendar, today) {
+  const oldestKept = addDaysToKey(today, -COLLECTION_KEEP_PAST_DAYS)
+  const exceptions = new Map()
+  for (const exception of calendar.exceptions) {
+    if (exception.date >= oldestKept || exception.movedTo >= oldestKept) {
+      exceptions.set(exception.date, {
+        date: exception.date,
+        movedTo: exception.movedTo || null,
+        note: exception.note || null,
+      })
+    }
+  }
+  const saved = {
+    pickupDays: Array.isArray(calendar.pickupDays)
+      ? [...new Set(calendar.pickupDays)].sort()
+      : null,
+    dates: [...new Set(calendar.dates)]
+      .filter((date) => date >= oldestKept)
+      .sort(),
+    exceptions: [...exceptions.values()].sort((a, b) =>
+      a.date < b.date ? -1 : 1
+    ),
+    reminderTime: calendar.reminderTime,
+    updatedAt: new Date().toISOString(),
+  }
+  await rotationDb.put('COLLECTION_CALENDAR', JSON.stringify(saved))
+  return saved
+}
+
+function validateCollectionCalendar(calendar) {
+  if (
+    calendar.pickupDays !== null &&
+    (!Array.isArray(calendar.pickupDays) ||
+      !calendar.pickupDays.every(isWeekdayNumber))
+  ) {
+    return 'pickupDays must be null or list weekdays from 0 (Sunday) to 6.'
+  }
+  if (
+    !Array.isArray(calendar.dates) ||
+    !calendar.dates.every((date) => DATE_KEY_PATTERN.test(date))
+  ) {
+    return 'dates must be a list of YYYY-MM-DD dates.'
+  }
+  if (
+    !Array.isArray(calendar.exceptions) ||
+    !calendar.exceptions.every(
+      (exception) =>
+        exception &&
+        DATE_KEY_PATTERN.test(exception.date) &&
+        (exception.movedTo == null ||
+          DATE_KEY_PATTERN.test(exception.movedTo)) &&
+        (exception.note == null || typeof exception.note === 'string')
+    )
+  ) {
+    return 'exceptions must be { date, movedTo?, note? } with YYYY-MM-DD dates.'
+  }
+  if (!SEND_TIME_PATTERN.test(calendar.reminderTime || '')) {
+    return 'reminderTime must be a 24-hour HH:MM time.'
+  }
+  if (
+    calendar.dates.length + calendar.exceptions.length >
+    COLLECTION_ENTRIES_LIMIT
+  ) {
+    return `The calendar holds at most ${COLLECTION_ENTRIES_LIMIT} dates and exceptions.`
+  }
+  return null
+}
+
+/**
+ * The collection on a date, or null. An exception removes the usual pickup
+ * on its date and, with movedTo, puts one on the later date instead.
+ */
+function findCollection(calendar, dateKey) {
+  const moved = calendar.exceptions.find(
+    (exception) => exception.movedTo === dateKey
+  )
+  if (moved) {
+    return { date: dateKey, movedFrom: moved.date, note: moved.note || null }
+  }
+  if (calendar.exceptions.some((exception) => exception.date === dateKey)) {
+    return null
+  }
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay()
+  if (
+    calendar.pickupDays.includes(weekday) ||
+    calendar.dates.includes(dateKey)
+  ) {
+    return { date: dateKey, movedFrom: null, note: null }
+  }
+  return null
+}
+
+function upcomingCollections(calendar, fromKey) {
+  const collections = []
+  for (let offset = 0; offset < COLLECTION_LOOKAHEAD_DAYS; offset++) {
+    const collection = findCollection(calendar, addDaysToKey(fromKey, offset))
+    if (collection) collections.push(collection)
+  }
+  return collections
+}
+
+/** e.g. "Fri, Dec 26 (moved from Thu, Dec 25: Christmas)". */
+function describeCollection(collection, render, language) {
+  const label = (dateKey) =>
+    new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(dateLocale(language), {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC',
+    })
+  if (!collection.movedFrom) return label(collection.date)
+  return render(
+    collection.note ? 'pickup.movedNote' : 'pickup.moved',
+    language,
+    {
+      date: label(collection.date),
+      movedFrom: label(collection.movedFrom),
+      note: collection.note,
+    }
+  )
+}
+
+/**
+ * Reads pickups from an iCalendar file. Each VEVENT is a pickup on its
+ * DTSTART date, unless its summary says there is no collection, which makes
+ * it a cancellation. A weekly RRULE adds its weekdays to pickupDays and its
+ * EXDATEs become cancellations; other recurrences are skipped.
+ */
+function parseCollectionIcs(text) {
+  const result = { pickupDays: [], dates: [], exceptions: [], skipped: 0 }
+  let event = null
+  for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+    if (line === 'BEGIN:VEVENT') {
+      event = { exdates: [] }
+      continue
+    }
+    if (line === 'END:VEVENT') {
+      if (event) addIcsCollection(result, event)
+      event = null
+      continue
+    }
+    const separator = line.indexOf(':')
+    if (!event || separator === -1) continue
+    const name = line.slice(0, separator).split(';')[0].toUpperCase()
+    const value = line.slice(separator + 1)
+    if (name === 'DTSTART') event.start = icsDateKey(value)
+    if (name === 'SUMMARY') {
+      event.summary = value.replace(/\\n/gi, ' ').replace(/\\(.)/g, '$1')
+    }
+    if (name === 'RRULE') event.rrule = value
+    if (name === 'EXDATE')
+      event.exdates.push(...value.split(',').map(icsDateKey))
+  }
+  return result
+}
+
+function icsDateKey(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/)
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null
+}
+
+function addIcsCollection(result, event) {
+  const note = event.summary || null
+  if (!event.start) {
+    result.skipped++
+  } else if (NO_COLLECTION_PATTERN.test(note || '')) {
+    result.exceptions.push({ date: event.start, movedTo: null, note })
+  } else if (event.rrule) {
+    const rule = Object.fromEntries(
+      event.rrule.split(';').map((part) => part.toUpperCase().split('='))
+    )
+    if (rule.FREQ !== 'WEEKLY' || (rule.INTERVAL && rule.INTERVAL !== '1')) {
+      result.skipped++
+      return
+    }
+    const weekdays = rule.BYDAY
+      ? rule.BYDAY.split(',').map((day) => ICS_WEEKDAYS.indexOf(day.slice(-2)))
+      : [new Date(`${event.start}T00:00:00Z`).getUTCDay()]
+    result.pickupDays.push(...weekdays.filter((day) => day !== -1))
+    for (const date of event.exdates.filter(Boolean)) {
+      result.exceptions.push({ date, movedTo: null, note: null })
+    }
+  } else {
+    result.dates.push(event.start)
+  }
+}
+
+/**
+ * Reads `date,moved_to,note` rows (a header row is optional). A row without
+ * moved_to is a pickup; `none` or `cancelled` cancels that date's pickup;
+ * another date moves it there.
+ */
+function parseCollectionCsv(text) {
+  const result = { pickupDays: [], dates: [], exceptions: [], skipped: 0 }
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue
+    const [date = '', movedTo = '', ...noteCells] = line
+      .split(',')
+      .map((cell) => cell.trim().replace(/^"|"$/g, ''))
+    const note = noteCells.join(',').trim() || null
+    if (!DATE_KEY_PATTERN.test(date)) {
+      if (!/^date$/i.test(date)) result.skipped++
+    } else if (!movedTo) {
+      result.dates.push(date)
+    } else if (/^(none|cancell?ed)$/i.test(movedTo)) {
+      result.exceptions.push({ date, movedTo: null, note })
+    } else if (DATE_KEY_PATTERN.test(movedTo)) {
+      result.exceptions.push({ date, movedTo, note })
+    } else {
+      result.skipped++
+    }
+  }
+  return result
+}
+
+/** Adds an import to the calendar, or replaces its dates and exceptions. */
+function mergeCollectionImport(calendar, imported, { replace }) {
+  const base = replace ? { ...calendar, dates: [], exceptions: [] } : calendar
+  const recurring = replace ? [] : base.pickupDays || []
+  return {
+    ...base,
+    pickupDays:
+      imported.pickupDays.length > 0
+        ? [...recurring, ...imported.pickupDays]
+        : base.pickupDays,
+    dates: [...base.dates, ...imported.dates],
+    // Later entries win when the exceptions are keyed by date on save.
+    exceptions: [...base.exceptions, ...imported.exceptions],
+  }
+}
+
+/**
+ * Admin routes for the collection calendar:
+ *   GET  /admin/collection-calendar
+ *   PUT  /admin/collection-calendar         { pickupDays?, dates?, exceptions?, reminderTime? }
+ *   POST /admin/collection-calendar/import  .ics or CSV body (?format=ics|csv, ?replace=true)
+ */
+async function handleCollectionCalendarAdmin(
+  request,
+  env,
+  rotationDb,
+  url,
+  corsHeaders
+) {
+  const clock = getRotationClock(env)
+  const today = getLocalToday(env)
+  const calendar = await loadCollectionCalendar(rotationDb)
+  const respond = (saved, extra = {}) =>
+    jsonResponse(
+      {
+        calendar: saved,
+        upcoming: upcomingCollections(
+          resolveCollectionCalendar(saved, clock),
+          today
+        ),
+        ...extra,
+      },
+      corsHeaders
+    )
+
+  if (url.pathname === '/admin/collection-calendar') {
+    if (request.method === 'GET') return respond(calendar)
+    if (request.method !== 'PUT') {
+      return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+    }
+    const body = await readJsonBody(request)
+    if (!body || typeof body !== 'object') {
+      return jsonResponse(
+        { error: 'Request body must be a JSON object.' },
+        corsHeaders,
+        400
+      )
+    }
+    const updated = { ...calendar }
+    for (const field of ['pickupDays', 'dates', 'exceptions', 'reminderTime']) {
+      if (body[field] !== undefined) updated[field] = body[field]
+    }
+    const problem = validateCollectionCalendar(updated)
+    if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+    const saved = await saveCollectionCalendar(rotationDb, updated, today)
+    console.info('Admin updated the collection calendar.')
+    return respond(saved)
+  }
+
+  if (
+    url.pathname === '/admin/collection-calendar/import' &&
+    request.method === 'POST'
+  ) {
+    const text = await request.text()
+    const format =
+      url.searchParams.get('format') ||
+      (text.includes('BEGIN:VCALENDAR') ? 'ics' : 'csv')
+    if (format !== 'ics' && format !== 'csv') {
+      return jsonResponse(
+        { error: 'format must be ics or csv.' },
+        corsHeaders,
+        400
+      )
+    }
+    const imported =
+      format === 'ics' ? parseCollectionIcs(text) : parseCollectionCsv(text)
+    if (
+      imported.pickupDays.length +
+        imported.dates.length +
+        imported.exceptions.length ===
+      0
+    ) {
+      return jsonResponse(
+        { error: 'No pickups or exceptions found in the file.' },
+        corsHeaders,
+        400
+      )
+    }
+    const merged = mergeCollectionImport(calendar, imported, {
+      replace: url.searchParams.get('replace') === 'true',
+    })
+    const problem = validateCollectionCalendar(merged)
+    if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+    const saved = await saveCollectionCalendar(rotationDb, merged, today)
+    console.info(
+      `Admin imported ${imported.dates.length} pickup(s) and ${imported.exceptions.length} exception(s) from ${format}.`
+    )
+    return respond(saved, {
+      imported: {
+        format,
+        pickups: imported.dates.length,
+        exceptions: imported.exceptions.length,
+        pickupDays: [...new Set(imported.pickupDays)],
+        skipped: imported.skipped,
+      },
+    })
+  }
+
+  return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+}
+
+/** Who is on duty for the turn containing a local date, from the forecast. */
+async function findOnDutyForDate(env, rotationDb, team, dateKey) {
+  const clock = getRotationClock(env)
+  const forecast = await loadStoredForecast(env, rotationDb, team, 2)
+  const slot =
+    forecast.find(
+      (candidate) =>
+        candidate.weekOf <= dateKey &&
+        dateKey < addTurnsToKey(candidate.weekOf, 1, clock)
+    ) || forecast[0]
+  return team[slot.index]
+}
+
+/**
+ * On each collection day of a pickup-days cadence, once the send time has
+ * passed, reminds whoever is on duty. A PICKUP_REMINDER:<date> marker keeps
+ * it to one reminder per pickup however often the cron fires.
+ */
+async function sendPickupReminder(env, rotationDb, now) {
+  const brand = getRotationConfig(env)
+  const clock = getRotationClock(env)
+  if (clock.type !== 'pickup-days') return
+  const { dateKey, time } = localDateParts(now, clock.timeZone)
+  if (clock.sendTime && time < clock.sendTime) return
+  const calendar = resolveCollectionCalendar(
+    await loadCollectionCalendar(rotationDb),
+    clock
+  )
+  const collection = findCollection(calendar, dateKey)
+  if (!collection) return
+  const markerKey = `${PICKUP_REMINDER_PREFIX}${dateKey}`
+  if (await rotationDb.get(markerKey)) return
+
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) return
+  const member = await findOnDutyForDate(env, rotationDb, team, dateKey)
+  const record = await rotationDb.get('DUTY_CONFIRMATION', 'json')
+  const pending = !(
+    record &&
+    record.name === member.name &&
+    record.status === 'done'
+  )
+
+  await rotationDb.put(
+    markerKey,
+    JSON.stringify({ name: member.name, sentAt: now.toISOString() }),
+    { expirationTtl: PICKUP_REMINDER_TTL_SECONDS }
+  )
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  const text = render('pickup.today', language, {
+    name: member.name,
+    collection: describeCollection(collection, render, language),
+  })
+  await notifyMember(
+    env,
+    rotationDb,
+    member,
+    {
+      subject: render('pickup.subject', language),
+      text,
+      sms: pending
+        ? `${text}\n${render('rotation.replyDone', language)}`
+        : text,
+    },
+    { kind: 'pickup' }
+  )
+  console.info(`Pickup reminder sent to ${member.name} for ${dateKey}.`)
+}
+
+/**
+ * The evening before each collection, once the calendar's reminderTime has
+ * passed, tells whoever is on duty that day to get things out tonight. A
+ * holiday that moves the pickup moves the reminder with it.
+ */
+async function sendBinsOutReminder(env, rotationDb, now) {
+  const brand = getRotationConfig(env)
+  const clock = getRotationClock(env)
+  const calendar = resolveCollectionCalendar(
+    await loadCollectionCalendar(rotationDb),
+    clock
+  )
+  const { dateKey, time } = localDateParts(now, clock.timeZone)
+  if (time < calendar.reminderTime) return
+  const pickupDate = addDaysToKey(dateKey, 1)
+  const collection = findCollection(calendar, pickupDate)
+  if (!collection) return
+  const markerKey = `${BINS_OUT_REMINDER_PREFIX}${pickupDate}`
+  if (await rotationDb.get(markerKey)) return
+
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) return
+  const member = await findOnDutyForDate(env, rotationDb, team, pickupDate)
+  await rotationDb.put(
+    markerKey,
+    JSON.stringify({ name: member.name, sentAt: now.toISOString() }),
+    { expirationTtl: PICKUP_REMINDER_TTL_SECONDS }
+  )
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const language = resolveLanguage(member.language, brand.language)
+  const text = render('binsOut.tonight', language, {
+    name: member.name,
+    collection: describeCollection(collection, render, language),
+  })
+  await notifyMember(
+    env,
+    rotationDb,
+    member,
+    { subject: render('binsOut.subject', language), text, sms: text },
+    { kind: 'bins-out' }
+  )
+  console.info(`Bins-out reminder sent to ${member.name} for ${pickupDate}.`)
+}
+
+// --- INBOUND SMS COMMANDS ---
+
+/**
+ * Picks the rotation an unscoped text is meant for. Several rotations can
+ * share one Twilio number: a leading rotation id ("kitchen DONE") selects one
+ * explicitly, otherwise the first rotation whose roster has the sender wins.
+ */
+async function routeInboundSms(env, from, text) {
+  const kv = getRotationDb(env)
+  const rotations = await loadRotations(kv)
+  const [firstWord = '', ...remainder] = text.split(/\s+/)
+  const named = rotations.find(
+    (rotation) =>
+      rotation.id !== DEFAULT_ROTATION_ID &&
+      rotation.id === firstWord.toLowerCase()
+  )
+  if (named) {
+    return { env: withRotation(env, named), text: remainder.join(' ') }
+  }
+  for (const rotation of rotations) {
+    const scoped = withRotation(env, rotation)
+    const team = await scoped.ROTATION_DB.get('TEAM_MEMBERS', 'json')
+    if (Array.isArray(team) && findMemberIndexByPhone(team, from) !== -1) {
+      return { env: scoped, text }
+    }
+  }
+  return { env: withRotation(env, rotations[0]), text }
+}
+
+/**
+ * Twilio inbound-message webhook. The sender is identified by matching their
+ * number against TEAM_MEMBERS; the reply is returned as TwiML.
+ */
+async function handleInboundSms(request, env, url) {
+  const params = await readTwilioParams(request)
+  if (!params) {
+    return new Response('Bad Request', { status: 400 })
+  }
+
+  const signature = request.headers.get('X-Twilio-Signature') || ''
+  const signatureValid = await isValidTwilioSignature(
+    env.TWILIO_AUTH_TOKEN,
+    request.url,
+    params,
+    signature
+  )
+  if (!signatureValid) {
+    console.error('Inbound SMS rejected: invalid X-Twilio-Signature.')
+    return new Response('Forbidden', { status: 403 })
+  }
+
+  let text = (params.Body || '').trim()
+  if (!isRotationScoped(request)) {
+    try {
+      const routed = await routeInboundSms(env, params.From, text)
+      env = routed.env
+      text = routed.text
+    } catch (error) {
+      console.error(error.message)
+      return twimlResponse('Trashbot is misconfigured. Please try again later.')
+    }
+  }
+  const brand = getRotationConfig(env)
+  const rotationDb = getRotationDb(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return twimlResponse(render('sms.noTeam', brand.language))
+  }
+
+  const senderIndex = findMemberIndexByPhone(team, params.From)
+  if (senderIndex === -1) {
+    console.info(`Inbound SMS from unknown number ${params.From} ignored.`)
+    return twimlResponse(render('sms.notOnRoster', brand.language))
+  }
+  const sender = team[senderIndex]
+  const language = resolveLanguage(sender.language, brand.language)
+
+  const [rawCommand = '', ...rest] = text.split(/\s+/)
+  const command = rawCommand.toUpperCase()
+  const argument = rest.join(' ')
+
+  if (command === 'CALENDAR') {
+    const origin = rotationOrigin(env, url)
+    const { calendarUrl } = await issueCalendarToken(
+      rotationDb,
+      team,
+      senderIndex,
+      origin
+    )
+    return twimlResponse(
+      render('sms.calendar', language, {
+        calendarUrl,
+        houseUrl: `${origin}/calendar.ics`,
+      })
+    )
+  }
+  if (command === 'LINK') {
+    const { dashboardUrl } = await issueDashboardToken(
+      env,
+      rotationDb,
+      team,
+      senderIndex
+    )
+    return twimlResponse(
+      render('sms.link', language, { pageUrl: dashboardUrl })
+    )
+  }
+  if (command === 'PICKUP') {
+    const collections = upcomingCollections(
+      resolveCollectionCalendar(
+        await loadCollectionCalendar(rotationDb),
+        getRotationClock(env)
+      ),
+      getLocalToday(env)
+    )
+    return twimlResponse(
+      collections.length > 0
+        ? render('pickup.next', language, {
+            collection: describeCollection(collections[0], render, language),
+          })
+        : render('pickup.none', language, { days: COLLECTION_LOOKAHEAD_DAYS })
+    )
+  }
+  if (command === 'STATUS') {
+    return twimlResponse(
+      await describeStatusForMember(env, rotationDb, team, senderIndex)
+    )
+  }
+  if (command === 'DONE') {
+    const result = await confirmDutyDone(
+      env,
+      rotationDb,
+      team,
+      senderIndex,
+      'sms'
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'SWAP') {
+    if (!argument) return twimlResponse(render('sms.swapUsage', language))
+    const counterpartIndex = findMemberIndexByName(team, argument)
+    if (counterpartIndex === -1) {
+      return twimlResponse(
+        render('sms.unknownHousemate', language, {
+          name: argument,
+          names: team.map((member) => member.name).join(', '),
+        })
+      )
+    }
+    const result = await proposeSwap(
+      env,
+      rotationDb,
+      team,
+      senderIndex,
+      counterpartIndex,
+      {}
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'ACCEPT' || command === 'DECLINE') {
+    const result = await respondToSwap(
+      env,
+      rotationDb,
+      team,
+      senderIndex,
+      null,
+      command === 'ACCEPT'
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'AWAY') {
+    const [start, end] = rest
+    const result = await addAwayPeriod(
+      env,
+      rotationDb,
+      team,
+      senderIndex,
+      start,
+      end,
+      getLocalToday(env)
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'BACK') {
+    const result = await cancelAwayPeriod(env, rotationDb, team, senderIndex)
+    return twimlResponse(result.message)
+  }
+  if (command === 'AWAYSMS') {
+    const choice = (rest[0] || '').toUpperCase()
+    if (choice !== 'ON' && choice !== 'OFF') {
+      return twimlResponse(render('sms.awaySmsUsage', language))
+    }
+    const result = await setNotifyWhileAway(
+      env,
+      rotationDb,
+      team,
+      senderIndex,
+      choice === 'ON'
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'UNDO') {
+    const result = await undoMissedDutyReport(
+      env,
+      rotationDb,
+      team,
+      senderIndex
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'WORKOFF') {
+    const result = await claimWorkOff(env, rotationDb, team, senderIndex)
+    return twimlResponse(result.message)
+  }
+  if (command === 'VERIFY') {
+    const result = await verifyWorkOff(env, rotationDb, team, senderIndex)
+    return twimlResponse(result.message)
+  }
+  if (command === 'REPORT') {
+    const result = await submitMissedDutyReport(
+      env,
+      rotationDb,
+      team,
+      senderIndex
+    )
+    return twimlResponse(result.message)
+  }
+  if (command === 'DISPUTE') {
+    const result = await disputePendingReport(
+      env,
+      rotationDb,
+      team,
+      senderIndex
+    )
+    return twimlResponse(result.message)
+  }
+  if (command !== 'HELP') {
+    console.info(`Unrecognized SMS command from ${sender.name}: ${text}`)
+  }
+  return twimlResponse(render('sms.help', language))
+}
+
+async function describeStatusForMember(env, rotationDb, team, memberIndex) {
+  const brand = getRotationConfig(env)
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const forecast = await loadTurnForecast(env, rotationDb, team)
+  const member = team[memberIndex]
+  const language = resolveLanguage(member.language, brand.language)
+  const thisWeek = forecast[0]
+
+  if (thisWeek.index === memberIndex) {
+    if (thisWeek.isPenalty) {
+      return render('status.penaltyWeek', language, {
+        name: member.name,
+        weeksAfter: forecast.findIndex((slot) => !slot.isPenalty) - 1,
+      })
+    }
+    return render('status.onDuty', language, { name: member.name })
+  }
+
+  const clock = getRotationClock(env)
+  const turnsUntilTurn = findNextTurn(forecast, memberIndex)
+  const status = render('status.nextTurn', language, {
+    name: member.name,
+    weeks: turnsUntilTurn * clock.turnWeeks,
+    weekOf: formatDate(
+      forecastWeekDate(forecast, turnsUntilTurn, clock),
+      language
+    ),
+    onDuty: team[thisWeek.index].name,
+  })
+  return thisWeek.away.includes(member.name)
+    ? `${status} ${render('status.away', language)}`
+    : status
+}
+
+function findMemberIndexByPhone(team, phone) {
+  const wanted = normalizePhone(phone)
+  if (!wanted) return -1
+  return team.findIndex(
+    (member) => member && normalizePhone(member.phone) === wanted
+  )
+}
+
+function findMemberIndexByName(team, name) {
+  const wanted = typeof name === 'string' ? name.trim().toLowerCase() : ''
+  if (!wanted) return -1
+  return team.findIndex(
+    (member) =>
+      member &&
+      typeof member.name === 'string' &&
+      member.name.trim().toLowerCase() === wanted
+  )
+}
+
+function normalizePhone(phone) {
+  return typeof phone === 'string' ? phone.replace(/\D/g, '') : ''
+}
+
+/** A Twilio webhook's form fields, or null when the body is not a form. */
+async function readTwilioParams(request) {
+  let formData
+  try {
+    formData = await request.formData()
+  } catch (error) {
+    console.error(`Webhook rejected: unreadable form body (${error.message}).`)
+    return null
+  }
+  const params = {}
+  for (const [key, value] of formData.entries()) {
+    params[key] = value
+  }
+  return params
+}
+
+/**
+ * Validates Twilio's request signature: HMAC-SHA1 over the full URL followed by
+ * every POST parameter (sorted by name) as name+value, keyed with the auth token.
+ */
+async function isValidTwilioSignature(
+  authToken,
+  requestUrl,
+  params,
+  signature
+) {
+  if (!authToken || !signature) return false
+  const payload =
+    requestUrl +
+    Object.keys(params)
+      .sort()
+      .map((key) => key + params[key])
+      .join('')
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(authToken),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  )
+  const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(payload))
+  const expected = btoa(String.fromCharCode(...new Uint8Array(digest)))
+  return timingSafeEqual(expected, signature)
+}
+
+function twimlResponse(message) {
+  const body =
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<Response><Message>${escapeXml(message)}</Message></Response>`
+  return new Response(body, {
+    headers: { 'Content-Type': 'text/xml; charset=utf-8' },
+  })
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+// --- MESSAGE TEMPLATES ---
+
+// Copy for the texts the Worker sends, its SMS replies, the replies it shares
+// with the dashboards, and the /schedule banners comes from one catalog,
+// rendered in each member's language. Admins
+// can override any entry per language; the override is stored in
+// MESSAGE_TEMPLATES as { [type]: { [language]: text } }.
+const MESSAGE_LANGUAGES = ['en', 'es', 'ko']
+const DEFAULT_LANGUAGE = 'en'
+const MESSAGE_TEMPLATES_KEY = 'MESSAGE_TEMPLATES'
+const MESSAGE_TEMPLATE_MAX_LENGTH = 1000
+// Filled from the rotation config for every template.
+const MESSAGE_BRAND_VARIABLES = [
+  'chore',
+  'emoji',
+  'house',
+  'doneHint',
+  'dashboardUrl',
+]
+// {weeks, plural, one {# week} other {# weeks}}: branches are plain text, and
+// # is the number. Categories follow Intl.PluralRules; =N matches exactly.
+const PLURAL_PATTERN =
+  /\{(\w+), plural,((?:\s*(?:=\d+|zero|one|two|few|many|other) \{[^{}]*\})+)\s*\}/g
+const PLURAL_OPTION_PATTERN = /(=\d+|zero|one|two|few|many|other) \{([^{}]*)\}/g
+const VARIABLE_PATTERN = /\{(\w+)\}/g
+
+/** Built-in copy per message type: the variables it takes and its text. */
+const MESSAGE_TEMPLATES = {
+  'rotation.subject': {
+    variables: ['onDuty'],
+    en: '{chore} this week: {onDuty}',
+    es: '{chore} esta semana: {onDuty}',
+    ko: '이번 주 {chore}: {onDuty}',
+  },
+  'rotation.penaltyWeek': {
+    variables: ['name', 'week', 'totalWeeks'],
+    en: '⚠️ {name}, you are on {chore}.\nThis is week {week} of {totalWeeks} for your penalty.',
+    es: '⚠️ {name}, te toca {chore}.\nEsta es la semana {week} de {totalWeeks} de tu penalización.',
+    ko: '⚠️ {name}님, {chore} 당번입니다.\n벌칙 {totalWeeks}주 중 {week}주차입니다.',
+  },
+  'rotation.onDuty': {
+    variables: ['name', 'weekOf'],
+    en: '{name}, you are on {chore} this week (week of {weekOf}).',
+    es: '{name}, esta semana te toca {chore} (semana del {weekOf}).',
+    ko: '{name}님, 이번 주({weekOf} 주) {chore} 당번입니다.',
+  },
+  'rotation.nextTurn': {
+    variables: ['name', 'weeks', 'weekOf'],
+    en: '{name}, your next {chore} is in {weeks, plural, one {# week} other {# weeks}} (week of {weekOf}).',
+    es: '{name}, tu próximo turno de {chore} es en {weeks, plural, one {# semana} other {# semanas}} (semana del {weekOf}).',
+    ko: '{name}님, 다음 {chore} 당번은 {weeks}주 후({weekOf} 주)입니다.',
+  },
+  'rotation.away': {
+    variables: [],
+    en: "🏝️ You're marked away this week.",
+    es: '🏝️ Esta semana estás marcado como ausente.',
+    ko: '🏝️ 이번 주는 부재 중으로 표시되어 있습니다.',
+  },
+  'rotation.replyDone': {
+    variables: [],
+    en: 'Reply DONE once {doneHint}.',
+    es: 'Responde DONE cuando termines.',
+    ko: '끝나면 DONE이라고 답장해 주세요.',
+  },
+  'rotation.schedule': {
+    variables: ['onDuty', 'nextUp', 'turnWeeks'],
+    en: '🎯 This Week: {onDuty}\n➡️ {turnWeeks, plural, one {Next Week} other {Next Turn}}: {nextUp}\n\n🗓️ Full Schedule:\n{dashboardUrl}',
+    es: '🎯 Esta semana: {onDuty}\n➡️ {turnWeeks, plural, one {La próxima semana} other {El próximo turno}}: {nextUp}\n\n🗓️ Calendario completo:\n{dashboardUrl}',
+    ko: '🎯 이번 주: {onDuty}\n➡️ {turnWeeks, plural, =1 {다음 주} other {다음 차례}}: {nextUp}\n\n🗓️ 전체 일정:\n{dashboardUrl}',
+  },
+  'rotation.reportHint': {
+    variables: [],
+    en: '❕ Missed a duty? Report it on the site.',
+    es: '❕ ¿Alguien no cumplió su turno? Repórtalo en el sitio.',
+    ko: '❕ 당번을 빠뜨렸나요? 사이트에서 신고하세요.',
+  },
+  'status.penaltyWeek': {
+    variables: ['name', 'weeksAfter'],
+    en: '{name}, you are on {chore} this week. Your penalty continues for {weeksAfter, plural, one {# more week} other {# more weeks}} after this one.',
+    es: '{name}, esta semana te toca {chore}. Tu penalización sigue {weeksAfter, plural, one {# semana más} other {# semanas más}} después de esta.',
+    ko: '{name}님, 이번 주 {chore} 당번입니다. 벌칙이 이번 주 이후 {weeksAfter}주 더 이어집니다.',
+  },
+  'status.onDuty': {
+    variables: ['name'],
+    en: '{name}, you are on {chore} this week. Reply DONE once {doneHint}.',
+    es: '{name}, esta semana te toca {chore}. Responde DONE cuando termines.',
+    ko: '{name}님, 이번 주 {chore} 당번입니다. 끝나면 DONE이라고 답장해 주세요.',
+  },
+  'status.nextTurn': {
+    variables: ['name', 'weeks', 'weekOf', 'onDuty'],
+    en: '{name}, your next {chore} is in {weeks, plural, one {# week} other {# weeks}} (week of {weekOf}). This week: {onDuty}.',
+    es: '{name}, tu próximo turno de {chore} es en {weeks, plural, one {# semana} other {# semanas}} (semana del {weekOf}). Esta semana: {onDuty}.',
+    ko: '{name}님, 다음 {chore} 당번은 {weeks}주 후({weekOf} 주)입니다. 이번 주: {onDuty}.',
+  },
+  'status.away': {
+    variables: [],
+    en: "You're marked away this week.",
+    es: 'Esta semana estás marcado como ausente.',
+    ko: '이번 주는 부재 중으로 표시되어 있습니다.',
+  },
+  'report.accusedSubject': {
+    variables: ['accused'],
+    en: 'Missed {chore} reported',
+    es: 'Reportaron {chore} sin hacer',
+    ko: '{chore} 누락 신고',
+  },
+  'report.accusedSms': {
+    variables: ['accused', 'reporter', 'disputeBy'],
+    en: "⚠️ {accused}, {reporter} reported that you missed {chore}.\nIf that's wrong, reply DISPUTE before {disputeBy}.",
+    es: '⚠️ {accused}, {reporter} reportó que no hiciste {chore}.\nSi no es cierto, responde DISPUTE antes del {disputeBy}.',
+    ko: '⚠️ {accused}님, {reporter}님이 {chore}을(를) 하지 않았다고 신고했습니다.\n사실이 아니라면 {disputeBy} 전에 DISPUTE라고 답장하세요.',
+  },
+  'report.accusedText': {
+    variables: ['accused', 'reporter', 'disputeBy'],
+    en: "⚠️ {accused}, {reporter} reported that you missed {chore}.\nIf that's wrong, dispute it on the site before {disputeBy}.",
+    es: '⚠️ {accused}, {reporter} reportó que no hiciste {chore}.\nSi no es cierto, disputa el reporte en el sitio antes del {disputeBy}.',
+    ko: '⚠️ {accused}님, {reporter}님이 {chore}을(를) 하지 않았다고 신고했습니다.\n사실이 아니라면 {disputeBy} 전에 사이트에서 이의를 제기하세요.',
+  },
+  'report.alreadyFiled': {
+    variables: ['accused'],
+    en: '{accused} already has a penalty for that week. No changes recorded.',
+    es: '{accused} ya tiene una penalización por esa semana. No se registró ningún cambio.',
+    ko: '{accused}님은 이미 그 주에 대한 벌칙이 있습니다. 변경 사항이 없습니다.',
+  },
+  'report.self': {
+    variables: [],
+    en: "You can't report yourself. Ask a housemate to file it.",
+    es: 'No puedes reportarte a ti mismo. Pide a un compañero que lo haga.',
+    ko: '자기 자신은 신고할 수 없습니다. 다른 하우스메이트에게 부탁하세요.',
+  },
+  'report.selfVote': {
+    variables: [],
+    en: "You can't vote on a report against yourself. Reply DISPUTE to contest it.",
+    es: 'No puedes votar en un reporte contra ti. Responde DISPUTE para disputarlo.',
+    ko: '자신에 대한 신고에는 투표할 수 없습니다. 이의가 있다면 DISPUTE라고 답장하세요.',
+  },
+  'report.alreadyVoted': {
+    variables: ['accused', 'votesNeeded'],
+    en: "You've already reported {accused}. {votesNeeded}",
+    es: 'Ya reportaste a {accused}. {votesNeeded}',
+    ko: '이미 {accused}님을 신고했습니다. {votesNeeded}',
+  },
+  'report.recorded': {
+    variables: ['accused', 'votesNeeded'],
+    en: 'Report against {accused} recorded. {votesNeeded}',
+    es: 'Se registró el reporte contra {accused}. {votesNeeded}',
+    ko: '{accused}님에 대한 신고가 접수되었습니다. {votesNeeded}',
+  },
+  'report.penaltyRecorded': {
+    variables: ['accused', 'weeks'],
+    en: 'Penalty has been recorded. {accused} owes {weeks, plural, one {# week} other {# weeks}} on duty.',
+    es: 'Se registró la penalización. {accused} debe {weeks, plural, one {# semana} other {# semanas}} de turno.',
+    ko: '벌칙이 기록되었습니다. {accused}님은 {weeks}주 동안 당번을 해야 합니다.',
+  },
+  'report.votesNeeded': {
+    variables: ['missing'],
+    en: '{missing, plural, one {# more housemate} other {# more housemates}} must confirm before a penalty applies.',
+    es: '{missing, plural, one {Falta que # compañero confirme} other {Faltan que # compañeros confirmen}} antes de aplicar la penalización.',
+    ko: '벌칙이 적용되려면 {missing}명이 더 확인해야 합니다.',
+  },
+  'report.disputed': {
+    variables: ['accused'],
+    en: '{accused} disputed it, so an admin will decide.',
+    es: '{accused} lo disputó, así que un administrador decidirá.',
+    ko: '{accused}님이 이의를 제기하여 관리자가 결정합니다.',
+  },
+  'report.awaitingDispute': {
+    variables: ['disputeBy'],
+    en: 'The penalty starts after the dispute window closes ({disputeBy}).',
+    es: 'La penalización empieza cuando cierre el plazo para disputar ({disputeBy}).',
+    ko: '이의 제기 기간이 끝나면({disputeBy}) 벌칙이 시작됩니다.',
+  },
+  'penalty.subject': {
+    variables: ['offender'],
+    en: 'Penalty filed: {offender}',
+    es: 'Penalización registrada: {offender}',
+    ko: '벌칙 부과: {offender}',
+  },
+  'penalty.filed': {
+    variables: ['offender', 'missedWeek', 'weeks', 'start'],
+    en: '⚠️ Penalty filed: {offender} missed {chore} (week of {missedWeek}).\n{offender} will serve a {weeks}-week penalty {start}.',
+    es: '⚠️ Penalización registrada: {offender} no hizo {chore} (semana del {missedWeek}).\n{offender} cumplirá {weeks, plural, one {# semana} other {# semanas}} de penalización {start}.',
+    ko: '⚠️ 벌칙 부과: {offender}님이 {chore}을(를) 하지 않았습니다({missedWeek} 주).\n{offender}님은 {start} {weeks}주 벌칙을 받습니다.',
+  },
+  'penalty.reason': {
+    variables: ['missedWeek'],
+    en: 'Missed duty for the week of {missedWeek}',
+    es: 'No hizo el turno de la semana del {missedWeek}',
+    ko: '{missedWeek} 주 당번 누락',
+  },
+  'penalty.startsNow': {
+    variables: [],
+    en: 'starting now',
+    es: 'desde ahora',
+    ko: '지금부터',
+  },
+  'penalty.startsThisWeek': {
+    variables: [],
+    en: 'starting this week',
+    es: 'desde esta semana',
+    ko: '이번 주부터',
+  },
+  'penalty.startsQueued': {
+    variables: [],
+    en: 'once the penalties ahead of it are served',
+    es: 'cuando se cumplan las penalizaciones anteriores',
+    ko: '앞선 벌칙이 끝난 뒤',
+  },
+  'penalty.workOff': {
+    variables: ['offender', 'weeks', 'workOffChore'],
+    en: '{offender} can take {weeks, plural, one {# week} other {# weeks}} off with a work-off chore ({workOffChore}), then replying WORKOFF.',
+    es: '{offender} puede descontar {weeks, plural, one {# semana} other {# semanas}} con una tarea extra ({workOffChore}) y luego respondiendo WORKOFF.',
+    ko: '{offender}님은 추가 작업({workOffChore})을 한 뒤 WORKOFF라고 답장하면 {weeks}주를 줄일 수 있습니다.',
+  },
+  'penalty.undoHint': {
+    variables: ['minutes'],
+    en: 'Reported by mistake? Reply UNDO within {minutes} minutes to reverse this penalty.',
+    es: '¿Lo reportaste por error? Responde UNDO en los próximos {minutes} minutos para revertir esta penalización.',
+    ko: '실수로 신고했나요? {minutes}분 안에 UNDO로 답장하면 이 벌칙이 취소됩니다.',
+  },
+  'penalty.checkSchedule': {
+    variables: [],
+    en: 'Check the schedule: {dashboardUrl}',
+    es: 'Consulta el calendario: {dashboardUrl}',
+    ko: '일정 확인: {dashboardUrl}',
+  },
+  'dispute.subject': {
+    variables: [],
+    en: 'Missed-duty report disputed',
+    es: 'Reporte disputado',
+    ko: '누락 신고 이의 제기',
+  },
+  'dispute.none': {
+    variables: [],
+    en: 'There is no pending report against you.',
+    es: 'No hay ningún reporte pendiente en tu contra.',
+    ko: '나에 대한 대기 중인 신고가 없습니다.',
+  },
+  'dispute.alreadyFiled': {
+    variables: [],
+    en: 'Your dispute is already on file.',
+    es: 'Tu disputa ya está registrada.',
+    ko: '이의 제기가 이미 접수되어 있습니다.',
+  },
+  'dispute.windowClosed': {
+    variables: [],
+    en: 'The dispute window for this report has closed.',
+    es: 'Ya cerró el plazo para disputar este reporte.',
+    ko: '이 신고에 대한 이의 제기 기간이 끝났습니다.',
+  },
+  'dispute.recorded': {
+    variables: [],
+    en: 'Dispute recorded. No penalty applies unless an admin upholds the report.',
+    es: 'Disputa registrada. No se aplica ninguna penalización salvo que un administrador confirme el reporte.',
+    ko: '이의 제기가 접수되었습니다. 관리자가 신고를 인정하지 않으면 벌칙은 없습니다.',
+  },
+  'dispute.notice': {
+    variables: ['accused'],
+    en: 'ℹ️ {accused} disputed the missed-duty report. No penalty applies unless an admin upholds it.',
+    es: 'ℹ️ {accused} disputó el reporte. No se aplica ninguna penalización salvo que un administrador lo confirme.',
+    ko: 'ℹ️ {accused}님이 누락 신고에 이의를 제기했습니다. 관리자가 인정하지 않으면 벌칙은 없습니다.',
+  },
+  'undo.subject': {
+    variables: [],
+    en: 'Missed-duty report withdrawn',
+    es: 'Reporte retirado',
+    ko: '누락 신고 철회',
+  },
+  'undo.notice': {
+    variables: ['accused'],
+    en: '↩️ {accused}, the report that you missed {chore} was withdrawn. No penalty applies.',
+    es: '↩️ {accused}, se retiró el reporte de que no hiciste {chore}. No se aplica ninguna penalización.',
+    ko: '↩️ {accused}님, {chore} 누락 신고가 철회되었습니다. 벌칙은 없습니다.',
+  },
+  'undo.voteWithdrawn': {
+    variables: ['accused'],
+    en: 'Your report against {accused} was withdrawn.',
+    es: 'Se retiró tu reporte contra {accused}.',
+    ko: '{accused}님에 대한 신고를 철회했습니다.',
+  },
+  'undo.nothing': {
+    variables: [],
+    en: 'You have no report to undo.',
+    es: 'No tienes ningún reporte que deshacer.',
+    ko: '취소할 신고가 없습니다.',
+  },
+  'undo.windowClosed': {
+    variables: ['minutes'],
+    en: 'A penalty can only be undone in the {minutes} minutes after it starts. Ask an admin to reverse it.',
+    es: 'Una penalización solo se puede deshacer en los {minutes} minutos después de que empieza. Pide a un administrador que la revierta.',
+    ko: '벌칙은 시작 후 {minutes}분 안에만 취소할 수 있습니다. 관리자에게 취소를 요청하세요.',
+  },
+  'undo.alreadyServed': {
+    variables: ['offender'],
+    en: "{offender}'s penalty has already been served.",
+    es: 'La penalización de {offender} ya se cumplió.',
+    ko: '{offender}님의 벌칙은 이미 끝났습니다.',
+  },
+  'undo.reversed': {
+    variables: ['offender'],
+    en: 'The penalty for {offender} was reversed and the house has been told.',
+    es: 'Se revirtió la penalización de {offender} y se avisó a la casa.',
+    ko: '{offender}님의 벌칙이 취소되었고 모두에게 알렸습니다.',
+  },
+  'correction.subject': {
+    variables: ['offender'],
+    en: 'Correction: penalty for {offender} reversed',
+    es: 'Corrección: se revirtió la penalización de {offender}',
+    ko: '정정: {offender}님의 벌칙 취소',
+  },
+  'correction.text': {
+    variables: ['offender', 'actor', 'onDuty'],
+    en: '↩️ Correction: the penalty for {offender} was reversed by {actor}. Please ignore the earlier penalty text.\n🎯 This Week: {onDuty}\n\nCheck the schedule: {dashboardUrl}',
+    es: '↩️ Corrección: {actor} revirtió la penalización de {offender}. Ignora el mensaje anterior sobre la penalización.\n🎯 Esta semana: {onDuty}\n\nConsulta el calendario: {dashboardUrl}',
+    ko: '↩️ 정정: {actor}님이 {offender}님의 벌칙을 취소했습니다. 이전 벌칙 메시지는 무시해 주세요.\n🎯 이번 주: {onDuty}\n\n일정 확인: {dashboardUrl}',
+  },
+  'workOff.subject': {
+    variables: [],
+    en: 'Penalty work-off',
+    es: 'Tarea extra de penalización',
+    ko: '벌칙 추가 작업',
+  },
+  'workOff.disabled': {
+    variables: [],
+    en: 'This house does not allow working off penalties.',
+    es: 'Esta casa no permite reducir penalizaciones con tareas extra.',
+    ko: '이 집에서는 추가 작업으로 벌칙을 줄일 수 없습니다.',
+  },
+  'workOff.notStarted': {
+    variables: [],
+    en: "Your penalty hasn't started yet. You can work it off once it does.",
+    es: 'Tu penalización aún no empieza. Podrás reducirla cuando empiece.',
+    ko: '벌칙이 아직 시작되지 않았습니다. 시작되면 줄일 수 있습니다.',
+  },
+  'workOff.noPenalty': {
+    variables: [],
+    en: 'You have no penalty to work off.',
+    es: 'No tienes ninguna penalización que reducir.',
+    ko: '줄일 벌칙이 없습니다.',
+  },
+  'workOff.alreadyUsed': {
+    variables: [],
+    en: 'You already worked off part of this penalty.',
+    es: 'Ya redujiste parte de esta penalización.',
+    ko: '이 벌칙은 이미 한 번 줄였습니다.',
+  },
+  'workOff.lastWeek': {
+    variables: [],
+    en: 'Only this week is left, so there is nothing to work off.',
+    es: 'Solo queda esta semana, así que no hay nada que reducir.',
+    ko: '이번 주만 남아서 줄일 것이 없습니다.',
+  },
+  'workOff.awaiting': {
+    variables: [],
+    en: 'Your work-off is already waiting for a housemate to verify.',
+    es: 'Tu tarea extra ya está esperando que un compañero la confirme.',
+    ko: '추가 작업이 이미 다른 사람의 확인을 기다리고 있습니다.',
+  },
+  'workOff.claimReply': {
+    variables: [],
+    en: 'Thanks! A housemate needs to verify it before the penalty shrinks.',
+    es: '¡Gracias! Un compañero debe confirmarlo antes de que la penalización se reduzca.',
+    ko: '고맙습니다! 다른 사람이 확인하면 벌칙이 줄어듭니다.',
+  },
+  'workOff.nothingToVerify': {
+    variables: [],
+    en: 'There is no work-off waiting to be verified.',
+    es: 'No hay ninguna tarea extra por confirmar.',
+    ko: '확인할 추가 작업이 없습니다.',
+  },
+  'workOff.ownClaim': {
+    variables: [],
+    en: "You can't verify your own work-off.",
+    es: 'No puedes confirmar tu propia tarea extra.',
+    ko: '자신의 추가 작업은 확인할 수 없습니다.',
+  },
+  'workOff.verifyReply': {
+    variables: ['offender', 'weeks'],
+    en: "Verified. {offender}'s penalty is {weeks, plural, one {# week} other {# weeks}} shorter.",
+    es: 'Confirmado. La penalización de {offender} es {weeks, plural, one {# semana} other {# semanas}} más corta.',
+    ko: '확인했습니다. {offender}님의 벌칙이 {weeks}주 줄었습니다.',
+  },
+  'workOff.claimed': {
+    variables: ['offender', 'workOffChore', 'weeks'],
+    en: "🧽 {offender} says they did their work-off chore ({workOffChore}).\nIf that's true, reply VERIFY to take {weeks, plural, one {# week} other {# weeks}} off.",
+    es: '🧽 {offender} dice que hizo su tarea extra ({workOffChore}).\nSi es cierto, responde VERIFY para descontar {weeks, plural, one {# semana} other {# semanas}}.',
+    ko: '🧽 {offender}님이 추가 작업({workOffChore})을 했다고 합니다.\n사실이라면 VERIFY라고 답장해 {weeks}주를 줄여 주세요.',
+  },
+  'workOff.verified': {
+    variables: ['verifier', 'offender', 'weeks'],
+    en: "✅ {verifier} verified {offender}'s work-off. {offender}'s penalty is {weeks, plural, one {# week} other {# weeks}} shorter.",
+    es: '✅ {verifier} confirmó la tarea extra de {offender}. La penalización de {offender} es {weeks, plural, one {# semana} other {# semanas}} más corta.',
+    ko: '✅ {verifier}님이 {offender}님의 추가 작업을 확인했습니다. {offender}님의 벌칙이 {weeks}주 줄었습니다.',
+  },
+  'confirm.notOnDuty': {
+    variables: ['name', 'onDuty'],
+    en: "{name}, you're not on duty this week ({onDuty} is). Nothing to confirm.",
+    es: '{name}, esta semana no te toca ({onDuty} está de turno). No hay nada que confirmar.',
+    ko: '{name}님, 이번 주 당번이 아닙니다(당번: {onDuty}). 확인할 것이 없습니다.',
+  },
+  'confirm.alreadyDone': {
+    variables: ['name'],
+    en: "Thanks, {name}! This week's {chore} was already marked done.",
+    es: '¡Gracias, {name}! {chore} de esta semana ya estaba marcado como hecho.',
+    ko: '고마워요, {name}님! 이번 주 {chore}은(는) 이미 완료로 표시되어 있습니다.',
+  },
+  'confirm.done': {
+    variables: ['name'],
+    en: "Thanks, {name}! This week's {chore} is marked done.",
+    es: '¡Gracias, {name}! {chore} de esta semana quedó marcado como hecho.',
+    ko: '고마워요, {name}님! 이번 주 {chore}을(를) 완료로 표시했습니다.',
+  },
+  'escalation.reminderSubject': {
+    variables: [],
+    en: 'Reminder: {chore} this week',
+    es: 'Recordatorio: {chore} esta semana',
+    ko: '알림: 이번 주 {chore}',
+  },
+  'escalation.reminder': {
+    variables: ['name', 'hoursLeft'],
+    en: "⏰ {name}, reminder: you're on {chore} this week.\nReply DONE once {doneHint}. The house is alerted in about {hoursLeft}h.",
+    es: '⏰ {name}, recordatorio: esta semana te toca {chore}.\nResponde DONE cuando termines. Avisaremos a la casa en unas {hoursLeft} h.',
+    ko: '⏰ {name}님, 알림: 이번 주 {chore} 당번입니다.\n끝나면 DONE이라고 답장해 주세요. 약 {hoursLeft}시간 후 모두에게 알립니다.',
+  },
+  'escalation.alertSubject': {
+    variables: ['assignee'],
+    en: '{chore} unconfirmed: {assignee}',
+    es: '{chore} sin confirmar: {assignee}',
+    ko: '{chore} 미확인: {assignee}',
+  },
+  'escalation.houseAlert': {
+    variables: ['assignee'],
+    en: "🚨 {chore} unconfirmed: {assignee} hasn't marked this week done.\n\nIf it wasn't done, report it on the site: {dashboardUrl}",
+    es: '🚨 {chore} sin confirmar: {assignee} no ha marcado esta semana como hecha.\n\nSi no se hizo, repórtalo en el sitio: {dashboardUrl}',
+    ko: '🚨 {chore} 미확인: {assignee}님이 이번 주를 완료로 표시하지 않았습니다.\n\n하지 않았다면 사이트에서 신고하세요: {dashboardUrl}',
+  },
+  'swap.self': {
+    variables: [],
+    en: "You can't swap with yourself.",
+    es: 'No puedes hacer un intercambio contigo mismo.',
+    ko: '자기 자신과는 교대할 수 없습니다.',
+  },
+  'swap.noTurn': {
+    variables: [],
+    en: 'You have no upcoming turn to trade.',
+    es: 'No tienes ningún turno próximo para intercambiar.',
+    ko: '교대할 다음 차례가 없습니다.',
+  },
+  'swap.notUpcoming': {
+    variables: ['weekOf'],
+    en: 'The week of {weekOf} is not an upcoming week.',
+    es: 'La semana del {weekOf} no es una semana próxima.',
+    ko: '{weekOf} 주는 다가오는 주가 아닙니다.',
+  },
+  'swap.penaltyWeek': {
+    variables: ['weekOf'],
+    en: 'The week of {weekOf} is a penalty week and cannot be swapped.',
+    es: 'La semana del {weekOf} es de penalización y no se puede intercambiar.',
+    ko: '{weekOf} 주는 벌칙 주라서 교대할 수 없습니다.',
+  },
+  'swap.notOnDuty': {
+    variables: ['name', 'weekOf'],
+    en: '{name} is not on duty the week of {weekOf}.',
+    es: 'A {name} no le toca la semana del {weekOf}.',
+    ko: '{name}님은 {weekOf} 주 당번이 아닙니다.',
+  },
+  'swap.subject': {
+    variables: [],
+    en: '{chore} swap',
+    es: 'Cambio de {chore}',
+    ko: '{chore} 교대',
+  },
+  'swap.offerTrade': {
+    variables: ['proposer', 'giveWeek', 'takeWeek'],
+    en: '🔁 {proposer} wants to swap {chore}: you take the week of {giveWeek} and {proposer} takes your week of {takeWeek}.\nReply ACCEPT or DECLINE, or answer on the site.',
+    es: '🔁 {proposer} quiere intercambiar {chore}: tú tomas la semana del {giveWeek} y {proposer} toma tu semana del {takeWeek}.\nResponde ACCEPT o DECLINE, o contesta en el sitio.',
+    ko: '🔁 {proposer}님이 {chore} 교대를 원합니다: {giveWeek} 주를 맡아 주시면 {proposer}님이 {takeWeek} 주를 맡습니다.\nACCEPT 또는 DECLINE으로 답장하거나 사이트에서 답해 주세요.',
+  },
+  'swap.offerCover': {
+    variables: ['proposer', 'giveWeek'],
+    en: '🔁 {proposer} wants to swap {chore}: you cover the week of {giveWeek}.\nReply ACCEPT or DECLINE, or answer on the site.',
+    es: '🔁 {proposer} quiere intercambiar {chore}: tú cubres la semana del {giveWeek}.\nResponde ACCEPT o DECLINE, o contesta en el sitio.',
+    ko: '🔁 {proposer}님이 {chore} 교대를 원합니다: {giveWeek} 주를 대신 맡아 주세요.\nACCEPT 또는 DECLINE으로 답장하거나 사이트에서 답해 주세요.',
+  },
+  'swap.offerSent': {
+    variables: ['counterpart'],
+    en: "Swap offer sent to {counterpart}. We'll text you when they answer.",
+    es: 'Se envió la oferta a {counterpart}. Te avisaremos cuando responda.',
+    ko: '{counterpart}님에게 교대 요청을 보냈습니다. 답이 오면 알려 드릴게요.',
+  },
+  'swap.noneOpen': {
+    variables: [],
+    en: 'You have no pending swap offers.',
+    es: 'No tienes ofertas de intercambio pendientes.',
+    ko: '대기 중인 교대 요청이 없습니다.',
+  },
+  'swap.declinedNotice': {
+    variables: ['counterpart'],
+    en: '🔁 {counterpart} declined your {chore} swap.',
+    es: '🔁 {counterpart} rechazó tu intercambio de {chore}.',
+    ko: '🔁 {counterpart}님이 {chore} 교대 요청을 거절했습니다.',
+  },
+  'swap.declined': {
+    variables: ['proposer'],
+    en: "Declined {proposer}'s swap offer.",
+    es: 'Rechazaste la oferta de intercambio de {proposer}.',
+    ko: '{proposer}님의 교대 요청을 거절했습니다.',
+  },
+  'swap.noLongerFits': {
+    variables: ['problem'],
+    en: 'This swap no longer fits the schedule. {problem}',
+    es: 'Este intercambio ya no encaja en el calendario. {problem}',
+    ko: '이 교대는 더 이상 일정에 맞지 않습니다. {problem}',
+  },
+  'swap.summaryTrade': {
+    variables: ['proposer', 'counterpart', 'giveWeek', 'takeWeek'],
+    en: '{counterpart} takes the week of {giveWeek}; {proposer} takes the week of {takeWeek}.',
+    es: '{counterpart} toma la semana del {giveWeek}; {proposer} toma la semana del {takeWeek}.',
+    ko: '{counterpart}님이 {giveWeek} 주를, {proposer}님이 {takeWeek} 주를 맡습니다.',
+  },
+  'swap.summaryCover': {
+    variables: ['proposer', 'counterpart', 'giveWeek'],
+    en: "{counterpart} covers {proposer}'s week of {giveWeek}.",
+    es: '{counterpart} cubre la semana del {giveWeek} de {proposer}.',
+    ko: '{counterpart}님이 {proposer}님의 {giveWeek} 주를 대신 맡습니다.',
+  },
+  'swap.agreedNotice': {
+    variables: ['summary'],
+    en: '🔁 {chore} swap agreed: {summary}',
+    es: '🔁 Intercambio de {chore} acordado: {summary}',
+    ko: '🔁 {chore} 교대 확정: {summary}',
+  },
+  'swap.agreed': {
+    variables: ['summary'],
+    en: 'Swap agreed. {summary}',
+    es: 'Intercambio acordado. {summary}',
+    ko: '교대가 확정되었습니다. {summary}',
+  },
+  'pickup.subject': {
+    variables: [],
+    en: '{chore}: pickup day',
+    es: '{chore}: día de recogida',
+    ko: '{chore}: 수거일',
+  },
+  'pickup.today': {
+    variables: ['name', 'collection'],
+    en: "{emoji} {name}, you're on {chore} and it's pickup day: {collection}.",
+    es: '{emoji} {name}, te toca {chore} y hoy es día de recogida: {collection}.',
+    ko: '{emoji} {name}님, {chore} 당번이고 오늘은 수거일입니다: {collection}.',
+  },
+  'pickup.next': {
+    variables: ['collection'],
+    en: 'Next pickup: {collection}.',
+    es: 'Próxima recogida: {collection}.',
+    ko: '다음 수거일: {collection}.',
+  },
+  'pickup.none': {
+    variables: ['days'],
+    en: 'No pickups on the calendar in the next {days} days.',
+    es: 'No hay recogidas en el calendario en los próximos {days} días.',
+    ko: '앞으로 {days}일 동안 예정된 수거가 없습니다.',
+  },
+  'pickup.moved': {
+    variables: ['date', 'movedFrom'],
+    en: '{date} (moved from {movedFrom})',
+    es: '{date} (cambiada del {movedFrom})',
+    ko: '{date} ({movedFrom}에서 변경)',
+  },
+  'pickup.movedNote': {
+    variables: ['date', 'movedFrom', 'note'],
+    en: '{date} (moved from {movedFrom}: {note})',
+    es: '{date} (cambiada del {movedFrom}: {note})',
+    ko: '{date} ({movedFrom}에서 변경: {note})',
+  },
+  'binsOut.subject': {
+    variables: [],
+    en: '{chore}: pickup tomorrow',
+    es: '{chore}: recogida mañana',
+    ko: '{chore}: 내일 수거',
+  },
+  'binsOut.tonight': {
+    variables: ['name', 'collection'],
+    en: "🌙 {name}, pickup is tomorrow: {collection}.\nYou're on {chore}: tonight, make sure {doneHint}.",
+    es: '🌙 {name}, la recogida es mañana: {collection}.\nTe toca {chore}: déjalo listo esta noche.',
+    ko: '🌙 {name}님, 내일이 수거일입니다: {collection}.\n{chore} 당번이니 오늘 밤 준비해 주세요.',
+  },
+  'sms.help': {
+    variables: [],
+    en: "{chore} commands:\nSTATUS - when is your next turn\nDONE - confirm this week's duty\nSWAP <name> - offer to trade your next turn for theirs\nACCEPT / DECLINE - answer a swap offer\nAWAY <start> <end> - skip your turns (dates like 2026-11-02)\nBACK - clear your away dates\nAWAYSMS ON|OFF - weekly texts while away\nCALENDAR - get your calendar feed link\nLINK - get your personal dashboard link\nPICKUP - next collection day\nREPORT - report last week's missed duty\nUNDO - take back your report\nWORKOFF - say you did the chore that shortens your penalty\nVERIFY - confirm a housemate's work-off chore\nDISPUTE - dispute a report against you\nHELP - show this list",
+    es: 'Comandos de {chore}:\nSTATUS - cuándo es tu próximo turno\nDONE - confirma el turno de esta semana\nSWAP <nombre> - ofrece cambiar tu próximo turno por el suyo\nACCEPT / DECLINE - responde a una oferta de cambio\nAWAY <inicio> <fin> - sáltate tus turnos (fechas como 2026-11-02)\nBACK - borra tus fechas de ausencia\nAWAYSMS ON|OFF - mensajes semanales mientras estás fuera\nCALENDAR - recibe el enlace de tu calendario\nLINK - recibe el enlace de tu página personal\nPICKUP - próximo día de recogida\nREPORT - reporta el turno no hecho de la semana pasada\nUNDO - retira tu reporte\nWORKOFF - avisa que hiciste la tarea que acorta tu penalización\nVERIFY - confirma la tarea extra de un compañero\nDISPUTE - disputa un reporte en tu contra\nHELP - muestra esta lista',
+    ko: '{chore} 명령어:\nSTATUS - 다음 차례 확인\nDONE - 이번 주 당번 완료\nSWAP <이름> - 다음 차례 교대 제안\nACCEPT / DECLINE - 교대 제안에 답하기\nAWAY <시작> <끝> - 그 기간 차례 건너뛰기 (2026-11-02 형식)\nBACK - 부재 날짜 지우기\nAWAYSMS ON|OFF - 부재 중 주간 문자 받기\nCALENDAR - 캘린더 링크 받기\nLINK - 개인 페이지 링크 받기\nPICKUP - 다음 수거일\nREPORT - 지난주 누락 신고\nUNDO - 신고 취소\nWORKOFF - 벌칙을 줄이는 추가 작업 완료 알리기\nVERIFY - 다른 사람의 추가 작업 확인\nDISPUTE - 나에 대한 신고에 이의 제기\nHELP - 이 목록 보기',
+  },
+  'sms.calendar': {
+    variables: ['calendarUrl', 'houseUrl'],
+    en: 'Your {chore} calendar (keep this link private): {calendarUrl}\nWhole house: {houseUrl}',
+    es: 'Tu calendario de {chore} (no compartas este enlace): {calendarUrl}\nToda la casa: {houseUrl}',
+    ko: '내 {chore} 캘린더 (링크를 공유하지 마세요): {calendarUrl}\n집 전체: {houseUrl}',
+  },
+  'sms.link': {
+    variables: ['pageUrl'],
+    en: 'Your personal {chore} page (keep this link private): {pageUrl}',
+    es: 'Tu página personal de {chore} (no compartas este enlace): {pageUrl}',
+    ko: '내 {chore} 개인 페이지 (링크를 공유하지 마세요): {pageUrl}',
+  },
+  'sms.swapUsage': {
+    variables: [],
+    en: 'Usage: SWAP <name>',
+    es: 'Uso: SWAP <nombre>',
+    ko: '사용법: SWAP <이름>',
+  },
+  'sms.unknownHousemate': {
+    variables: ['name', 'names'],
+    en: 'No housemate named "{name}". Names: {names}.',
+    es: 'No hay ningún compañero llamado "{name}". Nombres: {names}.',
+    ko: '"{name}"(이)라는 사람이 없습니다. 이름: {names}.',
+  },
+  'sms.awaySmsUsage': {
+    variables: [],
+    en: 'Usage: AWAYSMS ON or AWAYSMS OFF',
+    es: 'Uso: AWAYSMS ON o AWAYSMS OFF',
+    ko: '사용법: AWAYSMS ON 또는 AWAYSMS OFF',
+  },
+  'sms.notOnRoster': {
+    variables: [],
+    en: "This number isn't on the {chore} roster.",
+    es: 'Este número no está en la lista de {chore}.',
+    ko: '이 번호는 {chore} 명단에 없습니다.',
+  },
+  'sms.noTeam': {
+    variables: [],
+    en: '{chore} has no team configured yet.',
+    es: '{chore} todavía no tiene un equipo configurado.',
+    ko: '{chore}에 아직 팀이 설정되지 않았습니다.',
+  },
+  'away.badDates': {
+    variables: [],
+    en: 'Use real dates like 2026-11-02 for start and end.',
+    es: 'Usa fechas reales como 2026-11-02 para el inicio y el fin.',
+    ko: '시작일과 종료일은 2026-11-02 같은 실제 날짜로 입력하세요.',
+  },
+  'away.endsBeforeStart': {
+    variables: [],
+    en: 'The away period ends before it starts.',
+    es: 'El periodo de ausencia termina antes de empezar.',
+    ko: '부재 기간의 종료일이 시작일보다 빠릅니다.',
+  },
+  'away.over': {
+    variables: [],
+    en: 'That away period is already over.',
+    es: 'Ese periodo de ausencia ya terminó.',
+    ko: '이미 끝난 부재 기간입니다.',
+  },
+  'away.saved': {
+    variables: ['name', 'from', 'until'],
+    en: "Got it, {name}: you're away {from} to {until}. The rotation will skip you.",
+    es: 'Entendido, {name}: estarás fuera del {from} al {until}. La rotación te saltará.',
+    ko: '알겠습니다, {name}님: {from}부터 {until}까지 부재입니다. 순번에서 건너뜁니다.',
+  },
+  'away.notFound': {
+    variables: [],
+    en: 'No matching away period found.',
+    es: 'No se encontró ese periodo de ausencia.',
+    ko: '해당하는 부재 기간이 없습니다.',
+  },
+  'away.cancelled': {
+    variables: ['from'],
+    en: 'Cancelled your away period starting {from}.',
+    es: 'Se canceló tu ausencia que empezaba el {from}.',
+    ko: '{from}부터의 부재 기간을 취소했습니다.',
+  },
+  'away.cleared': {
+    variables: [],
+    en: 'Cleared all your away periods.',
+    es: 'Se borraron todas tus ausencias.',
+    ko: '모든 부재 기간을 지웠습니다.',
+  },
+  'away.noDates': {
+    variables: [],
+    en: 'No away dates given.',
+    es: 'No se indicaron fechas de ausencia.',
+    ko: '부재 날짜가 없습니다.',
+  },
+  'away.textsOn': {
+    variables: [],
+    en: "You'll keep getting the weekly text while away.",
+    es: 'Seguirás recibiendo el mensaje semanal mientras estés fuera.',
+    ko: '부재 중에도 주간 문자를 받습니다.',
+  },
+  'away.textsOff': {
+    variables: [],
+    en: "You won't get the weekly text while away.",
+    es: 'No recibirás el mensaje semanal mientras estés fuera.',
+    ko: '부재 중에는 주간 문자를 받지 않습니다.',
+  },
+  'preferences.saved': {
+    variables: [],
+    en: 'Your preferences are saved.',
+    es: 'Se guardaron tus preferencias.',
+    ko: '설정을 저장했습니다.',
+  },
+  'code.sms': {
+    variables: ['code', 'minutes'],
+    en: '🔐 Your {chore} verification code is {code}. It expires in {minutes} minutes.',
+    es: '🔐 Tu código de verificación de {chore} es {code}. Caduca en {minutes} minutos.',
+    ko: '🔐 {chore} 인증 코드는 {code}입니다. {minutes}분 후에 만료됩니다.',
+  },
+  'banner.penaltyActive': {
+    variables: ['offender', 'week', 'totalWeeks', 'weeksAfter'],
+    en: 'PENALTY ACTIVE: {offender} is on week {week} of {totalWeeks}. {weeksAfter, plural, one {# week} other {# weeks}} will remain afterward.',
+    es: 'PENALIZACIÓN ACTIVA: {offender} está en la semana {week} de {totalWeeks}. Después {weeksAfter, plural, one {quedará # semana} other {quedarán # semanas}}.',
+    ko: '벌칙 진행 중: {offender}님이 {totalWeeks}주 중 {week}주차입니다. 이후 {weeksAfter}주가 남습니다.',
+  },
+  'banner.penaltyFinal': {
+    variables: ['offender', 'totalWeeks', 'afterPenalty'],
+    en: 'PENALTY ACTIVE: {offender} is serving the final penalty week ({totalWeeks}/{totalWeeks}). {afterPenalty}',
+    es: 'PENALIZACIÓN ACTIVA: {offender} cumple la última semana de penalización ({totalWeeks}/{totalWeeks}). {afterPenalty}',
+    ko: '벌칙 진행 중: {offender}님이 마지막 벌칙 주({totalWeeks}/{totalWeeks})입니다. {afterPenalty}',
+  },
+  'banner.nextPenalty': {
+    variables: ['offender'],
+    en: "{offender}'s penalty starts next.",
+    es: 'Después empieza la penalización de {offender}.',
+    ko: '다음은 {offender}님의 벌칙이 시작됩니다.',
+  },
+  'banner.rotationResumes': {
+    variables: [],
+    en: 'The normal rotation resumes next week.',
+    es: 'La rotación normal se reanuda la próxima semana.',
+    ko: '다음 주부터 정상 순번이 재개됩니다.',
+  },
+  'banner.penaltyRecorded': {
+    variables: ['offender', 'weeks'],
+    en: 'Penalty recorded: {offender} owes {weeks, plural, one {# week} other {# weeks}}. The rotation will pause when their turn arrives.',
+    es: 'Penalización registrada: {offender} debe {weeks, plural, one {# semana} other {# semanas}}. La rotación se detendrá cuando llegue su turno.',
+    ko: '벌칙 기록됨: {offender}님은 {weeks}주를 해야 합니다. 차례가 오면 순번이 멈춥니다.',
+  },
+  'banner.queue': {
+    variables: ['queue'],
+    en: 'Queued next: {queue}.',
+    es: 'En cola: {queue}.',
+    ko: '대기 중: {queue}.',
+  },
+  'banner.queueEntry': {
+    variables: ['offender', 'weeks', 'startsWeekOf'],
+    en: '{offender} ({weeks, plural, one {# week} other {# weeks}} from {startsWeekOf})',
+    es: '{offender} ({weeks, plural, one {# semana} other {# semanas}} desde el {startsWeekOf})',
+    ko: '{offender}님 ({startsWeekOf}부터 {weeks}주)',
+  },
+}
+
+/**
+ * Stored overrides, keyed by message type in a prototype-less object so a
+ * type such as `constructor` can never resolve to something inherited.
+ */
+async function loadMessageTemplates(rotationDb) {
+  const stored = (await rotationDb.get(MESSAGE_TEMPLATES_KEY, 'json')) || {}
+  const templates = Object.create(null)
+  for (const [type, overrides] of Object.entries(stored)) {
+    if (isMessageType(type)) {
+      templates[type] = Object.assign(Object.create(null), overrides)
+    }
+  }
+  return templates
+}
+
+function isMessageType(type) {
+  return typeof type === 'string' && Object.hasOwn(MESSAGE_TEMPLATES, type)
+}
+
+/** The first supported language among the candidates, else English. */
+function resolveLanguage(...candidates) {
+  return (
+    candidates.find((language) => MESSAGE_LANGUAGES.includes(language)) ||
+    DEFAULT_LANGUAGE
+  )
+}
+
+/**
+ * Returns render(type, language, variables). A stored override wins over the
+ * built-in copy, and a language with neither falls back to English.
+ */
+function createMessageRenderer(env, storedTemplates = Object.create(null)) {
+  const brand = getRotationConfig(env)
+  const brandVariables = {
+    chore: brand.choreName,
+    emoji: brand.emoji,
+    house: brand.name,
+    doneHint: brand.doneHint,
+    dashboardUrl: brand.dashboardUrl,
+  }
+  return (type, language, variables = {}) => {
+    const stored = storedTemplates[type] || {}
+    const builtIn = MESSAGE_TEMPLATES[type]
+    const template =
+      stored[language] || builtIn[language] || stored.en || builtIn.en
+    return renderTemplate(template, language, {
+      ...brandVariables,
+      ...variables,
+    })
+  }
+}
+
+/** Fills plurals, then {variables}. Unknown variables are left as written. */
+function renderTemplate(template, language, variables) {
+  const rules = new Intl.PluralRules(language)
+  return template
+    .replace(PLURAL_PATTERN, (match, name, options) => {
+      const count = Number(variables[name])
+      const forms = {}
+      for (const [, key, text] of options.matchAll(PLURAL_OPTION_PATTERN)) {
+        forms[key] = text
+      }
+      const form =
+        forms[`=${count}`] ?? forms[rules.select(count)] ?? forms.other
+      return (form ?? '').replace(/#/g, String(count))
+    })
+    .replace(VARIABLE_PATTERN, (match, name) =>
+      variables[name] === undefined || variables[name] === null
+        ? match
+        : String(variables[name])
+    )
+}
+
+/** Checks an admin-supplied template. Returns an error message or null. */
+function validateMessageTemplate(type, text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return `${type} templates must be non-empty strings.`
+  }
+  if (text.length > MESSAGE_TEMPLATE_MAX_LENGTH) {
+    return `${type} templates must be at most ${MESSAGE_TEMPLATE_MAX_LENGTH} characters.`
+  }
+  const allowed = [
+    ...MESSAGE_BRAND_VARIABLES,
+    ...MESSAGE_TEMPLATES[type].variables,
+  ]
+  const used = [
+    ...[...text.matchAll(PLURAL_PATTERN)].map((match) => match[1]),
+    ...[...text.replace(PLURAL_PATTERN, '').matchAll(VARIABLE_PATTERN)].map(
+      (match) => match[1]
+    ),
+  ]
+  const unknown = used.filter((name) => !allowed.includes(name))
+  if (unknown.length > 0) {
+    return `${type} does not know {${unknown[0]}}. It can use: ${allowed
+      .map((name) => `{${name}}`)
+      .join(', ')}.`
+  }
+  if (
+    /[{}]/.test(text.replace(PLURAL_PATTERN, '').replace(VARIABLE_PATTERN, ''))
+  ) {
+    return `${type} has a brace that is not part of a {variable} or plural.`
+  }
+  return null
+}
+
+/**
+ * Sample values for every template variable, taken from the current state so
+ * a preview reads like the next real message. `memberIndex` picks whose view
+ * (name, next turn) to use.
+ */
+async function describeTemplateVariables(
+  env,
+  rotationDb,
+  team,
+  memberIndex,
+  type,
+  language
+) {
+  const render = createMessageRenderer(
+    env,
+    await loadMessageTemplates(rotationDb)
+  )
+  const clock = getRotationClock(env)
+  const forecast = await loadTurnForecast(env, rotationDb, team)
+  const member = team[memberIndex]
+  const turnsUntilTurn = findNextTurn(forecast, memberIndex)
+  const penaltyBox = (await rotationDb.get('PENALTY_BOX', 'json')) || {}
+  const penaltyPolicy = await loadPenaltyPolicy(rotationDb)
+  const totalWeeks = penaltyTotalWeeks(penaltyBox, penaltyPolicy)
+  const weeksAfter = Math.max(0, penaltyBox.weeksRemaining || 0)
+  const report = await rotationDb.get('PENDING_REPORT', 'json')
+  const reportPolicy = getReportPolicy(env, team.length)
+  const offender =
+    team[penaltyBox.offenderIndex] ||
+    team[report ? report.accusedIndex : forecast[0].index] ||
+    member
+  const disputeBy = formatDateTime(
+    report
+      ? new Date(report.disputeUntil)
+      : new Date(Date.now() + reportPolicy.disputeHours * 3600000),
+    clock.timeZone,
+    language
+  )
+  const missing = report
+    ? Math.max(0, reportPolicy.confirmationsRequired - report.reporters.length)
+    : reportPolicy.confirmationsRequired
+  // {weeks} is the wait for a turn in the weekly texts and a penalty's
+  // length everywhere else.
+  const penaltyWeeks =
+    penaltyBox.weeksRemaining > 0
+      ? penaltyBox.weeksRemaining
+      : penaltyWeeksFor(penaltyPolicy, offender, new Date())
+  const weeks = /^(rotation|status)\./.test(type)
+    ? turnsUntilTurn * clock.turnWeeks
+    : penaltyWeeks
+  const nextUpName = forecast[1] ? forecast[1].name : forecast[0].name
+  const sampleCollection = formatDate(
+    forecastWeekDate(forecast, 1, clock),
+    language
+  )
+  return {
+    name: member.name,
+    onDuty: forecast[0].name,
+    nextUp: nextUpName,
+    turnWeeks: clock.turnWeeks,
+    weekOf: formatDate(
+      forecastWeekDate(forecast, turnsUntilTurn, clock),
+      language
+    ),
+    weeks,
+    week: Math.max(1, totalWeeks - weeksAfter),
+    totalWeeks,
+    weeksAfter,
+    offender: offender.name,
+    accused: offender.name,
+    reporter: member.name,
+    disputeBy,
+    missing,
+    votesNeeded: render('report.votesNeeded', language, { missing }),
+    afterPenalty: render('banner.rotationResumes', language),
+    queue: render('banner.queueEntry', language, {
+      offender: offender.name,
+      weeks: penaltyWeeks,
+      startsWeekOf: formatDate(
+        forecastWeekDate(forecast, 1 + weeksAfter, clock),
+        language
+      ),
+    }),
+    startsWeekOf: formatDate(forecastWeekDate(forecast, 1, clock), language),
+    missedWeek: formatDate(forecastWeekDate(forecast, -1, clock), language),
+    start: render('penalty.startsNow', language),
+    workOffChore: penaltyPolicy.workOff.chore,
+    actor: member.name,
+    assignee: forecast[0].name,
+    verifier: member.name,
+    hoursLeft: readPositiveNumber(
+      env.CONFIRM_DEADLINE_HOURS,
+      DEFAULT_CONFIRM_DEADLINE_HOURS
+    ),
+    proposer: member.name,
+    counterpart: nextUpName,
+    giveWeek: forecast[1] ? forecast[1].weekOf : forecast[0].weekOf,
+    takeWeek: forecast[2] ? forecast[2].weekOf : forecast[0].weekOf,
+    problem: render('swap.noTurn', language),
+    summary: render('swap.summaryCover', language, {
+      proposer: member.name,
+      counterpart: nextUpName,
+      giveWeek: forecast[1] ? forecast[1].weekOf : forecast[0].weekOf,
+    }),
+    collection: sampleCollection,
+    date: sampleCollection,
+    movedFrom: formatDate(new Date(), language),
+    note: 'Holiday',
+    days: COLLECTION_LOOKAHEAD_DAYS,
+    code: '123456',
+    minutes: REPORT_CODE_TTL_SECONDS / 60,
+    calendarUrl: 'https://trashbot.example/calendar/sample.ics',
+    houseUrl: 'https://trashbot.example/calendar.ics',
+    pageUrl: `${getRotationConfig(env).dashboardUrl}?me=sample`,
+    names: team.map((teammate) => teammate.name).join(', '),
+    from: forecast[1] ? forecast[1].weekOf : forecast[0].weekOf,
+    until: forecast[2] ? forecast[2].weekOf : forecast[0].weekOf,
+  }
+}
+
+/**
+ * GET    /admin/templates           catalog with built-in and stored copy
+ * PUT    /admin/templates/:type     { [language]: text | null } stores overrides
+ * DELETE /admin/templates/:type     back to the built-in copy
+ * POST   /admin/templates/preview   { type, language?, template?, member? }
+ */
+async function handleMessageTemplatesAdmin(
+  request,
+  env,
+  rotationDb,
+  team,
+  url,
+  corsHeaders
+) {
+  const stored = await loadMessageTemplates(rotationDb)
+
+  if (url.pathname === '/admin/templates' && request.method === 'GET') {
+    return jsonResponse(
+      {
+        languages: MESSAGE_LANGUAGES,
+        brandVariables: MESSAGE_BRAND_VARIABLES,
+        templates: Object.fromEntries(
+          Object.entries(MESSAGE_TEMPLATES).map(
+            ([type, { variables, ...builtIn }]) => [
+              type,
+              { variables, builtIn, stored: stored[type] || {} },
+            ]
+          )
+        ),
+      },
+      corsHeaders
+    )
+  }
+
+  if (
+    url.pathname === '/admin/templates/preview' &&
+    request.method === 'POST'
+  ) {
+    const body = (await readJsonBody(request)) || {}
+    if (!isMessageType(body.type)) {
+      return jsonResponse(
+        { error: 'type must be one of the message types.' },
+        corsHeaders,
+        400
+      )
+    }
+    const memberIndex = body.member === undefined ? 0 : body.member
+    if (!isMemberIndex(memberIndex, team.length)) {
+      return jsonResponse(
+        { error: 'member must be a roster index.' },
+        corsHeaders,
+        400
+      )
+    }
+    const language = resolveLanguage(
+      body.language,
+      team[memberIndex].language,
+      getRotationConfig(env).language
+    )
+    if (body.template !== undefined) {
+      const problem = validateMessageTemplate(body.type, body.template)
+      if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+    }
+    const variables = await describeTemplateVariables(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      body.type,
+      language
+    )
+    const draft = Object.create(null)
+    draft[body.type] = Object.assign(Object.create(null), {
+      [language]: body.template,
+    })
+    const render = createMessageRenderer(
+      env,
+      body.template === undefined ? stored : draft
+    )
+    return jsonResponse(
+      {
+        type: body.type,
+        language,
+        text: render(body.type, language, variables),
+        variables: Object.fromEntries(
+          MESSAGE_TEMPLATES[body.type].variables.map((name) => [
+            name,
+            variables[name],
+          ])
+        ),
+      },
+      corsHeaders
+    )
+  }
+
+  const typeMatch = url.pathname.match(/^\/admin\/templates\/([\w.]+)$/)
+  if (!typeMatch || !isMessageType(typeMatch[1])) {
+    return jsonResponse({ error: 'Unknown message type.' }, corsHeaders, 404)
+  }
+  const type = typeMatch[1]
+
+  if (request.method === 'PUT') {
+    const body = await readJsonBody(request)
+    if (!body || typeof body !== 'object') {
+      return jsonResponse(
+        { error: 'Request body must be a JSON object.' },
+        corsHeaders,
+        400
+      )
+    }
+    const overrides = Object.assign(Object.create(null), stored[type])
+    for (const [language, text] of Object.entries(body)) {
+      if (!MESSAGE_LANGUAGES.includes(language)) {
+        return jsonResponse(
+          {
+            error: `Languages must be one of ${MESSAGE_LANGUAGES.join(', ')}.`,
+          },
+          corsHeaders,
+          400
+        )
+      }
+      if (text === null) {
+        delete overrides[language]
+        continue
+      }
+      const problem = validateMessageTemplate(type, text)
+      if (problem) return jsonResponse({ error: problem }, corsHeaders, 400)
+      overrides[language] = text
+    }
+    if (Object.keys(overrides).length > 0) stored[type] = overrides
+    else delete stored[type]
+    await rotationDb.put(MESSAGE_TEMPLATES_KEY, JSON.stringify(stored))
+    console.info(`Admin updated the ${type} template.`)
+    return jsonResponse({ type, stored: overrides }, corsHeaders)
+  }
+
+  if (request.method === 'DELETE') {
+    delete stored[type]
+    await rotationDb.put(MESSAGE_TEMPLATES_KEY, JSON.stringify(stored))
+    console.info(`Admin reset the ${type} template.`)
+    return jsonResponse({ type, stored: {} }, corsHeaders)
+  }
+
+  return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+}
+
+// --- NOTIFICATIONS ---
+
+const NOTIFICATION_CHANNELS = ['sms', 'email', 'discord', 'slack', 'push']
+const DISCORD_MAX_LENGTH = 2000
+
+/**
+ * Each transport formats a message `{ subject, text, sms? }` for its channel
+ * and delivers it. `isReady` checks both the member's address and the Worker
+ * config, so a half-configured channel is skipped rather than failing.
+ */
+const NOTIFICATION_TRANSPORTS = {
+  sms: {
+    isReady: (env, member) => Boolean(member.phone),
+    address: (member) => member.phone,
+    format: (message) => message.sms || message.text,
+    send: (env, member, body, { statusCallback } = {}) =>
+      sendSms(env, member.phone, body, { statusCallback }),
+  },
+  email: {
+    isReady: (env, member) =>
+      Boolean(member.email && env.EMAIL_API_URL && env.EMAIL_FROM),
+    address: (member) => member.email,
+    format: (message) => ({ subject: message.subject, text: message.text }),
+    send: (env, member, { subject, text }) =>
+      postNotification(env.EMAIL_API_URL, member.email, {
+        headers: env.EMAIL_API_KEY
+          ? { Authorization: `Bearer ${env.EMAIL_API_KEY}` }
+          : {},
+        body: { from: env.EMAIL_FROM, to: member.email, subject, text },
+      }),
+  },
+  discord: {
+    isReady: (env, member) => Boolean(member.discordWebhook),
+    address: (member) => member.discordWebhook,
+    format: (message) =>
+      `**${message.subject}**\n${message.text}`.slice(0, DISCORD_MAX_LENGTH),
+    send: (env, member, content) =>
+      postNotification(member.discordWebhook, 'discord', {
+        body: { content },
+      }),
+  },
+  slack: {
+    isReady: (env, member) => Boolean(member.slackWebhook),
+    address: (member) => member.slackWebhook,
+    format: (message) => `*${message.subject}*\n${message.text}`,
+    send: (env, member, text) =>
+      postNotification(member.slackWebhook, 'slack', { body: { text } }),
+  },
+  push: {
+    isReady: (env, member) =>
+      Boolean(
+        member.pushSubscription &&
+          env.VAPID_PUBLIC_KEY &&
+          env.VAPID_PRIVATE_JWK &&
+          env.VAPID_SUBJECT
+      ),
+    address: (member) =>
+      member.pushSubscription && member.pushSubscription.endpoint,
+    // The service worker shows the payload as { title, body }.
+    format: (message) =>
+      JSON.stringify({ title: message.subject, body: message.text }),
+    send: (env, member, payload) =>
+      sendWebPush(env, member.pushSubscription, payload),
+  },
+}
+
+/**
+ * Stand-in for every channel when NOTIFY_TRANSPORT is 'stub' (local runs and
+ * tests): nothing leaves the Worker, and each delivery is appended to
+ * env.NOTIFY_OUTBOX when that is an array.
+ */
+function stubTransport(channel) {
+  const real = NOTIFICATION_TRANSPORTS[channel]
+  return {
+    ...real,
+    // Only the member's address matters; no Worker config is needed.
+    isReady: (env, member) => Boolean(real.address(member)),
+    send: async (env, member, body) => {
+      const to = real.address(member)
+      if (Array.isArray(env.NOTIFY_OUTBOX)) {
+        env.NOTIFY_OUTBOX.push({ channel, to, name: member.name, body })
+      }
+      console.info(`[stub ${channel}] to ${member.name}`)
+      return { ok: true, to }
+    },
+  }
+}
+
+function getTransport(env, channel) {
+  if (!NOTIFICATION_TRANSPORTS[channel]) return null
+  return env.NOTIFY_TRANSPORT === 'stub'
+    ? stubTransport(channel)
+    : NOTIFICATION_TRANSPORTS[channel]
+}
+
+/**
+ * Member's chosen channels (default SMS). Channels that are not ready are
+ * dropped, and SMS is the fallback when none are left.
+ */
+function resolveMemberChannels(env, member) {
+  const preferred =
+    Array.isArray(member.channels) && member.channels.length > 0
+      ? member.channels
+      : ['sms']
+  const ready = preferred.filter((channel) => {
+    const transport = getTransport(env, channel)
+    return transport && transport.isReady(env, member)
+  })
+  return ready.length > 0 ? ready : ['sms']
+}
+
+/**
+ * Sends one message to a member on every channel they prefer (or only the
+ * given channels). Each channel gets a DELIVERY record so failures can be
+ * retried later and Twilio can report the final status.
+ * Resolves to one `{ ok, channel, to, deliveryId, error? }` per channel.
+ */
+async function notifyMember(env, rotationDb, member, message, options) {
+  const sent = await deliverToMember(env, rotationDb, member, message, options)
+  await updateDeliveryQueue(
+    rotationDb,
+    sent.map(({ delivery }) => delivery)
+  )
+  return sent.map(({ result }) => result)
+}
+
+/**
+ * notifyMember for several members; resolves to the flattened results. The
+ * retry queue is updated once, after every send has settled, so parallel
+ * failures cannot overwrite each other's queue entries.
+ */
+async function notifyMembers(env, rotationDb, members, message, options) {
+  const settled = await Promise.allSettled(
+    members
+      .filter(Boolean)
+      .map((member) =>
+        deliverToMember(
+          env,
+          rotationDb,
+          member,
+          typeof message === 'function' ? message(member) : message,
+          options
+        )
+      )
+  )
+  const sent = settled
+    .filter((outcome) => outcome.status === 'fulfilled')
+    .flatMap((outcome) => outcome.value)
+  await updateDeliveryQueue(
+    rotationDb,
+    sent.map(({ delivery }) => delivery)
+  )
+  const failed = settled.find((outcome) => outcome.status === 'rejected')
+  if (failed) throw failed.reason
+  return sent.map(({ result }) => result)
+}
+
+/**
+ * The sending half of notifyMember: saves each channel's DELIVERY record but
+ * leaves DELIVERY_RETRY_QUEUE to the caller. Resolves to `{ delivery, result }`
+ * per channel.
+ */
+async function deliverToMember(
+  env,
+  rotationDb,
+  member,
+  message,
+  { kind, channels = resolveMemberChannels(env, member) } = {}
+) {
+  return Promise.all(
+    channels.map(async (channel) => {
+      const transport = getTransport(env, channel)
+      const delivery = createDeliveryRecord({
+        kind,
+        name: member.name,
+        channel,
+        to: transport.address(member),
+        body: transport.format(message),
+      })
+      const result = await attemptDelivery(env, delivery, member)
+      await saveDeliveryRecord(rotationDb, delivery)
+      return {
+        delivery,
+        result: { ...result, channel, deliveryId: delivery.id },
+      }
+    })
+  )
+}
+
+async function postNotification(url, to, { headers = {}, body }) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    })
+    if (!response.ok) {
+      const error = `HTTP ${response.status}`
+      console.error(`Notification to ${to} failed:`, error)
+      return { ok: false, to, error }
+    }
+    return { ok: true, to }
+  } catch (error) {
+    console.error(`Failed to send notification to ${to}:`, error)
+    return { ok: false, to, error: error?.message || 'unknown error' }
+  }
+}
+
+/**
+ * Web Push with VAPID auth and an encrypted payload (RFC 8291).
+ * VAPID_PRIVATE_JWK is the P-256 private key as a JWK; VAPID_PUBLIC_KEY is its
+ * raw public key, base64url.
+ */
+async function sendWebPush(env, subscription, payload) {
+  const endpoint = subscription.endpoint
+  try {
+    const body = await encryptPushPayload(subscription, payload)
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      JSON.parse(env.VAPID_PRIVATE_JWK),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['sign']
+    )
+    const encoder = new TextEncoder()
+    const header = base64UrlEncode(
+      encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }))
+    )
+    const claims = base64UrlEncode(
+      encoder.encode(
+        JSON.stringify({
+          aud: new URL(endpoint).origin,
+          exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+          sub: env.VAPID_SUBJECT,
+        })
+      )
+    )
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      encoder.encode(`${header}.${claims}`)
+    )
+    const jwt = `${header}.${claims}.${base64UrlEncode(signature)}`
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        TTL: '86400',
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        Authorization: `vapid t=${jwt}, k=${env.VAPID_PUBLIC_KEY}`,
+      },
+      body,
+    })
+    if (!response.ok) {
+      const error = `HTTP ${response.status}`
+      console.error(`Web Push to ${endpoint} failed:`, error)
+      return { ok: false, to: endpoint, error }
+    }
+    return { ok: true, to: endpoint }
+  } catch (error) {
+    console.error(`Failed to send Web Push to ${endpoint}:`, error)
+    return { ok: false, to: endpoint, error: error?.message || 'unknown error' }
+  }
+}
+
+/**
+ * Encrypts `payload` for one subscription as a single aes128gcm record
+ * (RFC 8188), keyed from an ephemeral ECDH share with the browser's p256dh key
+ * and its auth secret (RFC 8291).
+ */
+async function encryptPushPayload(subscription, payload) {
+  const keys = subscription.keys || {}
+  const clientPublic = base64UrlDecode(keys.p256dh || '')
+  const authSecret = base64UrlDecode(keys.auth || '')
+  const clientKey = await crypto.subtle.importKey(
+    'raw',
+    clientPublic,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  )
+  const serverKeys = await crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  )
+  const serverPublic = new Uint8Array(
+    await crypto.subtle.exportKey('raw', serverKeys.publicKey)
+  )
+  const sharedSecret = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: clientKey },
+      serverKeys.privateKey,
+      256
+    )
+  )
+
+  const encoder = new TextEncoder()
+  const inputKey = await hkdf(
+    authSecret,
+    sharedSecret,
+    concatBytes(encoder.encode('WebPush: info\0'), clientPublic, serverPublic),
+    32
+  )
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const contentKey = await hkdf(
+    salt,
+    inputKey,
+    encoder.encode('Content-Encoding: aes128gcm\0'),
+    16
+  )
+  const nonce = await hkdf(
+    salt,
+    inputKey,
+    encoder.encode('Content-Encoding: nonce\0'),
+    12
+  )
+  const aesKey = await crypto.subtle.importKey(
+    'raw',
+    contentKey,
+    'AES-GCM',
+    false,
+    ['encrypt']
+  )
+  // 0x02 marks the last (and only) record.
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: nonce },
+      aesKey,
+      concatBytes(encoder.encode(payload), Uint8Array.of(2))
+    )
+  )
+
+  // Header: salt, record size (uint32), key id length, then our public key.
+  const header = new Uint8Array(16 + 4 + 1 + serverPublic.length)
+  header.set(salt)
+  new DataView(header.buffer).setUint32(16, 4096)
+  header[20] = serverPublic.length
+  header.set(serverPublic, 21)
+  return concatBytes(header, ciphertext)
+}
+
+async function hkdf(salt, inputKey, info, length) {
+  const key = await crypto.subtle.importKey('raw', inputKey, 'HKDF', false, [
+    'deriveBits',
+  ])
+  return new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: 'HKDF', hash: 'SHA-256', salt, info },
+      key,
+      length * 8
+    )
+  )
+}
+
+function concatBytes(...parts) {
+  const joined = new Uint8Array(
+    parts.reduce((total, part) => total + part.length, 0)
+  )
+  let offset = 0
+  for (const part of parts) {
+    joined.set(part, offset)
+    offset += part.length
+  }
+  return joined
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(
+    atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')),
+    (char) => char.charCodeAt(0)
+  )
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Dashboard opt-in for Web Push:
+ *   GET  /push/key          VAPID public key, or null when push is not set up
+ *   POST /push/subscribe    { phone, code, subscription } adds the push channel
+ *   POST /push/unsubscribe  { phone, code, endpoint } removes it again
+ * Both changes need the code from /report/code, or go through /me/<token>/.
+ */
+async function handlePushRequest(request, env, url, corsHeaders) {
+  if (url.pathname === '/push/key' && request.method === 'GET') {
+    return jsonResponse(
+      { publicKey: env.VAPID_PUBLIC_KEY || null },
+      corsHeaders
+    )
+  }
+  if (
+    request.method !== 'POST' ||
+    !['/push/subscribe', '/push/unsubscribe'].includes(url.pathname)
+  ) {
+    return jsonResponse({ error: 'Not Found' }, corsHeaders, 404)
+  }
+
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return jsonResponse(
+      { error: 'Server configuration error. Please try again later.' },
+      corsHeaders,
+      500
+    )
+  }
+  const team = await rotationDb.get('TEAM_MEMBERS', 'json')
+  if (!Array.isArray(team) || team.length === 0) {
+    return jsonResponse({ error: 'Team data is missing.' }, corsHeaders, 500)
+  }
+  const body = (await readJsonBody(request)) || {}
+  if (url.pathname === '/push/subscribe' && !env.VAPID_PUBLIC_KEY) {
+    return jsonResponse(
+      { error: 'Push reminders are not set up.' },
+      corsHeaders,
+      503
+    )
+  }
+  const memberIndex = await verifyReportCode(
+    rotationDb,
+    team,
+    body.phone,
+    body.code
+  )
+  if (memberIndex === -1) {
+    return jsonResponse(
+      { error: 'Invalid or expired code. Request a new one.' },
+      corsHeaders,
+      403
+    )
+  }
+  return pushResponse(
+    await updatePushSubscription(
+      env,
+      rotationDb,
+      team,
+      memberIndex,
+      url.pathname.slice('/push'.length),
+      body
+    ),
+    corsHeaders
+  )
+}
+
+/**
+ * The verified part of /push/subscribe and /push/unsubscribe, shared with
+ * /me/<token>/. Unsubscribing only clears the member's subscription when
+ * `endpoint` names it, so another device of theirs keeps its reminders.
+ */
+async function updatePushSubscription(
+  env,
+  rotationDb,
+  team,
+  memberIndex,
+  action,
+  body
+) {
+  const member = team[memberIndex]
+  if (action === '/subscribe') {
+    if (!env.VAPID_PUBLIC_KEY) {
+      return {
+        ok: false,
+        status: 503,
+        message: 'Push reminders are not set up.',
+      }
+    }
+    const subscription = body.subscription
+    const problem = validateNotificationFields({
+      pushSubscription: subscription,
+    })
+    if (problem || !subscription) {
+      return {
+        ok: false,
+        status: 400,
+        message: problem || 'subscription is required.',
+      }
+    }
+    const channels =
+      Array.isArray(member.channels) && member.channels.length > 0
+        ? member.channels
+        : ['sms']
+    await saveMemberUpdate(rotationDb, team, memberIndex, {
+      ...member,
+      pushSubscription: {
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+      },
+      channels: channels.includes('push') ? channels : [...channels, 'push'],
+    })
+    console.info(`${member.name} turned on push reminders.`)
+    return {
+      ok: true,
+      name: member.name,
+      message: `${member.name}, reminders will also come to this device.`,
+    }
+  }
+
+  if (
+    !member.pushSubscription ||
+    typeof body.endpoint !== 'string' ||
+    member.pushSubscription.endpoint !== body.endpoint
+  ) {
+    return { ok: true, message: 'This device was not getting reminders.' }
+  }
+  const { pushSubscription, ...updated } = member
+  const channels = (updated.channels || []).filter(
+    (channel) => channel !== 'push'
+  )
+  if (channels.length > 0) updated.channels = channels
+  else delete updated.channels
+  await saveMemberUpdate(rotationDb, team, memberIndex, updated)
+  console.info(`${member.name} turned off push reminders.`)
+  return { ok: true, message: 'Reminders to this device are off.' }
+}
+
+function pushResponse(result, corsHeaders) {
+  return jsonResponse(
+    result.ok
+      ? { name: result.name, message: result.message }
+      : { error: result.message },
+    corsHeaders,
+    result.ok ? 200 : result.status || 409
+  )
+}
+
+// --- DELIVERY TRACKING ---
+
+const DELIVERY_PREFIX = 'DELIVERY:'
+const DELIVERY_RETRY_QUEUE = 'DELIVERY_RETRY_QUEUE'
+const DELIVERY_TTL_SECONDS = 60 * 60 * 24 * 30
+const DELIVERY_MAX_ATTEMPTS = 5
+const DELIVERY_RETRY_BASE_MINUTES = 15
+const DELIVERY_PAGE_SIZE = 50
+const DELIVERY_MAX_PAGE_SIZE = 200
+
+/**
+ * A DELIVERY record tracks one message on one channel to one member:
+ * sent -> delivered (Twilio callback), or failed -> retried with backoff until
+ * it succeeds or gives up after DELIVERY_MAX_ATTEMPTS.
+ */
+function createDeliveryRecord({ kind, name, channel, to, body }) {
+  const now = Date.now()
+  const inverted = String(9999999999999 - now).padStart(13, '0')
+  return {
+    id: `${inverted}-${crypto.randomUUID().slice(0, 8)}`,
+    kind: kind || 'notice',
+    name,
+    channel,
+    to,
+    body,
+    status: 'pending',
+    attempts: 0,
+    sid: null,
+    lastError: null,
+    nextAttemptAt: null,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+  }
+}
+
+/** Sends the record's stored body and updates the record in place. */
+async function attemptDelivery(env, delivery, member) {
+  const transport = getTransport(env, delivery.channel)
+  const statusCallback =
+    delivery.channel === 'sms' && env.WORKER_BASE_URL
+      ? `${env.WORKER_BASE_URL.replace(/\/$/, '')}${
+          getRotationConfig(env).pathPrefix
+        }/sms/status?delivery=${delivery.id}`
+      : undefined
+  let result
+  try {
+    result = await transport.send(env, member, delivery.body, {
+      statusCallback,
+    })
+  } catch (error) {
+    result = { ok: false, to: delivery.to, error: error.message }
+  }
+
+  delivery.attempts += 1
+  delivery.updatedAt = new Date().toISOString()
+  if (result.ok) {
+    delivery.status = 'sent'
+    delivery.sid = result.sid || null
+    delivery.lastError = null
+    delivery.nextAttemptAt = null
+  } else {
+    markDeliveryFailed(delivery, result.error)
+  }
+  return result
+}
+
+function markDeliveryFailed(delivery, error) {
+  delivery.lastError = error || 'unknown error'
+  if (delivery.attempts >= DELIVERY_MAX_ATTEMPTS) {
+    delivery.status = 'gave_up'
+    delivery.nextAttemptAt = null
+    console.error(
+      `Giving up on ${delivery.channel} delivery to ${delivery.name} after ${delivery.attempts} attempts.`
+    )
+    return
+  }
+  // 15 min, 30 min, 1 h, 2 h, ... after each failed attempt.
+  const delayMinutes =
+    DELIVERY_RETRY_BASE_MINUTES * 2 ** Math.max(0, delivery.attempts - 1)
+  delivery.status = 'failed'
+  delivery.nextAttemptAt = new Date(
+    Date.now() + delayMinutes * 60000
+  ).toISOString()
+}
+
+/** Saves a record and keeps DELIVERY_RETRY_QUEUE in step with its status. */
+async function saveDelivery(rotationDb, delivery) {
+  await saveDeliveryRecord(rotationDb, delivery)
+  await updateDeliveryQueue(rotationDb, [delivery])
+}
+
+async function saveDeliveryRecord(rotationDb, delivery) {
+  await rotationDb.put(
+    `${DELIVERY_PREFIX}${delivery.id}`,
+    JSON.stringify(delivery),
+    { expirationTtl: DELIVERY_TTL_SECONDS }
+  )
+}
+
+/**
+ * Queues the failed deliveries and drops the rest from DELIVERY_RETRY_QUEUE,
+ * in a single read and at most one write.
+ */
+async function updateDeliveryQueue(rotationDb, deliveries) {
+  if (deliveries.length === 0) return
+  const queue = (await rotationDb.get(DELIVERY_RETRY_QUEUE, 'json')) || []
+  const failed = new Set(
+    deliveries
+      .filter((delivery) => delivery.status === 'failed')
+      .map((delivery) => delivery.id)
+  )
+  const settled = new Set(
+    deliveries
+      .filter((delivery) => delivery.status !== 'failed')
+      .map((delivery) => delivery.id)
+  )
+  const kept = queue.filter((id) => !settled.has(id))
+  const added = [...failed].filter((id) => !kept.includes(id))
+  if (added.length === 0 && kept.length === queue.length) return
+  await rotationDb.put(
+    DELIVERY_RETRY_QUEUE,
+    JSON.stringify([...kept, ...added])
+  )
+}
+
+/**
+ * Runs on every cron tick: re-sends each queued delivery whose backoff has
+ * elapsed, to the member's current address.
+ */
+async function retryFailedDeliveries(env, rotationDb) {
+  const queue = (await rotationDb.get(DELIVERY_RETRY_QUEUE, 'json')) || []
+  if (queue.length === 0) return
+  const team = (await rotationDb.get('TEAM_MEMBERS', 'json')) || []
+  const now = Date.now()
+  let retried = 0
+
+  for (const id of queue) {
+    const delivery = await rotationDb.get(`${DELIVERY_PREFIX}${id}`, 'json')
+    if (!delivery) {
+      await saveDeliveryQueueWithout(rotationDb, id)
+      continue
+    }
+    if (delivery.status !== 'failed') {
+      await saveDelivery(rotationDb, delivery)
+      continue
+    }
+    if (Date.parse(delivery.nextAttemptAt) > now) continue
+
+    const member = team.find((candidate) => candidate.name === delivery.name)
+    const transport = getTransport(env, delivery.channel)
+    if (!member || !transport || !transport.address(member)) {
+      delivery.status = 'gave_up'
+      delivery.lastError = 'Recipient is no longer reachable on this channel.'
+      delivery.updatedAt = new Date().toISOString()
+      await saveDelivery(rotationDb, delivery)
+      continue
+    }
+    await attemptDelivery(env, delivery, member)
+    await saveDelivery(rotationDb, delivery)
+    retried++
+  }
+  if (retried > 0) {
+    console.info(`Retried ${retried} failed delivery(ies).`)
+  }
+}
+
+async function saveDeliveryQueueWithout(rotationDb, id) {
+  const queue = (await rotationDb.get(DELIVERY_RETRY_QUEUE, 'json')) || []
+  await rotationDb.put(
+    DELIVERY_RETRY_QUEUE,
+    JSON.stringify(queue.filter((queuedId) => queuedId !== id))
+  )
+}
+
+/**
+ * POST /sms/status?delivery=<id> — Twilio's StatusCallback. Records
+ * delivered/undelivered; an undelivered text goes back on the retry queue.
+ */
+async function handleSmsStatusCallback(request, env, url) {
+  const params = await readTwilioParams(request)
+  if (!params) {
+    return new Response('Bad Request', { status: 400 })
+  }
+  const signatureValid = await isValidTwilioSignature(
+    env.TWILIO_AUTH_TOKEN,
+    request.url,
+    params,
+    request.headers.get('X-Twilio-Signature') || ''
+  )
+  if (!signatureValid) {
+    console.error('Status callback rejected: invalid X-Twilio-Signature.')
+    return new Response('Forbidden', { status: 403 })
+  }
+
+  let rotationDb
+  try {
+    rotationDb = getRotationDb(env)
+  } catch (error) {
+    console.error(error.message)
+    return new Response('Server configuration error', { status: 500 })
+  }
+
+  const id = url.searchParams.get('delivery') || ''
+  const delivery = await rotationDb.get(`${DELIVERY_PREFIX}${id}`, 'json')
+  // Twilio also reports a message when it is older than our attempt; only
+  // the latest send for this record counts.
+  if (!delivery || (delivery.sid && delivery.sid !== params.MessageSid)) {
+    return new Response(null, { status: 204 })
+  }
+
+  const status = params.MessageStatus
+  if (status === 'delivered') {
+    delivery.status = 'delivered'
+    delivery.updatedAt = new Date().toISOString()
+    await saveDelivery(rotationDb, delivery)
+  } else if (
+    (status === 'undelivered' || status === 'failed') &&
+    delivery.status !== 'failed'
+  ) {
+    delivery.updatedAt = new Date().toISOString()
+    markDeliveryFailed(
+      delivery,
+      `Twilio reported ${status}${
+        params.ErrorCode ? ` (error ${params.ErrorCode})` : ''
+      }.`
+    )
+    await saveDelivery(rotationDb, delivery)
+  }
+  return new Response(null, { status: 204 })
+}
+
+/**
+ * GET /admin/deliveries?limit=50&cursor=... — recent deliveries (newest
+ * first) plus each member's latest outcome.
+ */
+async function handleDeliveriesRequest(rotationDb, team, url, corsHeaders) {
+  const requestedLimit = parseInt(url.searchParams.get('limit'), 10)
+  const limit = Number.isInteger(requestedLimit)
+    ? Math.min(DELIVERY_MAX_PAGE_SIZE, Math.max(1, requestedLimit))
+    : DELIVERY_PAGE_SIZE
+  const listing = await rotationDb.list({
+    prefix: DELIVERY_PREFIX,
+    limit,
+    cursor: url.searchParams.get('cursor') || undefined,
+  })
+  const deliveries = (
+    await Promise.all(
+      listing.keys.map((key) => rotationDb.get(key.name, 'json'))
+    )
+  )
+    .filter(Boolean)
+    .map(({ body, ...delivery }) => delivery)
+
+  const members = {}
+  for (const member of team) {
+    const recent = deliveries.filter(
+      (delivery) => delivery.name === member.name
+    )
+    const latest = recent[0]
+    members[member.name] = {
+      lastStatus: latest ? latest.status : null,
+      lastChannel: latest ? latest.channel : null,
+      lastAt: latest ? latest.updatedAt : null,
+      lastError: latest ? latest.lastError : null,
+      failing: recent.filter((delivery) =>
+        ['failed', 'gave_up'].includes(delivery.status)
+      ).length,
+    }
+  }
+
+  return jsonResponse(
+    {
+      members,
+      deliveries,
+      retryQueue: (await rotationDb.get(DELIVERY_RETRY_QUEUE, 'json')) || [],
+      cursor: listing.list_complete ? null : listing.cursor,
+    },
+    corsHeaders
+  )
+}
+
+// --- HELPER FUNCTIONS ---
+
+async function sendSms(env, to, body, { statusCallback } = {}) {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`
+  const data = new URLSearchParams({
+    To: to,
+    From: env.TWILIO_PHONE_NUMBER,
+    Body: body,
+  })
+  if (statusCallback) data.set('StatusCallback', statusCallback)
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization:
+          'Basic ' + btoa(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`),
+      },
+      body: data,
+    })
+    if (!response.ok) {
+      const errorData = await response.json()
+      console.error(`Twilio Error for ${to}:`, errorData.message)
+      return { ok: false, to, error: errorData.message }
+    } else {
+      const sent = await response.json().catch(() => ({}))
+      console.log(`Message sent successfully to ${to}`)
+      return { ok: true, to, sid: sent.sid }
+    }
+  } catch (error) {
+    console.error(`Failed to send message to ${to}:`, error)
+    return { ok: false, to, error: error?.message || 'unknown error' }
+  }
+}
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback
+}
+
+function jsonResponse(data, corsHeaders, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+async function readJsonBody(request) {
+  try {
+    return await request.json()
+  } catch (error) {
+    return null
+  }
+}
+
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false
+  let mismatch = a.length ^ b.length
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1))
+  }
+  return mismatch === 0
+}
+
+function getRotationDb(env) {
+  const kv = env?.ROTATION_DB
+  if (!kv || typeof kv.get !== 'function') {
+    throw new Error('ROTATION_DB binding is not configured.')
+  }
+  return kv
+}
+
+/**
+ * Returns the Monday of the week containing the given instant, as a
+ * YYYY-MM-DD date in the given time zone.
+ */
+function getWeekKey(date, timeZone = 'UTC') {
+  const { dateKey, weekday } = localDateParts(date, timeZone)
+  return addDaysToKey(dateKey, -((weekday + 6) % 7))
+}
+
+function generateNumericCode(length) {
+  // Bytes of 250 and above are skipped so that every digit is equally likely.
+  let code = ''
+  while (code.length < length) {
+    for (const value of crypto.getRandomValues(new Uint8Array(length))) {
+      if (value < 250 && code.length < length) code += value % 10
+    }
+  }
+  return code
+}
+
+function formatDateTime(date, timeZone = 'UTC', language = DEFAULT_LANGUAGE) {
+  return date.toLocaleString(dateLocale(language), {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone,
+    timeZoneName: 'short',
+  })
+}
+
+function addWeeksToKey(weekKey, weeks) {
+  const date = new Date(`${weekKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + weeks * 7)
+  return date.toISOString().slice(0, 10)
+}
+
+function addDaysToKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().slice(0, 10)
+}
+
+/** ISO 8601 week of an instant's local date, e.g. 2026-W43. */
+function getIsoWeekKey(date, timeZone = 'UTC') {
+  const day = new Date(`${localDateParts(date, timeZone).dateKey}T00:00:00Z`)
+  // The ISO week belongs to the year that contains its Thursday.
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7))
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1)
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7)
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+// English keeps its US date order ("Nov 2"); the others use their own.
+function dateLocale(language) {
+  return language === DEFAULT_LANGUAGE ? 'en-US' : language
 }
 
-function formatDate(date) {
-  return date.toLocaleDateString('en-US', {
+function formatDate(date, language = DEFAULT_LANGUAGE) {
+  return date.toLocaleDateString(dateLocale(language), {
     month: 'short',
     day: 'numeric',
     timeZone: 'UTC',
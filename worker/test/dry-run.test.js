@@ -0,0 +1,118 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from './harness.js'
+
+const dryRun = (harness, body) =>
+  harness.json('/admin/dry-run', { method: 'POST', admin: true, body })
+
+test('a dry run predicts the texts the cron then sends, without sending', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const { status, body } = await dryRun(harness, { weeks: 3 })
+  assert.equal(status, 200)
+  assert.equal(harness.texts().length, 0)
+  assert.equal(harness.kv.peek('CURRENT_INDEX'), 0)
+  assert.equal(harness.kv.peek('DUTY_CONFIRMATION'), null)
+  assert.equal(harness.kv.peek('FAIRNESS_LEDGER'), null)
+
+  const steps = await harness.simulateWeeks(3)
+  body.weeks.forEach((week, turn) => {
+    assert.equal(week.weekOf, steps[turn].weekOf)
+    assert.equal(week.assignee, steps[turn].onDuty)
+    for (const message of week.messages) {
+      assert.deepEqual(message.channels, ['sms'])
+      assert.deepEqual(steps[turn].texts[message.name], [message.sms])
+    }
+  })
+  assert.equal(body.weeks[2].state.CURRENT_INDEX, 3)
+  assert.equal(harness.kv.peek('CURRENT_INDEX'), 3)
+
+  // This week has run now, so the next dry run starts a week later.
+  const later = await dryRun(harness, { weeks: 1 })
+  assert.equal(later.body.weeks[0].weekOf, '2026-11-09')
+  assert.equal(later.body.weeks[0].assignee, 'Alex')
+})
+
+test('a dry run can play out a hypothetical penalty', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const { body } = await dryRun(harness, {
+    weeks: 3,
+    state: {
+      CURRENT_INDEX: 0,
+      PENALTY_BOX: { offenderIndex: 2, weeksRemaining: 2, totalWeeks: 2 },
+    },
+  })
+
+  assert.deepEqual(body.replaced, ['CURRENT_INDEX', 'PENALTY_BOX'])
+  assert.deepEqual(
+    body.weeks.map((week) => [week.assignee, week.isPenalty]),
+    [
+      ['Casey', true],
+      ['Casey', true],
+      ['Dakota', false],
+    ]
+  )
+  const casey = body.weeks[0].messages.find(
+    (message) => message.name === 'Casey'
+  )
+  assert.match(casey.sms, /week 1 of 2 for your penalty/)
+  assert.equal(body.weeks[1].state.PENALTY_BOX.weeksRemaining, 0)
+  assert.deepEqual(body.weeks[2].state, {
+    CURRENT_INDEX: 3,
+    PENALTY_BOX: null,
+    PENALTY_QUEUE: [],
+  })
+  assert.equal(harness.kv.peek('PENALTY_BOX'), null)
+})
+
+test('a dry run rejects state it cannot rotate', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const unknownKey = await dryRun(harness, { state: { HISTORY_STATS: {} } })
+  assert.equal(unknownKey.status, 400)
+  assert.match(unknownKey.body.error, /^state can only replace TEAM_MEMBERS/)
+
+  const badIndex = await dryRun(harness, { state: { CURRENT_INDEX: 9 } })
+  assert.equal(badIndex.status, 400)
+  assert.deepEqual(
+    badIndex.body.problems.map((problem) => problem.key),
+    ['CURRENT_INDEX']
+  )
+
+  assert.equal((await dryRun(harness, { weeks: 0 })).status, 400)
+})
+
+test('a dry run settles a pending report at the run the cron would', async (t) => {
+  const harness = createHarness({
+    state: {
+      PENDING_REPORT: {
+        accusedIndex: 3,
+        accusedName: 'Dakota',
+        missedWeek: '2026-10-12',
+        reporters: ['Alex', 'Casey'],
+        createdAt: '2026-10-19T15:00:00Z',
+        disputeUntil: '2026-10-20T15:00:00Z',
+        disputedAt: null,
+      },
+    },
+  })
+  t.after(() => harness.restore())
+
+  const { body } = await dryRun(harness, { weeks: 3 })
+  assert.deepEqual(
+    body.weeks.map((week) => week.settledReport),
+    [null, { offender: 'Dakota', weeks: 3, queued: false }, null]
+  )
+  assert.ok(harness.kv.peek('PENDING_REPORT'))
+
+  const steps = await harness.simulateWeeks(3)
+  assert.deepEqual(
+    body.weeks.map((week) => [week.assignee, week.isPenalty]),
+    steps.map((step) => [step.onDuty, step.schedule.upcoming[0].isPenalty])
+  )
+  assert.equal(body.weeks[1].assignee, 'Dakota')
+})
@@ -0,0 +1,124 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from './harness.js'
+
+// Alex is two weeks behind, Casey a week and a half ahead.
+const UNEVEN_LEDGER = JSON.stringify({
+  members: {
+    Alex: { served: 0, share: 2, penaltyWeeks: 0, since: '2026-09-07' },
+    Bobby: { served: 1, share: 1, penaltyWeeks: 0, since: '2026-09-07' },
+    Casey: { served: 3, share: 1.5, penaltyWeeks: 0, since: '2026-09-07' },
+    Dakota: { served: 1, share: 0.5, penaltyWeeks: 0, since: '2026-09-07' },
+  },
+  weekOf: '2026-10-12',
+})
+
+const balances = (schedule) =>
+  schedule.fairness.members.map((member) => [member.name, member.balance])
+
+test('round-robin still tracks duties served on the ledger', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const steps = await harness.simulateWeeks(4)
+
+  const { fairness } = steps[3].schedule
+  assert.equal(fairness.mode, 'round-robin')
+  assert.deepEqual(
+    fairness.members.map((member) => [member.name, member.served]),
+    [
+      ['Alex', 1],
+      ['Bobby', 1],
+      ['Casey', 1],
+      ['Dakota', 1],
+    ]
+  )
+  assert.ok(fairness.members.every((member) => member.balance === 0))
+  assert.equal(fairness.members[1].since, '2026-10-19')
+})
+
+test('balanced mode gives each week to whoever is furthest behind', async (t) => {
+  const harness = createHarness({
+    state: { FAIRNESS_LEDGER: UNEVEN_LEDGER },
+  })
+  t.after(() => harness.restore())
+  const saved = await harness.json('/admin/rotations/default', {
+    method: 'PUT',
+    admin: true,
+    body: { mode: 'balanced' },
+  })
+  assert.equal(saved.body.rotation.mode, 'balanced')
+
+  const steps = await harness.simulateWeeks(4)
+
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Alex', 'Alex', 'Bobby', 'Alex']
+  )
+  // The forecast plays the ledger forward the same way the cron does.
+  assert.deepEqual(
+    steps[0].schedule.upcoming.slice(0, 3).map((slot) => slot.name),
+    ['Alex', 'Bobby', 'Alex']
+  )
+  assert.deepEqual(balances(steps[3].schedule), [
+    ['Alex', 0],
+    ['Bobby', 0],
+    ['Casey', 0.5],
+    ['Dakota', -0.5],
+  ])
+})
+
+test('roster changes keep the ledger level', async (t) => {
+  const harness = createHarness({
+    state: { FAIRNESS_LEDGER: UNEVEN_LEDGER },
+  })
+  t.after(() => harness.restore())
+
+  await harness.json('/admin/team', {
+    method: 'POST',
+    admin: true,
+    body: { name: 'Emerson', phone: '+10000000005' },
+  })
+  const removed = await harness.json('/admin/team/2', {
+    method: 'DELETE',
+    admin: true,
+  })
+  assert.equal(removed.status, 200)
+
+  // Emerson joins level; Casey's 1.5 weeks ahead are spread over the rest.
+  assert.deepEqual(balances(await harness.schedule()), [
+    ['Alex', -1.62],
+    ['Bobby', 0.38],
+    ['Dakota', 0.88],
+    ['Emerson', 0.38],
+  ])
+
+  const rejected = await harness.json('/admin/rotations/default', {
+    method: 'PUT',
+    admin: true,
+    body: { mode: 'random' },
+  })
+  assert.equal(rejected.status, 400)
+})
+
+test('renaming a member carries their ledger and history stats', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Casey
+
+  const renamed = await harness.json('/admin/team/1', {
+    method: 'PATCH',
+    admin: true,
+    body: { name: 'Robin' },
+  })
+  assert.equal(renamed.status, 200)
+
+  const { stats } = (await harness.json('/history')).body
+  assert.equal(stats.Bobby, undefined)
+  assert.equal(stats.Robin.duties, 1)
+  assert.equal(stats.Casey.duties, 1)
+  const robin = (await harness.schedule()).fairness.members.find(
+    (member) => member.name === 'Robin'
+  )
+  assert.equal(robin.served, 1)
+})
@@ -0,0 +1,318 @@
+// Test harness: runs the worker's real `scheduled` and `fetch` exports against
+// an in-memory ROTATION_DB, a fake Twilio endpoint and a controllable clock.
+
+import crypto from 'node:crypto'
+import worker from '../src/index.js'
+
+export const DEFAULT_TEAM = [
+  { name: 'Alex', phone: '+10000000001' },
+  { name: 'Bobby', phone: '+10000000002' },
+  { name: 'Casey', phone: '+10000000003' },
+  { name: 'Dakota', phone: '+10000000004' },
+]
+
+const TWILIO_AUTH_TOKEN = 'test-auth-token'
+const ADMIN_TOKEN = 'test-admin-token'
+const WORKER_ORIGIN = 'https://worker.test'
+const DAY_MS = 86400000
+
+// --- IN-MEMORY KV ---
+
+/**
+ * The subset of the Workers KV API the worker uses. Values are stored as
+ * strings, expirationTtl is honoured against the fake clock, and list() pages
+ * through keys in sorted order like the real namespace.
+ */
+export function createMemoryKv(initial = {}) {
+  const store = new Map()
+  const put = (key, value, options = {}) => {
+    store.set(key, {
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      expiresAt: options.expirationTtl
+        ? Date.now() + options.expirationTtl * 1000
+        : null,
+    })
+  }
+  const read = (key) => {
+    const entry = store.get(key)
+    if (!entry) return null
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key)
+      return null
+    }
+    return entry.value
+  }
+  for (const [key, value] of Object.entries(initial)) put(key, value)
+
+  return {
+    async get(key, type) {
+      const value = read(key)
+      if (value === null) return null
+      return type === 'json' ? JSON.parse(value) : value
+    },
+    async put(key, value, options) {
+      put(key, String(value), options)
+    },
+    async delete(key) {
+      store.delete(key)
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const names = [...store.keys()]
+        .filter((key) => key.startsWith(prefix) && read(key) !== null)
+        .sort()
+      const start = cursor ? Number(cursor) : 0
+      const end = start + limit
+      const complete = end >= names.length
+      return {
+        keys: names.slice(start, end).map((name) => ({ name })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(end),
+      }
+    },
+    /** Parsed value of a key, for assertions. */
+    peek(key) {
+      const value = read(key)
+      if (value === null) return null
+      try {
+        return JSON.parse(value)
+      } catch (error) {
+        return value
+      }
+    },
+    keys(prefix = '') {
+      return [...store.keys()].filter(
+        (key) => key.startsWith(prefix) && read(key) !== null
+      )
+    },
+  }
+}
+
+// --- FAKE CLOCK ---
+
+const RealDate = Date
+
+/**
+ * Replaces the global Date so `new Date()` and `Date.now()` read a clock the
+ * test moves by hand. Call restore() when the test is done.
+ */
+export function installClock(startIso) {
+  const clock = { now: RealDate.parse(startIso) }
+  class FakeDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now)
+      else super(...args)
+    }
+    static now() {
+      return clock.now
+    }
+  }
+  globalThis.Date = FakeDate
+  return {
+    set(iso) {
+      clock.now = RealDate.parse(iso)
+    },
+    advance({ days = 0, hours = 0, minutes = 0 }) {
+      clock.now += days * DAY_MS + hours * 3600000 + minutes * 60000
+    },
+    now() {
+      return new RealDate(clock.now)
+    },
+    restore() {
+      globalThis.Date = RealDate
+    },
+  }
+}
+
+// --- FAKE TWILIO ---
+
+/**
+ * Answers the worker's outbound fetch calls. Twilio message posts are
+ * recorded and get a fake sid; `failFor` lists numbers whose texts fail.
+ * Other hosts (email, Discord, Slack, push) are recorded and accepted; `raw`
+ * keeps a binary body as sent.
+ */
+export function installFakeTwilio() {
+  const realFetch = globalThis.fetch
+  const twilio = { messages: [], requests: [], failFor: new Set() }
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input)
+    const body = init.body ? String(init.body) : ''
+    twilio.requests.push({ url, body, raw: init.body })
+    if (!url.startsWith('https://api.twilio.com/')) {
+      return new Response('{}', { status: 200 })
+    }
+    const params = new URLSearchParams(body)
+    const to = params.get('To')
+    if (twilio.failFor.has(to)) {
+      return new Response(
+        JSON.stringify({ message: 'The number is unreachable.' }),
+        { status: 400 }
+      )
+    }
+    const sid = `SM${String(twilio.messages.length + 1).padStart(6, '0')}`
+    twilio.messages.push({
+      sid,
+      to,
+      from: params.get('From'),
+      body: params.get('Body'),
+    })
+    return new Response(JSON.stringify({ sid }), { status: 201 })
+  }
+  twilio.restore = () => {
+    globalThis.fetch = realFetch
+  }
+  return twilio
+}
+
+// --- HARNESS ---
+
+/**
+ * Wires the pieces together. `state` seeds KV keys (TEAM_MEMBERS defaults to
+ * the four-person team and CURRENT_INDEX to 0); `env` adds worker vars.
+ */
+export function createHarness({
+  start = '2026-10-19T16:00:00Z',
+  team = DEFAULT_TEAM,
+  state = {},
+  env = {},
+  quiet = true,
+} = {}) {
+  const clock = installClock(start)
+  const twilio = installFakeTwilio()
+  const kv = createMemoryKv({
+    TEAM_MEMBERS: team,
+    CURRENT_INDEX: '0',
+    ...state,
+  })
+  const workerEnv = {
+    ROTATION_DB: kv,
+    ADMIN_TOKEN,
+    TWILIO_ACCOUNT_SID: 'ACtest',
+    TWILIO_AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER: '+15550000000',
+    ...env,
+  }
+  const consoleMethods = ['log', 'info', 'warn', 'error']
+  const realConsole = Object.fromEntries(
+    consoleMethods.map((method) => [method, console[method]])
+  )
+  if (quiet) {
+    for (const method of consoleMethods) console[method] = () => {}
+  }
+
+  const memberName = (phone) =>
+    (kv.peek('TEAM_MEMBERS') || []).find((member) => member.phone === phone)
+      ?.name || phone
+
+  const harness = {
+    env: workerEnv,
+    kv,
+    clock,
+    twilio,
+
+    /** Texts sent so far, as { name, to, body }. */
+    texts() {
+      return twilio.messages.map((message) => ({
+        name: memberName(message.to),
+        to: message.to,
+        body: message.body,
+      }))
+    },
+
+    async fetch(
+      path,
+      { method = 'GET', body, admin = false, headers = {} } = {}
+    ) {
+      const init = { method, headers: { ...headers } }
+      if (admin) init.headers.Authorization = `Bearer ${ADMIN_TOKEN}`
+      if (body !== undefined) {
+        init.body = typeof body === 'string' ? body : JSON.stringify(body)
+      }
+      return worker.fetch(new Request(WORKER_ORIGIN + path, init), workerEnv)
+    },
+
+    async json(path, options) {
+      const response = await harness.fetch(path, options)
+      return { status: response.status, body: await response.json() }
+    },
+
+    async schedule(query = '') {
+      return (await harness.json(`/schedule${query}`)).body
+    },
+
+    /** Sends an inbound text signed like Twilio would; resolves to the reply. */
+    async sms(from, text, path = '/sms') {
+      const url = WORKER_ORIGIN + path
+      const params = { From: from, Body: text }
+      const payload =
+        url +
+        Object.keys(params)
+          .sort()
+          .map((key) => key + params[key])
+          .join('')
+      const signature = crypto
+        .createHmac('sha1', TWILIO_AUTH_TOKEN)
+        .update(payload)
+        .digest('base64')
+      const response = await worker.fetch(
+        new Request(url, {
+          method: 'POST',
+          headers: { 'X-Twilio-Signature': signature },
+          body: new URLSearchParams(params),
+        }),
+        workerEnv
+      )
+      const twiml = await response.text()
+      const match = twiml.match(/<Message>([\s\S]*)<\/Message>/)
+      return match ? decodeXml(match[1]) : ''
+    },
+
+    async runCron(cron = '0 16 * * 1') {
+      await worker.scheduled({ cron, scheduledTime: Date.now() }, workerEnv, {})
+    },
+
+    /**
+     * Runs the weekly cron once a week for `weeks` weeks, starting at the
+     * current clock time. Each step records who is on duty, what each person
+     * was texted by that run, and what /schedule returned afterwards.
+     * `beforeWeek(step)` runs just before each cron, for mid-run edits.
+     */
+    async simulateWeeks(weeks, { beforeWeek } = {}) {
+      const steps = []
+      for (let week = 0; week < weeks; week++) {
+        if (beforeWeek) await beforeWeek(week)
+        const sentBefore = twilio.messages.length
+        await harness.runCron()
+        const texts = {}
+        for (const message of harness.texts().slice(sentBefore)) {
+          ;(texts[message.name] ||= []).push(message.body)
+        }
+        const schedule = await harness.schedule()
+        steps.push({
+          weekOf: schedule.weekOf,
+          onDuty: schedule.onDuty,
+          texts,
+          schedule,
+        })
+        clock.advance({ days: 7 })
+      }
+      return steps
+    },
+
+    restore() {
+      clock.restore()
+      twilio.restore()
+      Object.assign(console, realConsole)
+    },
+  }
+  return harness
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
@@ -0,0 +1,379 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness, DEFAULT_TEAM } from './harness.js'
+
+const penaltyBox = (offenderIndex, weeksRemaining, totalWeeks = 3) =>
+  JSON.stringify({
+    id: 'pen-test',
+    offenderIndex,
+    weeksRemaining,
+    totalWeeks,
+    reason: 'Missed duty for the week of Oct 12',
+    missedWeek: '2026-10-12',
+    filedAt: '2026-10-14T12:00:00.000Z',
+  })
+
+test('a confirmed SMS report puts last week’s person on a three-week penalty', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  await harness.simulateWeeks(2) // Bobby, then Casey
+  harness.clock.set('2026-10-28T12:00:00Z')
+  assert.match(await harness.sms('+10000000001', 'REPORT'), /Bobby/)
+  await harness.sms('+10000000004', 'REPORT')
+  const pending = (await harness.schedule()).pendingReport
+  assert.equal(pending.accusedName, 'Bobby')
+  assert.equal(pending.confirmations, 2)
+
+  harness.clock.set('2026-11-02T16:00:00Z')
+  const steps = await harness.simulateWeeks(4)
+  assert.deepEqual(
+    harness.kv
+      .peek('ROTATION_RUN:2026-W45')
+      .settlements.map((entry) => entry.weeks),
+    [3]
+  )
+
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Bobby', 'Bobby', 'Bobby', 'Casey']
+  )
+  assert.deepEqual(
+    steps.slice(0, 3).map((step) => step.schedule.penaltyInfo.currentWeek),
+    [1, 2, 3]
+  )
+  assert.match(steps[0].texts.Bobby[0], /Penalty filed: Bobby missed/)
+  assert.match(steps[0].texts.Alex[0], /Reply UNDO within 15 minutes/)
+  assert.doesNotMatch(steps[0].texts.Bobby[0], /UNDO/)
+  assert.match(steps[0].texts.Bobby[1], /week 1 of 3 for your penalty/)
+  assert.deepEqual(
+    steps[0].schedule.upcoming.map((row) => [row.name, row.isPenalty]),
+    [
+      ['Bobby', true],
+      ['Bobby', true],
+      ['Casey', false],
+      ['Dakota', false],
+    ]
+  )
+  assert.equal(steps[3].schedule.penaltyInfo.isActive, undefined)
+  assert.deepEqual(harness.kv.peek('HISTORY_STATS').members.Bobby.penalties, 1)
+})
+
+test('the final penalty week is reported as such and the rotation resumes', async (t) => {
+  // Casey has served week 1 of 3; two runs remain.
+  const harness = createHarness({
+    state: { CURRENT_INDEX: '2', PENALTY_BOX: penaltyBox(2, 2) },
+  })
+  t.after(() => harness.restore())
+
+  const steps = await harness.simulateWeeks(3)
+
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Casey', 'Casey', 'Dakota']
+  )
+  const finalWeek = steps[1].schedule.penaltyInfo
+  assert.equal(finalWeek.isFinalWeek, true)
+  assert.equal(finalWeek.weeksRemainingAfterCurrent, 0)
+  assert.match(finalWeek.bannerText, /final penalty week \(3\/3\)/)
+  assert.equal(steps[1].schedule.upcoming[0].name, 'Dakota')
+  assert.equal(steps[1].schedule.upcoming[0].isPenalty, false)
+  assert.match(steps[1].texts.Casey[0], /week 3 of 3 for your penalty/)
+  assert.equal(harness.kv.peek('PENALTY_BOX'), null)
+})
+
+test('removing an earlier member keeps the penalty with its offender', async (t) => {
+  const harness = createHarness({
+    state: { CURRENT_INDEX: '2', PENALTY_BOX: penaltyBox(2, 2) },
+  })
+  t.after(() => harness.restore())
+
+  const removed = await harness.json('/admin/team/0', {
+    method: 'DELETE',
+    admin: true,
+  })
+  assert.equal(removed.status, 200)
+  assert.equal(harness.kv.peek('PENALTY_BOX').offenderIndex, 1)
+
+  const steps = await harness.simulateWeeks(4)
+
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Casey', 'Casey', 'Dakota', 'Bobby']
+  )
+  assert.equal(steps[0].schedule.penaltyInfo.offenderName, 'Casey')
+  assert.ok(steps.every((step) => !('Alex' in step.texts)))
+})
+
+test('a penalty filed during another waits its turn in the queue', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  await harness.simulateWeeks(2) // Bobby, then Casey
+  harness.clock.set('2026-10-28T12:00:00Z')
+  await harness.sms('+10000000001', 'REPORT')
+  await harness.sms('+10000000004', 'REPORT')
+  harness.clock.set('2026-11-02T16:00:00Z')
+  await harness.simulateWeeks(1) // Bobby's penalty starts
+
+  harness.clock.set('2026-11-04T12:00:00Z')
+  await harness.sms('+10000000001', 'REPORT')
+  await harness.sms('+10000000004', 'REPORT')
+  harness.clock.set('2026-11-09T16:00:00Z')
+  const steps = await harness.simulateWeeks(6)
+
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Bobby', 'Bobby', 'Casey', 'Casey', 'Casey', 'Dakota']
+  )
+  assert.deepEqual(
+    steps[0].schedule.penaltyQueue.map((entry) => [
+      entry.offenderName,
+      entry.startsWeekOf,
+    ]),
+    [['Casey', '2026-11-23']]
+  )
+  assert.match(steps[2].texts.Casey.at(-1), /week 1 of 3 for your penalty/)
+})
+
+test('filing a penalty keeps roster edits made while it was being filed', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Casey
+  harness.clock.set('2026-10-28T12:00:00Z')
+  await harness.sms('+10000000001', 'REPORT')
+  harness.clock.set('2026-10-29T13:00:00Z')
+
+  // Casey saves a preference after the vote read the roster.
+  const put = harness.kv.put
+  harness.kv.put = async (key, ...rest) => {
+    if (key.startsWith('PENALTY_UNDO:')) {
+      harness.kv.put = put
+      const team = harness.kv.peek('TEAM_MEMBERS')
+      team[2] = { ...team[2], language: 'es' }
+      await put('TEAM_MEMBERS', JSON.stringify(team))
+    }
+    return put(key, ...rest)
+  }
+  await harness.sms('+10000000004', 'REPORT')
+
+  const [, bobby, casey] = harness.kv.peek('TEAM_MEMBERS')
+  assert.equal(bobby.offenses.length, 1)
+  assert.equal(casey.language, 'es')
+})
+
+test('reversing a penalty removes only that penalty', async (t) => {
+  const undo = (penaltyId, offenderIndex, activatedAt, replacedIndex) =>
+    JSON.stringify({
+      penaltyId,
+      offenderIndex,
+      offenderName: DEFAULT_TEAM[offenderIndex].name,
+      reporters: ['Dakota'],
+      activatedAt,
+      weekOf: '2026-10-19',
+      replacedIndex,
+    })
+  const harness = createHarness({
+    state: {
+      CURRENT_INDEX: '1',
+      PENALTY_BOX: JSON.stringify({
+        id: 'first',
+        offenderIndex: 1,
+        weeksRemaining: 2,
+        totalWeeks: 3,
+      }),
+      PENALTY_QUEUE: JSON.stringify([
+        { id: 'second', offenderIndex: 2, weeksRemaining: 3, totalWeeks: 3 },
+      ]),
+      'PENALTY_UNDO:first': undo('first', 1, '2026-10-19T10:00:00.000Z', 0),
+      'PENALTY_UNDO:second': undo(
+        'second',
+        2,
+        '2026-10-19T11:00:00.000Z',
+        null
+      ),
+    },
+  })
+  t.after(() => harness.restore())
+  const reverse = (body) =>
+    harness.json('/admin/report/undo', { method: 'POST', admin: true, body })
+
+  // The latest activation goes first, and the penalty ahead of it stays.
+  assert.equal((await reverse({})).status, 200)
+  assert.equal(harness.kv.peek('PENALTY_QUEUE'), null)
+  assert.equal(harness.kv.peek('PENALTY_BOX').id, 'first')
+  assert.equal(harness.kv.peek('CURRENT_INDEX'), 1)
+
+  // The first one took over Alex's week, so Alex gets it back.
+  assert.equal((await reverse({ penaltyId: 'first' })).status, 200)
+  assert.equal(harness.kv.peek('PENALTY_BOX'), null)
+  assert.equal(harness.kv.peek('CURRENT_INDEX'), 0)
+  assert.equal((await reverse({})).status, 404)
+})
+
+test('a queued penalty waits for the rotation after the one ahead is reversed', async (t) => {
+  const harness = createHarness({
+    state: {
+      CURRENT_INDEX: '1',
+      PENALTY_BOX: JSON.stringify({
+        id: 'first',
+        offenderIndex: 1,
+        weeksRemaining: 2,
+        totalWeeks: 3,
+      }),
+      PENALTY_QUEUE: JSON.stringify([
+        { id: 'second', offenderIndex: 0, weeksRemaining: 3, totalWeeks: 3 },
+      ]),
+      'PENALTY_UNDO:first': JSON.stringify({
+        penaltyId: 'first',
+        offenderIndex: 1,
+        offenderName: 'Bobby',
+        reporters: ['Dakota'],
+        activatedAt: '2026-10-19T10:00:00.000Z',
+        weekOf: '2026-10-19',
+        replacedIndex: 0,
+      }),
+    },
+  })
+  t.after(() => harness.restore())
+  harness.clock.set('2026-10-20T12:00:00Z')
+
+  const reversed = await harness.json('/admin/report/undo', {
+    method: 'POST',
+    admin: true,
+    body: { penaltyId: 'first' },
+  })
+  assert.equal(reversed.status, 200)
+
+  // Alex gets their own week back; their penalty starts after it.
+  const schedule = await harness.schedule()
+  assert.equal(schedule.onDuty, 'Alex')
+  assert.equal(schedule.penaltyInfo.offenderName, undefined)
+  assert.deepEqual(
+    schedule.upcoming.slice(0, 4).map((slot) => [slot.name, slot.isPenalty]),
+    [
+      ['Alex', true],
+      ['Alex', true],
+      ['Alex', true],
+      ['Bobby', false],
+    ]
+  )
+  harness.clock.set('2026-10-26T16:00:00Z')
+  const steps = await harness.simulateWeeks(4)
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Alex', 'Alex', 'Alex', 'Bobby']
+  )
+  assert.match(steps[2].texts.Alex.at(-1), /week 3 of 3 for your penalty/)
+})
+
+test('the undo window runs from the penalty starting, not the report', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Casey
+  harness.clock.set('2026-10-28T12:00:00Z')
+  await harness.sms('+10000000001', 'REPORT')
+  await harness.sms('+10000000004', 'REPORT')
+
+  harness.clock.set('2026-11-02T16:00:00Z')
+  await harness.runCron()
+  harness.clock.advance({ minutes: 20 })
+  assert.match(
+    await harness.sms('+10000000004', 'UNDO'),
+    /only be undone in the 15 minutes after it starts/
+  )
+  harness.clock.set('2026-11-02T16:10:00Z')
+  assert.match(await harness.sms('+10000000001', 'UNDO'), /was reversed/)
+  assert.equal(harness.kv.peek('PENALTY_BOX'), null)
+})
+
+test('a web report that cannot count is answered with a 409', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Casey
+
+  const report = async (phone) => {
+    await harness.json('/report/code', { method: 'POST', body: { phone } })
+    const code = harness
+      .texts()
+      .at(-1)
+      .body.match(/code is (\d{6})/)[1]
+    return harness.json('/report', { method: 'POST', body: { phone, code } })
+  }
+
+  const self = await report('+10000000002')
+  assert.equal(self.status, 409)
+  assert.equal(self.body.undoToken, undefined)
+
+  const first = await report('+10000000001')
+  assert.equal(first.status, 200)
+  assert.ok(first.body.undoToken)
+
+  const repeat = await report('+10000000001')
+  assert.equal(repeat.status, 409)
+  assert.match(repeat.body.error, /Bobby/)
+})
+
+test('report codes neither reveal the roster nor reset after too many guesses', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  const requestCode = (phone) =>
+    harness.json('/report/code', { method: 'POST', body: { phone } })
+
+  const stranger = await requestCode('+19999999999')
+  const member = await requestCode('+10000000001')
+  assert.deepEqual(stranger, member)
+  assert.equal(harness.texts().length, 1)
+  const code = harness.texts()[0].body.match(/code is (\d{6})/)[1]
+  const wrong = code === '000000' ? '111111' : '000000'
+
+  const confirm = (guess) =>
+    harness.json('/report/dispute', {
+      method: 'POST',
+      body: { phone: '+10000000001', code: guess },
+    })
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.equal((await confirm(wrong)).status, 403)
+  }
+  assert.equal((await confirm(code)).status, 403)
+
+  harness.clock.advance({ minutes: 2 })
+  assert.deepEqual(await requestCode('+10000000001'), member)
+  assert.equal(harness.texts().length, 1)
+
+  harness.clock.advance({ minutes: 9 })
+  await requestCode('+10000000001')
+  assert.equal(harness.texts().length, 2)
+})
+
+test('a disputed report lapses a week after the dispute', async (t) => {
+  const harness = createHarness({ env: { ESCALATION_CRON: '0 * * * *' } })
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Casey
+  harness.clock.set('2026-10-28T12:00:00Z')
+  await harness.sms('+10000000001', 'REPORT')
+  await harness.sms('+10000000002', 'DISPUTE')
+  assert.equal((await harness.schedule()).pendingReport.disputed, true)
+
+  harness.clock.set('2026-11-04T11:00:00Z')
+  await harness.runCron('0 * * * *')
+  assert.equal((await harness.schedule()).pendingReport.disputed, true)
+  harness.clock.set('2026-11-04T13:00:00Z')
+  await harness.runCron('0 * * * *')
+  assert.equal((await harness.schedule()).pendingReport, null)
+})
+
+test('a team of two needs only the other member to report', async (t) => {
+  const harness = createHarness({ team: DEFAULT_TEAM.slice(0, 2) })
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Alex
+  harness.clock.set('2026-11-04T12:00:00Z')
+
+  assert.match(
+    await harness.sms('+10000000001', 'REPORT'),
+    /starts after the dispute window closes/
+  )
+  const pending = (await harness.schedule()).pendingReport
+  assert.equal(pending.accusedName, 'Bobby')
+  assert.equal(pending.confirmationsRequired, 1)
+})
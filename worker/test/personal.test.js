@@ -0,0 +1,117 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from './harness.js'
+
+/** Texts LINK from `phone` and returns the token in the reply's link. */
+const requestLink = async (harness, phone) => {
+  const reply = await harness.sms(phone, 'LINK')
+  return new URL(reply.match(/https:\/\/\S+/)[0]).searchParams.get('me')
+}
+
+test('LINK texts a private page that shows only that member', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron() // Bobby now, then Casey, Dakota, Alex
+
+  const token = await requestLink(harness, '+10000000003')
+  assert.equal(await requestLink(harness, '+10000000003'), token)
+
+  const { status, body } = await harness.json(`/me/${token}`)
+  assert.equal(status, 200)
+  assert.equal(body.name, 'Casey')
+  assert.equal(body.onDuty, 'Bobby')
+  assert.equal(body.isOnDuty, false)
+  assert.deepEqual(
+    body.nextTurns.map((slot) => slot.weekOf),
+    ['2026-10-26', '2026-11-23', '2026-12-21', '2027-01-18']
+  )
+  assert.deepEqual(body.preferences.channels, ['sms'])
+  assert.equal(body.penalty.current, null)
+
+  const schedule = await harness.schedule()
+  assert.deepEqual(
+    schedule.team.map((member) => Object.keys(member)),
+    [['name'], ['name'], ['name'], ['name']]
+  )
+  assert.equal((await harness.json('/me/notatoken')).status, 404)
+})
+
+test('the link confirms, marks away and sets preferences without a code', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron()
+  const token = await requestLink(harness, '+10000000002')
+  harness.clock.advance({ hours: 2 })
+
+  const confirmed = await harness.json(`/me/${token}/confirm`, {
+    method: 'POST',
+  })
+  assert.equal(confirmed.status, 200)
+  const { confirmation } = await harness.schedule()
+  assert.equal(confirmation.status, 'done')
+  assert.equal(confirmation.via, 'link')
+
+  const away = await harness.json(`/me/${token}/away`, {
+    method: 'POST',
+    body: { start: '2026-11-02', end: '2026-11-08' },
+  })
+  assert.equal(away.status, 200)
+  const preferences = await harness.json(`/me/${token}/preferences`, {
+    method: 'POST',
+    body: { notifyWhileAway: false },
+  })
+  assert.equal(preferences.status, 200)
+  const rejected = await harness.json(`/me/${token}/preferences`, {
+    method: 'POST',
+    body: { channels: ['pigeon'] },
+  })
+  assert.equal(rejected.status, 400)
+
+  const { body } = await harness.json(`/me/${token}`)
+  assert.deepEqual(body.away.ranges, [
+    { start: '2026-11-02', end: '2026-11-08' },
+  ])
+  assert.equal(body.preferences.notifyWhileAway, false)
+  assert.equal(body.confirmation.status, 'done')
+  assert.deepEqual(
+    body.history.map((event) => event.type),
+    ['completion', 'rotation']
+  )
+})
+
+test('a new admin-issued link revokes the old one', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  const token = await requestLink(harness, '+10000000001')
+
+  const issued = await harness.json('/admin/team/0/dashboard-token', {
+    method: 'POST',
+    admin: true,
+  })
+  const fresh = new URL(issued.body.dashboardUrl).searchParams.get('me')
+
+  assert.notEqual(fresh, token)
+  assert.equal((await harness.json(`/me/${token}`)).status, 404)
+  assert.equal((await harness.json(`/me/${fresh}`)).body.name, 'Alex')
+})
+
+test("a member's calendar feed has UIDs of its own", async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron()
+  const reply = await harness.sms('+10000000003', 'CALENDAR')
+  const feedPath = new URL(reply.match(/https:\/\/\S+\.ics/)[0]).pathname
+
+  const uids = async (path) =>
+    (await (await harness.fetch(path)).text()).match(/^UID:.*$/gm)
+  const house = await uids('/calendar.ics')
+  const casey = await uids(feedPath)
+
+  assert.equal(house[0], 'UID:trash-duty-2026-10-19@worker.test')
+  assert.match(
+    casey[0],
+    /^UID:trash-duty-[0-9a-f]{12}-2026-10-26@worker\.test$/
+  )
+  assert.equal(casey.filter((uid) => house.includes(uid)).length, 0)
+  assert.deepEqual(await uids(feedPath), casey)
+})
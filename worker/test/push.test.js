@@ -0,0 +1,196 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from './harness.js'
+
+const { subtle } = globalThis.crypto
+
+const SUBSCRIPTION = {
+  endpoint: 'https://push.example.test/send/abc123',
+  keys: { p256dh: 'BPublicKey', auth: 'authSecret' },
+}
+
+/** Asks for a code for `phone` and reads it back from the fake Twilio. */
+const requestCode = async (harness, phone) => {
+  await harness.json('/report/code', { method: 'POST', body: { phone } })
+  return harness
+    .texts()
+    .at(-1)
+    .body.match(/code is (\d{6})/)[1]
+}
+
+test('/push/key is null until VAPID is configured', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  assert.deepEqual((await harness.json('/push/key')).body, {
+    publicKey: null,
+  })
+  const refused = await harness.json('/push/subscribe', {
+    method: 'POST',
+    body: { phone: '+10000000001', code: '000000', subscription: SUBSCRIPTION },
+  })
+  assert.equal(refused.status, 503)
+})
+
+test('a verified member subscribes a device and can turn it off', async (t) => {
+  const harness = createHarness({ env: { VAPID_PUBLIC_KEY: 'BVapidKey' } })
+  t.after(() => harness.restore())
+  assert.equal((await harness.json('/push/key')).body.publicKey, 'BVapidKey')
+
+  const rejected = await harness.json('/push/subscribe', {
+    method: 'POST',
+    body: { phone: '+10000000002', code: '123456', subscription: SUBSCRIPTION },
+  })
+  assert.equal(rejected.status, 403)
+
+  const code = await requestCode(harness, '+10000000002')
+  const subscribed = await harness.json('/push/subscribe', {
+    method: 'POST',
+    body: { phone: '+10000000002', code, subscription: SUBSCRIPTION },
+  })
+  assert.equal(subscribed.status, 200)
+  assert.equal(subscribed.body.name, 'Bobby')
+  let bobby = harness.kv.peek('TEAM_MEMBERS')[1]
+  assert.deepEqual(bobby.channels, ['sms', 'push'])
+  assert.deepEqual(bobby.pushSubscription, SUBSCRIPTION)
+
+  // Knowing the endpoint is not enough to turn someone's reminders off.
+  const unverified = await harness.json('/push/unsubscribe', {
+    method: 'POST',
+    body: { endpoint: SUBSCRIPTION.endpoint },
+  })
+  assert.equal(unverified.status, 403)
+  assert.deepEqual(
+    harness.kv.peek('TEAM_MEMBERS')[1].pushSubscription,
+    SUBSCRIPTION
+  )
+
+  const off = await harness.json('/push/unsubscribe', {
+    method: 'POST',
+    body: {
+      phone: '+10000000002',
+      code: await requestCode(harness, '+10000000002'),
+      endpoint: SUBSCRIPTION.endpoint,
+    },
+  })
+  assert.equal(off.body.message, 'Reminders to this device are off.')
+  bobby = harness.kv.peek('TEAM_MEMBERS')[1]
+  assert.equal(bobby.pushSubscription, undefined)
+  assert.deepEqual(bobby.channels, ['sms'])
+
+  const again = await harness.json('/push/unsubscribe', {
+    method: 'POST',
+    body: {
+      phone: '+10000000002',
+      code: await requestCode(harness, '+10000000002'),
+      endpoint: SUBSCRIPTION.endpoint,
+    },
+  })
+  assert.equal(again.body.message, 'This device was not getting reminders.')
+})
+
+const toBase64Url = (bytes) => Buffer.from(bytes).toString('base64url')
+
+const hkdf = async (salt, secret, info, length) =>
+  new Uint8Array(
+    await subtle.deriveBits(
+      { name: 'HKDF', hash: 'SHA-256', salt, info },
+      await subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']),
+      length * 8
+    )
+  )
+
+/** Decrypts an aes128gcm push body the way the browser would (RFC 8291). */
+const decryptPush = async (body, browserKeys, publicKey, auth) => {
+  const salt = body.slice(0, 16)
+  const serverPublic = body.slice(21, 21 + body[20])
+  const shared = new Uint8Array(
+    await subtle.deriveBits(
+      {
+        name: 'ECDH',
+        public: await subtle.importKey(
+          'raw',
+          serverPublic,
+          { name: 'ECDH', namedCurve: 'P-256' },
+          false,
+          []
+        ),
+      },
+      browserKeys.privateKey,
+      256
+    )
+  )
+  const info = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    publicKey,
+    serverPublic,
+  ])
+  const inputKey = await hkdf(auth, shared, info, 32)
+  const key = await hkdf(
+    salt,
+    inputKey,
+    Buffer.from('Content-Encoding: aes128gcm\0'),
+    16
+  )
+  const nonce = await hkdf(
+    salt,
+    inputKey,
+    Buffer.from('Content-Encoding: nonce\0'),
+    12
+  )
+  const plain = new Uint8Array(
+    await subtle.decrypt(
+      { name: 'AES-GCM', iv: nonce },
+      await subtle.importKey('raw', key, 'AES-GCM', false, ['decrypt']),
+      body.slice(21 + body[20])
+    )
+  )
+  return JSON.parse(Buffer.from(plain.slice(0, -1)).toString())
+}
+
+test('each push carries its message, encrypted for the browser', async (t) => {
+  const vapid = await subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['sign']
+  )
+  const browserKeys = await subtle.generateKey(
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    ['deriveBits']
+  )
+  const publicKey = new Uint8Array(
+    await subtle.exportKey('raw', browserKeys.publicKey)
+  )
+  const auth = globalThis.crypto.getRandomValues(new Uint8Array(16))
+  const harness = createHarness({
+    env: {
+      VAPID_PUBLIC_KEY: toBase64Url(
+        await subtle.exportKey('raw', vapid.publicKey)
+      ),
+      VAPID_PRIVATE_JWK: JSON.stringify(
+        await subtle.exportKey('jwk', vapid.privateKey)
+      ),
+      VAPID_SUBJECT: 'mailto:house@example.test',
+    },
+  })
+  t.after(() => harness.restore())
+
+  const code = await requestCode(harness, '+10000000002')
+  const subscription = {
+    endpoint: SUBSCRIPTION.endpoint,
+    keys: { p256dh: toBase64Url(publicKey), auth: toBase64Url(auth) },
+  }
+  await harness.json('/push/subscribe', {
+    method: 'POST',
+    body: { phone: '+10000000002', code, subscription },
+  })
+  await harness.runCron() // Bobby is on duty
+
+  const push = harness.twilio.requests.find(
+    (request) => request.url === SUBSCRIPTION.endpoint
+  )
+  const message = await decryptPush(push.raw, browserKeys, publicKey, auth)
+  assert.match(message.title, /Trash Duty/)
+  assert.match(message.body, /^Bobby, /)
+})
@@ -0,0 +1,173 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness, DEFAULT_TEAM } from './harness.js'
+
+test('the weekly cron walks the rotation and texts everyone', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const steps = await harness.simulateWeeks(5)
+
+  assert.deepEqual(
+    steps.map((step) => [step.weekOf, step.onDuty]),
+    [
+      ['2026-10-19', 'Bobby'],
+      ['2026-10-26', 'Casey'],
+      ['2026-11-02', 'Dakota'],
+      ['2026-11-09', 'Alex'],
+      ['2026-11-16', 'Bobby'],
+    ]
+  )
+  for (const step of steps) {
+    // One text per member per run, and only the person on duty is told so.
+    assert.deepEqual(
+      Object.keys(step.texts).sort(),
+      DEFAULT_TEAM.map((member) => member.name).sort()
+    )
+    for (const [name, bodies] of Object.entries(step.texts)) {
+      assert.equal(bodies.length, 1)
+      assert.equal(
+        bodies[0].includes('you are on Trash Duty this week'),
+        name === step.onDuty
+      )
+      assert.match(bodies[0], new RegExp(`This Week: ${step.onDuty}\\b`))
+    }
+    assert.equal(step.schedule.confirmation.status, 'pending')
+  }
+
+  // Each week's forecast names the people the later runs put on duty.
+  for (let week = 0; week < steps.length - 1; week++) {
+    assert.equal(steps[week].schedule.upcoming[0].name, steps[week + 1].onDuty)
+    assert.equal(steps[week + 1].schedule.lastWeek, steps[week].onDuty)
+  }
+})
+
+test('a second cron in the same week is a no-op', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  await harness.runCron()
+  const sent = harness.texts().length
+  harness.clock.advance({ hours: 6 })
+  await harness.runCron()
+
+  assert.equal(harness.kv.peek('CURRENT_INDEX'), 1)
+  assert.equal(harness.texts().length, sent)
+  assert.equal(harness.kv.peek('ROTATION_RUN:2026-W43').status, 'sent')
+})
+
+test('a run that stopped before its writes is planned again if the state moved', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron() // Bobby
+  harness.clock.advance({ days: 7 })
+
+  // The first write fails, leaving this week's run planned but not applied.
+  const put = harness.kv.put
+  harness.kv.put = async (key, ...rest) => {
+    if (key !== 'CURRENT_INDEX') return put(key, ...rest)
+    harness.kv.put = put
+    throw new Error('KV unavailable')
+  }
+  await harness.runCron()
+  assert.equal(harness.kv.peek('ROTATION_RUN:2026-W44').status, 'planned')
+
+  // A penalty activates in the meantime, as a confirmed report would.
+  await put('CURRENT_INDEX', '3')
+  await put(
+    'PENALTY_BOX',
+    JSON.stringify({
+      id: 'p1',
+      offenderIndex: 3,
+      weeksRemaining: 2,
+      totalWeeks: 3,
+    })
+  )
+  await harness.runCron()
+
+  const run = harness.kv.peek('ROTATION_RUN:2026-W44')
+  assert.equal(run.status, 'sent')
+  assert.equal(run.plan.assignee, 'Dakota')
+  assert.equal(harness.kv.peek('CURRENT_INDEX'), 3)
+  assert.equal(harness.kv.peek('PENALTY_BOX').weeksRemaining, 1)
+})
+
+test('an away member is skipped and makes the week up on return', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const team = harness.kv.peek('TEAM_MEMBERS')
+  team[2].away = [{ start: '2026-10-26', end: '2026-11-01' }]
+  await harness.kv.put('TEAM_MEMBERS', JSON.stringify(team))
+
+  const steps = await harness.simulateWeeks(3)
+
+  assert.deepEqual(
+    steps.map((step) => step.onDuty),
+    ['Bobby', 'Dakota', 'Casey']
+  )
+  assert.deepEqual(
+    steps[0].schedule.upcoming.slice(0, 3).map((row) => row.name),
+    ['Dakota', 'Casey', 'Alex']
+  )
+  assert.equal(steps[0].schedule.upcoming[0].away[0], 'Casey')
+  assert.equal(steps[0].schedule.upcoming[1].isMakeup, true)
+})
+
+test('a failed text is queued and retried on a later tick', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  harness.twilio.failFor.add('+10000000003')
+  harness.twilio.failFor.add('+10000000004')
+  await harness.runCron()
+  assert.equal(
+    harness.texts().filter((text) => text.name === 'Casey').length,
+    0
+  )
+  // Both failures from the same fan-out make it onto the queue.
+  assert.equal(harness.kv.peek('DELIVERY_RETRY_QUEUE').length, 2)
+
+  harness.twilio.failFor.clear()
+  harness.clock.advance({ minutes: 20 })
+  await harness.runCron()
+
+  const casey = harness.texts().filter((text) => text.name === 'Casey')
+  assert.equal(casey.length, 1)
+  assert.match(casey[0].body, /next Trash Duty is in 1 week/)
+  assert.equal(
+    harness.texts().filter((text) => text.name === 'Dakota').length,
+    1
+  )
+  assert.deepEqual(harness.kv.peek('DELIVERY_RETRY_QUEUE') || [], [])
+})
+
+test('a rotation cadence the clock cannot run on is refused', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  const save = (body) =>
+    harness.json('/admin/rotations/kitchen', {
+      method: 'PUT',
+      admin: true,
+      body,
+    })
+
+  for (const cadence of [
+    { type: 'pickup-days' },
+    { type: 'pickup-days', pickupDays: [] },
+    { type: 'pickup-days', pickupDays: [7] },
+    { type: 'monthly' },
+  ]) {
+    assert.equal((await save({ cadence })).status, 400)
+  }
+  assert.equal((await save({ timezone: 'Mars/Olympus' })).status, 400)
+  assert.equal(harness.kv.peek('ROTATIONS'), null)
+
+  const saved = await save({
+    cadence: { type: 'pickup-days', pickupDays: [2] },
+  })
+  assert.equal(saved.status, 200)
+  const emptied = await save({ cadence: { pickupDays: [] } })
+  assert.equal(emptied.status, 400)
+  assert.deepEqual(harness.kv.peek('ROTATIONS').kitchen.cadence.pickupDays, [2])
+})
@@ -0,0 +1,157 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from './harness.js'
+
+test('unsigned webhooks are rejected', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const response = await harness.fetch('/sms', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      From: '+10000000001',
+      Body: 'DONE',
+    }).toString(),
+  })
+  assert.equal(response.status, 403)
+})
+
+test('webhook bodies that are not forms are rejected with a 400', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const response = await harness.fetch('/sms', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"From":',
+  })
+  assert.equal(response.status, 400)
+
+  const callback = await harness.fetch('/sms/status?delivery=x', {
+    method: 'POST',
+    body: 'not a form',
+  })
+  assert.equal(callback.status, 400)
+})
+
+test('DONE confirms the week only for the person on duty', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron() // Bobby is on duty
+
+  assert.match(await harness.sms('+10000000001', 'done'), /Bobby/)
+  assert.equal((await harness.schedule()).confirmation.status, 'pending')
+
+  await harness.sms('+10000000002', 'DONE')
+  const { confirmation } = await harness.schedule()
+  assert.equal(confirmation.status, 'done')
+  assert.equal(confirmation.name, 'Bobby')
+  assert.equal(confirmation.via, 'sms')
+})
+
+test('/confirm from the dashboard needs a texted code', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron()
+
+  const confirm = (body) => harness.json('/confirm', { method: 'POST', body })
+  const unverified = await confirm({ phone: '+10000000002' })
+  assert.equal(unverified.status, 403)
+  assert.equal((await harness.schedule()).confirmation.status, 'pending')
+
+  await harness.json('/report/code', {
+    method: 'POST',
+    body: { phone: '+10000000002' },
+  })
+  const code = harness
+    .texts()
+    .at(-1)
+    .body.match(/code is (\d{6})/)[1]
+  const confirmed = await confirm({ phone: '+10000000002', code })
+  assert.equal(confirmed.status, 200)
+  assert.equal((await harness.schedule()).confirmation.via, 'web')
+})
+
+test('STATUS and HELP answer from the same forecast as /schedule', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron()
+
+  assert.match(await harness.sms('+10000000002', 'status'), /this week/)
+  assert.match(
+    await harness.sms('+10000000004', 'STATUS'),
+    /in 2 weeks \(week of Nov 2\)/
+  )
+  assert.match(await harness.sms('+10000000001', 'help'), /STATUS - /)
+  assert.match(
+    await harness.sms('+19999999999', 'STATUS'),
+    /isn't on the Trash Duty roster/
+  )
+})
+
+test('SWAP and ACCEPT trade turns in the forecast and the next run', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron() // Bobby now, then Casey, Dakota, Alex
+
+  await harness.sms('+10000000003', 'SWAP Dakota')
+  const offer = harness.texts().at(-1)
+  assert.equal(offer.name, 'Dakota')
+  assert.match(await harness.sms('+10000000004', 'ACCEPT'), /Swap agreed/)
+
+  const { upcoming } = await harness.schedule()
+  assert.deepEqual(
+    upcoming.slice(0, 2).map((row) => row.name),
+    ['Dakota', 'Casey']
+  )
+  harness.clock.advance({ days: 7 })
+  const [step] = await harness.simulateWeeks(1)
+  assert.equal(step.onDuty, 'Dakota')
+})
+
+test('a swap offer that fails to send is retried like other notices', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron() // Bobby now, then Casey, Dakota, Alex
+
+  harness.twilio.failFor.add('+10000000004')
+  await harness.sms('+10000000003', 'SWAP Dakota')
+  const [queued] = harness.kv.peek('DELIVERY_RETRY_QUEUE')
+  assert.equal(harness.kv.peek(`DELIVERY:${queued}`).kind, 'swap')
+
+  harness.twilio.failFor.clear()
+  harness.clock.advance({ minutes: 20 })
+  await harness.runCron()
+  assert.match(harness.texts().at(-1).body, /Casey wants to swap/)
+  assert.equal(harness.texts().at(-1).name, 'Dakota')
+})
+
+test('a swap offer lapses once its week has started', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.runCron() // Bobby now, then Casey, Dakota, Alex
+
+  await harness.sms('+10000000003', 'SWAP Dakota')
+  assert.equal((await harness.schedule()).swaps.pending.length, 1)
+
+  harness.clock.advance({ days: 8 }) // into Casey's week, unanswered
+  assert.deepEqual((await harness.schedule()).swaps.pending, [])
+  assert.equal(
+    await harness.sms('+10000000004', 'ACCEPT'),
+    'You have no pending swap offers.'
+  )
+})
+
+test('AWAY only takes dates that exist', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  for (const range of ['2026-13-45 2026-12-01', '2026-11-02 2026-02-30']) {
+    assert.match(
+      await harness.sms('+10000000003', `AWAY ${range}`),
+      /^Use real dates like 2026-11-02/
+    )
+  }
+  assert.equal(harness.kv.peek('TEAM_MEMBERS')[2].away, undefined)
+})
@@ -0,0 +1,159 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness } from './harness.js'
+
+const LOOSE_TEAM = [
+  { name: ' Alex ', phone: '+1 (000) 000-0001' },
+  { name: 'Bobby', phone: '0044 7000 000002' },
+  { name: 'Casey', phone: '000-000-0003' },
+]
+
+test('/health reports problems in the stored state', async (t) => {
+  const harness = createHarness({
+    team: LOOSE_TEAM,
+    state: {
+      CURRENT_INDEX: '7',
+      PENALTY_BOX: JSON.stringify({ offenderIndex: 5, weeksRemaining: 2 }),
+    },
+  })
+  t.after(() => harness.restore())
+
+  const { status, body } = await harness.json('/health')
+
+  assert.equal(status, 503)
+  assert.equal(body.ok, false)
+  const [rotation] = body.rotations
+  assert.equal(rotation.id, 'default')
+  assert.equal(rotation.version, 0)
+  assert.equal(rotation.migrationPending, true)
+  assert.deepEqual(
+    rotation.problems.map((problem) => problem.key),
+    [
+      'TEAM_MEMBERS',
+      'TEAM_MEMBERS',
+      'TEAM_MEMBERS',
+      'CURRENT_INDEX',
+      'PENALTY_BOX',
+    ]
+  )
+  assert.match(rotation.problems[2].message, /^Casey's phone is not an E\.164/)
+})
+
+test('the cron migrates loose keys before it rotates', async (t) => {
+  const harness = createHarness({
+    team: LOOSE_TEAM,
+    state: {
+      CURRENT_INDEX: '7',
+      PENALTY_BOX: JSON.stringify({ offenderIndex: 1, weeksRemaining: 2 }),
+      PENALTY_QUEUE: JSON.stringify([
+        { offenderIndex: 9, weeksRemaining: 3 },
+        { offenderIndex: 0, weeksRemaining: 3, id: 'kept' },
+      ]),
+      PENALTY_UNDO: JSON.stringify({
+        penaltyId: 'kept',
+        offenderIndex: 0,
+        offenderName: 'Alex',
+        reporters: ['Bobby'],
+        activatedAt: '2026-10-14T12:00:00.000Z',
+        weekOf: '2026-10-12',
+        snapshot: { currentIndex: '2', penaltyBox: null, penaltyQueue: [] },
+      }),
+    },
+  })
+  t.after(() => harness.restore())
+
+  await harness.runCron()
+
+  const team = harness.kv.peek('TEAM_MEMBERS')
+  assert.deepEqual(
+    team.map((member) => [member.name, member.phone]),
+    [
+      ['Alex', '+10000000001'],
+      ['Bobby', '+447000000002'],
+      ['Casey', '000-000-0003'],
+    ]
+  )
+  assert.equal(harness.kv.peek('STATE_SCHEMA').version, 2)
+  assert.equal(harness.kv.peek('PENALTY_UNDO'), null)
+  const undo = harness.kv.peek('PENALTY_UNDO:kept')
+  assert.equal(undo.replacedIndex, 2)
+  assert.equal(undo.snapshot, undefined)
+  const box = harness.kv.peek('PENALTY_BOX')
+  assert.equal(box.totalWeeks, 3)
+  assert.ok(box.id)
+  assert.deepEqual(
+    harness.kv.peek('PENALTY_QUEUE').map((entry) => entry.id),
+    ['kept']
+  )
+  assert.equal((await harness.schedule()).onDuty, 'Bobby')
+
+  // Casey's number still needs a country code, which only a person can add.
+  const health = await harness.json('/health')
+  assert.equal(health.status, 503)
+  assert.deepEqual(
+    health.body.rotations[0].problems.map((problem) => problem.message),
+    ["Casey's phone is not an E.164 number such as +15551234567."]
+  )
+
+  const fixed = await harness.json('/admin/team/2', {
+    method: 'PATCH',
+    admin: true,
+    body: { phone: '+10000000003' },
+  })
+  assert.equal(fixed.status, 200)
+  assert.equal((await harness.json('/health')).status, 200)
+})
+
+test('the admin API only accepts E.164 phones', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const rejected = await harness.json('/admin/team', {
+    method: 'POST',
+    admin: true,
+    body: { name: 'Emerson', phone: '555-0105' },
+  })
+  assert.equal(rejected.status, 400)
+  assert.match(rejected.body.error, /E\.164/)
+
+  const migrated = await harness.json('/admin/state/migrate', {
+    method: 'POST',
+    admin: true,
+  })
+  assert.deepEqual(migrated.body.applied, [1, 2])
+  assert.equal(migrated.body.migrationPending, false)
+  assert.deepEqual(migrated.body.problems, [])
+})
+
+test('/health under /r/<id>/ checks only that rotation', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+  await harness.json('/admin/rotations/kitchen', {
+    method: 'PUT',
+    admin: true,
+    body: { choreName: 'Kitchen Clean' },
+  })
+
+  const scoped = await harness.json('/r/kitchen/health')
+  assert.equal(scoped.status, 503)
+  assert.deepEqual(
+    scoped.body.rotations.map((rotation) => rotation.id),
+    ['kitchen']
+  )
+  assert.equal(
+    scoped.body.rotations[0].problems[0].message,
+    'The team is missing or empty.'
+  )
+
+  const root = await harness.json('/health')
+  assert.deepEqual(
+    root.body.rotations.map((rotation) => [
+      rotation.id,
+      rotation.problems.length,
+    ]),
+    [
+      ['default', 0],
+      ['kitchen', 1],
+    ]
+  )
+})
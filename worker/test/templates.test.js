@@ -0,0 +1,193 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHarness, DEFAULT_TEAM } from './harness.js'
+
+const MIXED_TEAM = DEFAULT_TEAM.map((member) =>
+  member.name === 'Casey'
+    ? { ...member, language: 'es' }
+    : member.name === 'Dakota'
+    ? { ...member, language: 'ko' }
+    : member
+)
+
+test('each member gets the weekly text and STATUS in their language', async (t) => {
+  const harness = createHarness({ team: MIXED_TEAM })
+  t.after(() => harness.restore())
+
+  const [step] = await harness.simulateWeeks(1) // Bobby, then Casey, Dakota
+  assert.match(
+    step.texts.Casey[0],
+    /^Casey, tu próximo turno de Trash Duty es en 1 semana \(semana del/
+  )
+  assert.match(step.texts.Dakota[0], /^Dakota님, 다음 Trash Duty 당번은 2주 후/)
+  assert.match(step.texts.Alex[0], /^Alex, your next Trash Duty is in 3 weeks/)
+
+  assert.match(
+    await harness.sms('+10000000003', 'STATUS'),
+    /en 1 semana .*Esta semana: Bobby\./
+  )
+})
+
+test('codes, penalty alerts and corrections reach each member in their language', async (t) => {
+  const harness = createHarness({ team: MIXED_TEAM })
+  t.after(() => harness.restore())
+  await harness.simulateWeeks(2) // Bobby, then Casey
+  const lastText = (name) =>
+    harness
+      .texts()
+      .filter((message) => message.name === name)
+      .at(-1).body
+
+  await harness.json('/report/code', {
+    method: 'POST',
+    body: { phone: '+10000000003' },
+  })
+  assert.match(
+    lastText('Casey'),
+    /^🔐 Tu código de verificación de Trash Duty es \d{6}\. Caduca en 10 minutos\.$/
+  )
+
+  harness.clock.set('2026-10-28T12:00:00Z')
+  await harness.sms('+10000000001', 'REPORT')
+  harness.clock.set('2026-10-29T13:00:00Z')
+  assert.match(
+    await harness.sms('+10000000004', 'REPORT'),
+    /^벌칙이 기록되었습니다\. Bobby님은 3주/
+  )
+  assert.match(lastText('Alex'), /^⚠️ Penalty filed: Bobby missed Trash Duty/)
+  assert.match(
+    lastText('Casey'),
+    /^⚠️ Penalización registrada: Bobby no hizo Trash Duty \(semana del .+\)\.\nBobby cumplirá 3 semanas de penalización desde ahora\./
+  )
+  assert.match(lastText('Dakota'), /^⚠️ 벌칙 부과: Bobby님이 Trash Duty/)
+
+  assert.match(
+    await harness.sms('+10000000004', 'UNDO'),
+    /^Bobby님의 벌칙이 취소되었고/
+  )
+  assert.match(
+    lastText('Casey'),
+    /^↩️ Corrección: Dakota revirtió la penalización de Bobby\./
+  )
+  assert.match(
+    lastText('Alex'),
+    /^↩️ Correction: the penalty for Bobby was reversed by Dakota\./
+  )
+})
+
+test('SMS replies come back in the sender’s language', async (t) => {
+  const harness = createHarness({ team: MIXED_TEAM })
+  t.after(() => harness.restore())
+  await harness.runCron()
+
+  assert.match(
+    await harness.sms('+10000000003', 'HELP'),
+    /^Comandos de Trash Duty:\nSTATUS - cuándo es tu próximo turno/
+  )
+  assert.equal(
+    await harness.sms('+10000000003', 'SWAP Robin'),
+    'No hay ningún compañero llamado "Robin". Nombres: Alex, Bobby, Casey, Dakota.'
+  )
+  assert.match(
+    await harness.sms('+10000000003', 'AWAY 2026-11-02 2026-11-08'),
+    /^Entendido, Casey: estarás fuera del 2026-11-02 al 2026-11-08\./
+  )
+  assert.equal(
+    await harness.sms('+10000000004', 'AWAYSMS'),
+    '사용법: AWAYSMS ON 또는 AWAYSMS OFF'
+  )
+  assert.equal(
+    await harness.sms('+10000000004', 'DISPUTE'),
+    '나에 대한 대기 중인 신고가 없습니다.'
+  )
+  assert.equal(
+    await harness.sms('+10000000001', 'WORKOFF'),
+    'This house does not allow working off penalties.'
+  )
+})
+
+test('admins override a template, preview it and cannot use unknown variables', async (t) => {
+  const harness = createHarness()
+  t.after(() => harness.restore())
+
+  const rejected = await harness.json('/admin/templates/rotation.nextTurn', {
+    method: 'PUT',
+    admin: true,
+    body: { en: '{name}, see you on {date}.' },
+  })
+  assert.equal(rejected.status, 400)
+  assert.match(rejected.body.error, /does not know \{date\}/)
+
+  const template =
+    '{name}: {weeks, plural, =1 {you are up next} other {# weeks to go}}.'
+  const preview = await harness.json('/admin/templates/preview', {
+    method: 'POST',
+    admin: true,
+    body: { type: 'rotation.nextTurn', template, member: 3 },
+  })
+  assert.equal(preview.status, 200)
+  assert.equal(preview.body.text, 'Dakota: 3 weeks to go.')
+  assert.equal(preview.body.variables.weeks, 3)
+
+  const saved = await harness.json('/admin/templates/rotation.nextTurn', {
+    method: 'PUT',
+    admin: true,
+    body: { en: template },
+  })
+  assert.equal(saved.status, 200)
+  const [step] = await harness.simulateWeeks(1)
+  assert.match(step.texts.Casey[0], /^Casey: you are up next\./)
+  assert.match(step.texts.Alex[0], /^Alex: 3 weeks to go\./)
+
+  const listed = await harness.json('/admin/templates', { admin: true })
+  assert.equal(listed.body.templates['rotation.nextTurn'].stored.en, template)
+
+  // Names inherited from Object.prototype are not message types.
+  for (const type of ['constructor', 'toString', '__proto__']) {
+    const put = await harness.json(`/admin/templates/${type}`, {
+      method: 'PUT',
+      admin: true,
+      body: { en: 'x' },
+    })
+    assert.equal(put.status, 404)
+    const previewed = await harness.json('/admin/templates/preview', {
+      method: 'POST',
+      admin: true,
+      body: { type, template: 'x' },
+    })
+    assert.equal(previewed.status, 400)
+  }
+})
+
+test('/schedule writes the penalty banner in the requested language', async (t) => {
+  const harness = createHarness({
+    state: {
+      CURRENT_INDEX: '2',
+      PENALTY_BOX: JSON.stringify({
+        offenderIndex: 2,
+        weeksRemaining: 2,
+        totalWeeks: 3,
+        missedWeek: '2026-10-12',
+      }),
+    },
+  })
+  t.after(() => harness.restore())
+
+  const english = await harness.schedule()
+  assert.equal(english.penaltyInfo.reason, 'Missed duty for the week of Oct 12')
+  assert.equal(english.language, 'en')
+  assert.match(
+    english.penaltyInfo.bannerText,
+    /^PENALTY ACTIVE: Casey is on week 1 of 3\. 2 weeks will remain/
+  )
+
+  const { body } = await harness.json('/schedule?lang=es')
+  assert.equal(body.language, 'es')
+  assert.equal(
+    body.penaltyInfo.bannerText,
+    'PENALIZACIÓN ACTIVA: Casey está en la semana 1 de 3. Después quedarán 2 semanas.'
+  )
+  // The reason is worded when read, so each language gets its own.
+  assert.match(body.penaltyInfo.reason, /^No hizo el turno de la semana del /)
+  assert.equal(body.upcoming[0].penaltyReason, body.penaltyInfo.reason)
+})